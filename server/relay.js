@@ -0,0 +1,299 @@
+// Relay server for online versus. Pairs two players in a room by code, hands
+// them a shared seed and forwards their messages to each other; the games
+// themselves run in the browsers. No dependencies beyond Node itself: this
+// speaks just enough of the WebSocket protocol (RFC 6455) for the client.
+//
+//   npm run relay                      listens on port 8787
+//   RELAY_PORT=9000 npm run relay
+import { createServer } from 'node:http';
+import { createHash, randomInt } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { createSeed } from '../src/engine/random.js';
+import {
+  PROTOCOL_VERSION,
+  DEFAULT_RELAY_PORT,
+  ROOM_CODE_LENGTH,
+  ROOM_CODE_LETTERS,
+  RELAYED_MESSAGES,
+  encodeMessage,
+  decodeMessage,
+  normalizeRoomCode
+} from '../src/net/protocol.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// Largest message, in one frame or all its fragments together; snapshots are
+// a few hundred bytes
+const MAX_PAYLOAD = 64 * 1024;
+
+const OPCODES = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Server frames are never masked or fragmented
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = payload.length;
+  } else if (payload.length < 0x10000) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(payload.length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+};
+
+// Read one frame from the front of `buffer`. Returns null until the whole
+// frame has arrived, otherwise { fin, opcode, masked, payload, length }.
+const decodeFrame = (buffer) => {
+  if (buffer.length < 2) return null;
+  
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let payloadLength = buffer[1] & 0x7f;
+  let offset = 2;
+  
+  if (payloadLength === 126) {
+    if (buffer.length < 4) return null;
+    payloadLength = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (payloadLength === 127) {
+    if (buffer.length < 10) return null;
+    payloadLength = Number(buffer.readBigUInt64BE(2));
+    offset = 10;
+  }
+  if (payloadLength > MAX_PAYLOAD) {
+    return { fin, opcode, masked, payload: null, length: buffer.length };
+  }
+  
+  const maskLength = masked ? 4 : 0;
+  if (buffer.length < offset + maskLength + payloadLength) return null;
+  
+  const payload = Buffer.from(buffer.subarray(offset + maskLength, offset + maskLength + payloadLength));
+  if (masked) {
+    const mask = buffer.subarray(offset, offset + 4);
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= mask[i % 4];
+    }
+  }
+  return { fin, opcode, masked, payload, length: offset + maskLength + payloadLength };
+};
+
+// Wrap an upgraded socket as a connection that emits whole text messages
+const createConnection = (socket, { onMessage, onClose }) => {
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentsLength = 0;
+  let closed = false;
+  
+  const close = (code = 1000) => {
+    if (closed) return;
+    closed = true;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code);
+    socket.end(encodeFrame(OPCODES.close, payload));
+    onClose();
+  };
+  
+  const send = (type, payload) => {
+    if (!closed) socket.write(encodeFrame(OPCODES.text, Buffer.from(encodeMessage(type, payload))));
+  };
+  
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    let frame;
+    while (!closed && (frame = decodeFrame(buffered))) {
+      buffered = buffered.subarray(frame.length);
+      if (!frame.masked) {
+        close(1002); // clients must mask every frame
+        return;
+      }
+      if (frame.payload === null) {
+        close(1009); // message too big
+        return;
+      }
+      
+      switch (frame.opcode) {
+        case OPCODES.text:
+        case OPCODES.continuation:
+          fragmentsLength += frame.payload.length;
+          if (fragmentsLength > MAX_PAYLOAD) {
+            close(1009);
+            return;
+          }
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            const data = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            fragmentsLength = 0;
+            onMessage(data);
+          }
+          break;
+        case OPCODES.ping:
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+          break;
+        case OPCODES.close:
+          close();
+          break;
+        case OPCODES.pong:
+          break;
+        default:
+          close(1003); // binary and unknown frames aren't part of the protocol
+      }
+    }
+  });
+  
+  socket.on('close', () => {
+    if (!closed) {
+      closed = true;
+      onClose();
+    }
+  });
+  socket.on('error', () => socket.destroy());
+  
+  return { send, close };
+};
+
+// Rooms hold up to two players, indexed 0 (creator) and 1
+const rooms = new Map();
+
+const createRoomCode = () => {
+  let code;
+  do {
+    code = Array.from({ length: ROOM_CODE_LENGTH }, () => ROOM_CODE_LETTERS[randomInt(ROOM_CODE_LETTERS.length)]).join('');
+  } while (rooms.has(code));
+  return code;
+};
+
+const getOpponent = (client) => client.room && client.room.players[1 - client.player];
+
+const startGame = (room) => {
+  const seed = createSeed();
+  room.rematch = new Set();
+  room.players.forEach(player => player.connection.send('start', { seed }));
+};
+
+const leaveRoom = (client) => {
+  const { room } = client;
+  if (!room) return;
+  
+  const opponent = getOpponent(client);
+  room.players[client.player] = null;
+  client.room = null;
+  if (opponent) {
+    opponent.connection.send('opponentLeft');
+  } else {
+    rooms.delete(room.code);
+  }
+};
+
+const handleMessage = (client, data) => {
+  const message = decodeMessage(data);
+  if (!message) {
+    client.connection.send('error', { message: 'Malformed message' });
+    return;
+  }
+  
+  if ((message.type === 'create' || message.type === 'join') && message.version !== PROTOCOL_VERSION) {
+    client.connection.send('error', { message: 'Client and relay versions differ; reload the page' });
+    return;
+  }
+  
+  switch (message.type) {
+    case 'create': {
+      leaveRoom(client);
+      const room = { code: createRoomCode(), players: [client, null], rematch: new Set() };
+      rooms.set(room.code, room);
+      client.room = room;
+      client.player = 0;
+      client.connection.send('created', { room: room.code, player: 0 });
+      break;
+    }
+    
+    case 'join': {
+      const room = rooms.get(normalizeRoomCode(message.room || ''));
+      if (!room) {
+        client.connection.send('error', { message: 'No room with that code' });
+        return;
+      }
+      if (client.room === room) {
+        client.connection.send('error', { message: 'You are already in that room' });
+        return;
+      }
+      const player = room.players.indexOf(null);
+      if (player === -1) {
+        client.connection.send('error', { message: 'That room is full' });
+        return;
+      }
+      leaveRoom(client);
+      room.players[player] = client;
+      client.room = room;
+      client.player = player;
+      client.connection.send('joined', { room: room.code, player });
+      startGame(room);
+      break;
+    }
+    
+    case 'rematch': {
+      const { room } = client;
+      if (!room || !getOpponent(client)) return;
+      room.rematch.add(client.player);
+      if (room.rematch.size === room.players.length) startGame(room);
+      break;
+    }
+    
+    default: {
+      if (!RELAYED_MESSAGES.includes(message.type)) {
+        client.connection.send('error', { message: `Unknown message type: ${message.type}` });
+        return;
+      }
+      const opponent = getOpponent(client);
+      if (opponent) opponent.connection.send(message.type, message);
+    }
+  }
+};
+
+export const createRelayServer = () => {
+  const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('TetroMaster relay: connect with a WebSocket\n');
+  });
+  
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    
+    const client = { room: null, player: null };
+    client.connection = createConnection(socket, {
+      onMessage: (data) => handleMessage(client, data),
+      onClose: () => leaveRoom(client)
+    });
+  });
+  
+  return server;
+};
+
+// Run directly (not imported): start listening
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.RELAY_PORT) || DEFAULT_RELAY_PORT;
+  createRelayServer().listen(port, () => {
+    console.log(`TetroMaster relay listening on ws://localhost:${port}`);
+  });
+}
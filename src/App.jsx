@@ -0,0 +1,25 @@
+import React, { useState } from 'react';
+import TetroMaster from './TetroMaster.jsx';
+import Versus from './Versus.jsx';
+import Online from './Online.jsx';
+import Trainer from './Trainer.jsx';
+
+// Top-level screen switch: single player, local versus, online versus or the
+// finesse trainer
+const App = () => {
+  const [screen, setScreen] = useState('single');
+  const showMenu = () => setScreen('single');
+  
+  if (screen === 'versus') return <Versus onExit={showMenu} />;
+  if (screen === 'online') return <Online onExit={showMenu} />;
+  if (screen === 'trainer') return <Trainer onExit={showMenu} />;
+  return (
+    <TetroMaster
+      onVersus={() => setScreen('versus')}
+      onOnline={() => setScreen('online')}
+      onTrainer={() => setScreen('trainer')}
+    />
+  );
+};
+
+export default App;
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  INITIAL_FALL_TIME,
+  FRAME_MS,
+  createGame,
+  step,
+  spendAttack,
+  queueGarbage,
+  getIncomingGarbage,
+  getDropPosition,
+  getLockProgress,
+  getNextPieces
+} from './engine/index.js';
+import { createInputHandler } from './input/handling.js';
+import { getBoundAction } from './input/bindings.js';
+import { createPadReader, getGamepads } from './input/gamepad.js';
+import { loadSettings } from './settings.js';
+import { playEventSounds } from './audio/cues.js';
+import { connectToRelay, getDefaultRelayUrl } from './net/client.js';
+import { PROTOCOL_VERSION, createSnapshot, parseSnapshot, parseAttack, normalizeRoomCode } from './net/protocol.js';
+import { getTheme, loadCustomThemes } from './themes.js';
+import Playfield from './components/Playfield.jsx';
+import PiecePreview from './components/PiecePreview.jsx';
+import GarbageMeter from './components/GarbageMeter.jsx';
+
+// Held keys go through the auto-repeat handler; the rest are single actions.
+// Keys and pad buttons are the single-player bindings, minus pause and toggles.
+const REPEAT_ACTIONS = ['left', 'right', 'softDrop'];
+const KEY_ACTIONS = {
+  rotateCw: { type: 'rotate', direction: 1 },
+  rotateCcw: { type: 'rotate', direction: -1 },
+  rotate180: { type: 'rotate', direction: 2 },
+  hardDrop: { type: 'hardDrop' },
+  hold: { type: 'hold' }
+};
+
+const PREVIEW_COUNT = 5;
+
+// How often the game loop checks for ticks that are due
+const TICK_MS = 16;
+
+// How often our board is sent to the opponent, when it has changed
+const SNAPSHOT_MS = 100;
+
+const Online = ({ onExit }) => {
+  const connectionRef = useRef(null);
+  const gameRef = useRef(null);
+  const sentRef = useRef(0); // garbage lines sent this game
+  const finishedRef = useRef(false);
+  const [game, setGame] = useState(null);
+  const [status, setStatus] = useState('lobby'); // lobby, connecting, waiting, playing, over
+  const [relayUrl, setRelayUrl] = useState(getDefaultRelayUrl);
+  const [roomInput, setRoomInput] = useState('');
+  const [room, setRoom] = useState(null);
+  const [error, setError] = useState('');
+  const [opponent, setOpponent] = useState(null); // latest snapshot of the opponent's board
+  const [opponentLeft, setOpponentLeft] = useState(false);
+  const [result, setResult] = useState(null); // { won, reason }
+  const [rematchRequested, setRematchRequested] = useState(false);
+  const [clearedLines, setClearedLines] = useState([]);
+  const [callout, setCallout] = useState(null);
+  
+  const send = (type, payload) => {
+    if (connectionRef.current) connectionRef.current.send(type, payload);
+  };
+  
+  const sendSnapshot = () => {
+    send('state', createSnapshot(gameRef.current, {
+      incoming: getIncomingGarbage(gameRef.current),
+      sent: sentRef.current
+    }));
+  };
+  
+  const endGame = (won, reason) => {
+    finishedRef.current = true;
+    setResult({ won, reason });
+    setStatus('over');
+  };
+  
+  const startGame = (seed) => {
+    const newGame = createGame({ mode: 'modern', gameType: 'versus', seed });
+    gameRef.current = newGame;
+    sentRef.current = 0;
+    finishedRef.current = false;
+    setGame(newGame);
+    setOpponent(null);
+    setResult(null);
+    setRematchRequested(false);
+    setClearedLines([]);
+    setCallout(null);
+    setStatus('playing');
+  };
+  
+  const handleMessage = (message) => {
+    switch (message.type) {
+      case 'created':
+        setRoom(message.room);
+        setStatus('waiting');
+        break;
+      case 'joined':
+        setRoom(message.room);
+        break;
+      case 'start':
+        setOpponentLeft(false);
+        startGame(message.seed);
+        break;
+      case 'state': {
+        const snapshot = parseSnapshot(message);
+        if (snapshot) setOpponent(snapshot);
+        break;
+      }
+      case 'attack': {
+        const lines = parseAttack(message);
+        if (lines && gameRef.current && !finishedRef.current) {
+          gameRef.current = queueGarbage(gameRef.current, lines);
+          setGame(gameRef.current);
+        }
+        break;
+      }
+      case 'topOut':
+        if (!finishedRef.current) endGame(true, 'Your opponent topped out');
+        break;
+      case 'opponentLeft':
+        setOpponentLeft(true);
+        if (gameRef.current && !finishedRef.current) {
+          endGame(true, 'Your opponent left');
+        }
+        break;
+      case 'error':
+        setError(message.message);
+        break;
+    }
+  };
+  
+  const connect = (type, payload) => {
+    if (connectionRef.current) connectionRef.current.close();
+    setError('');
+    setStatus('connecting');
+    
+    const connection = connectToRelay(relayUrl, {
+      onMessage: handleMessage,
+      onClose: (wasOpen) => {
+        // Ignore sockets we already replaced or closed ourselves
+        if (connectionRef.current !== connection) return;
+        connectionRef.current = null;
+        setError(wasOpen ? 'Lost connection to the relay' : `Could not reach the relay at ${relayUrl}`);
+        if (gameRef.current && !finishedRef.current) {
+          endGame(false, 'Disconnected');
+        } else if (!gameRef.current) {
+          setStatus('lobby');
+        }
+      }
+    });
+    connectionRef.current = connection;
+    connection.send(type, { version: PROTOCOL_VERSION, ...payload });
+  };
+  
+  const leave = () => {
+    const connection = connectionRef.current;
+    connectionRef.current = null;
+    if (connection) connection.close();
+    gameRef.current = null;
+    finishedRef.current = false;
+    setGame(null);
+    setOpponent(null);
+    setOpponentLeft(false);
+    setResult(null);
+    setRoom(null);
+    setStatus('lobby');
+  };
+  
+  const requestRematch = () => {
+    send('rematch');
+    setRematchRequested(true);
+  };
+  
+  // Close the socket when leaving the screen
+  useEffect(() => () => {
+    const connection = connectionRef.current;
+    connectionRef.current = null;
+    if (connection) connection.close();
+  }, []);
+  
+  const dispatch = useCallback((action) => {
+    if (!gameRef.current || finishedRef.current) return [];
+    
+    const { state, events } = step(gameRef.current, action);
+    let next = state;
+    events.filter(event => event.type === 'linesCleared').forEach(clear => {
+      const { state: afterAttack, sent, cancelled } = spendAttack(next, clear);
+      next = afterAttack;
+      if (sent > 0) {
+        sentRef.current += sent;
+        send('attack', { lines: sent });
+      }
+      
+      setClearedLines(clear.rows);
+      setTimeout(() => setClearedLines([]), 300);
+      setCallout({ id: Date.now() + Math.random(), text: clear.label, sent, cancelled });
+    });
+    
+    gameRef.current = next;
+    setGame(next);
+    playEventSounds(events);
+    
+    if (events.some(event => event.type === 'topOut')) {
+      sendSnapshot();
+      send('topOut');
+      endGame(false, 'You topped out');
+    }
+    return events;
+  }, []);
+  
+  const [{ bindings, padBindings, padAssignment, handling, theme }] = useState(loadSettings);
+  const [customThemes] = useState(loadCustomThemes);
+  const inputRef = useRef(null);
+  if (!inputRef.current) {
+    inputRef.current = createInputHandler({
+      dispatch,
+      getFallTime: () => gameRef.current ? gameRef.current.fallTime : INITIAL_FALL_TIME,
+      getPiece: () => gameRef.current,
+      handling
+    });
+  }
+  const padReaderRef = useRef(null);
+  if (!padReaderRef.current) {
+    padReaderRef.current = createPadReader();
+  }
+  
+  const playing = status === 'playing';
+  
+  useEffect(() => {
+    if (!callout) return;
+    const timeout = setTimeout(() => setCallout(null), 1500);
+    return () => clearTimeout(timeout);
+  }, [callout]);
+  
+  useEffect(() => {
+    if (!playing) return;
+    
+    const pressAction = (action, now) => {
+      if (REPEAT_ACTIONS.includes(action)) {
+        inputRef.current.press(action, now);
+      } else {
+        const events = dispatch(KEY_ACTIONS[action]);
+        if (events.some(event => event.type === 'rotate')) {
+          inputRef.current.cutDas(now);
+        }
+      }
+    };
+    
+    const releaseAction = (action, now) => {
+      if (REPEAT_ACTIONS.includes(action)) {
+        inputRef.current.release(action, now);
+      }
+    };
+    
+    const isGameAction = (action) => REPEAT_ACTIONS.includes(action) || action in KEY_ACTIONS;
+    
+    const handleKeyDown = (e) => {
+      const action = getBoundAction(bindings, e.key);
+      if (!isGameAction(action)) return;
+      e.preventDefault();
+      if (e.repeat) return;
+      pressAction(action, performance.now());
+    };
+    
+    const handleKeyUp = (e) => {
+      releaseAction(getBoundAction(bindings, e.key), performance.now());
+    };
+    
+    // Player 1's pad, polled once per frame
+    let frame;
+    const pollPad = (now) => {
+      const { pressed, released } = padReaderRef.current.poll(getGamepads()[padAssignment[0]], padBindings);
+      pressed.filter(isGameAction).forEach(action => pressAction(action, now));
+      released.forEach(action => releaseAction(action, now));
+      frame = requestAnimationFrame(pollPad);
+    };
+    frame = requestAnimationFrame(pollPad);
+    
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [playing, dispatch, bindings, padBindings, padAssignment]);
+  
+  useEffect(() => {
+    if (!playing) {
+      inputRef.current.reset();
+      return;
+    }
+    
+    // There is no pause online: the opponent's game keeps running, so unlike
+    // the other screens gravity runs on a timer, which browsers keep firing in
+    // a background tab where animation frames stop
+    let lastTime = performance.now();
+    let accumulator = 0;
+    const gameLoop = setInterval(() => {
+      const now = performance.now();
+      accumulator += now - lastTime;
+      lastTime = now;
+      while (accumulator >= FRAME_MS && !finishedRef.current) {
+        dispatch({ type: 'tick', ms: FRAME_MS });
+        accumulator -= FRAME_MS;
+      }
+    }, TICK_MS);
+    
+    // Send our board whenever it has changed, at most every SNAPSHOT_MS
+    let lastSnapshot = null;
+    const snapshotLoop = setInterval(() => {
+      const snapshot = createSnapshot(gameRef.current, {
+        incoming: getIncomingGarbage(gameRef.current),
+        sent: sentRef.current
+      });
+      const encoded = JSON.stringify(snapshot);
+      if (encoded !== lastSnapshot) {
+        lastSnapshot = encoded;
+        send('state', snapshot);
+      }
+    }, SNAPSHOT_MS);
+    
+    // Poll held keys once per frame for auto-repeat
+    let frame;
+    const pollInput = (now) => {
+      inputRef.current.update(now);
+      frame = requestAnimationFrame(pollInput);
+    };
+    frame = requestAnimationFrame(pollInput);
+    
+    return () => {
+      clearInterval(gameLoop);
+      clearInterval(snapshotLoop);
+      cancelAnimationFrame(frame);
+    };
+  }, [playing, dispatch]);
+  
+  const renderLobby = () => (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-2xl w-80 text-white font-mono text-sm">
+      <label className="block mb-4">
+        <span className="text-gray-400 text-xs">Relay</span>
+        <input
+          type="text"
+          value={relayUrl}
+          onChange={(e) => setRelayUrl(e.target.value)}
+          className="w-full bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white"
+        />
+      </label>
+      <button
+        onClick={() => connect('create')}
+        disabled={status === 'connecting'}
+        className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded transition-colors mb-4"
+      >
+        CREATE ROOM
+      </button>
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={roomInput}
+          onChange={(e) => setRoomInput(normalizeRoomCode(e.target.value))}
+          placeholder="CODE"
+          maxLength={8}
+          className="flex-1 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white text-center tracking-widest"
+        />
+        <button
+          onClick={() => connect('join', { room: roomInput })}
+          disabled={!roomInput || status === 'connecting'}
+          className="bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-bold py-1 px-4 rounded transition-colors"
+        >
+          JOIN
+        </button>
+      </div>
+      {status === 'connecting' && <div className="text-gray-400 mt-3">Connecting...</div>}
+    </div>
+  );
+  
+  const renderWaiting = () => (
+    <div className="bg-gray-800 p-6 rounded-lg shadow-2xl w-80 text-white font-mono text-center">
+      <div className="text-gray-400 text-sm">Room code</div>
+      <div className="text-5xl font-bold text-yellow-400 tracking-widest my-2">{room}</div>
+      <div className="text-gray-400 text-sm animate-pulse">Waiting for an opponent to join...</div>
+    </div>
+  );
+  
+  const renderOwnBoard = () => {
+    const boardTheme = getTheme(theme, customThemes, game.level);
+    const pieceShown = playing && game.piece;
+    
+    return (
+      <div className="bg-gray-800 p-4 rounded-lg shadow-2xl">
+        <div className="flex justify-between items-baseline mb-2 font-mono">
+          <span className="font-bold text-lg text-cyan-400">YOU</span>
+          <span className="text-yellow-400">{game.score.toLocaleString()}</span>
+        </div>
+        
+        <div className="flex gap-3 items-start">
+          <div className="w-24">
+            <h3 className="text-white font-mono text-sm mb-1">Hold:</h3>
+            <div className={`bg-gray-900 p-1 rounded border-2 border-gray-600 flex justify-center ${
+              game.holdUsed ? 'opacity-50' : ''
+            }`}>
+              <PiecePreview piece={game.hold} theme={boardTheme} />
+            </div>
+            <div className="mt-4 text-xs text-gray-300 font-mono">
+              <div>Lines: {game.lines}</div>
+              <div>Sent: {sentRef.current}</div>
+              {game.combo > 1 && <div className="text-cyan-400">{game.combo - 1}× combo</div>}
+              {game.backToBack && <div className="text-red-400">B2B</div>}
+            </div>
+          </div>
+          
+          <div className="flex gap-1 items-stretch">
+            <GarbageMeter lines={getIncomingGarbage(game)} />
+            <div className="border-4 border-gray-600 bg-gray-900 p-1 relative">
+              <Playfield
+                board={game.board}
+                piece={pieceShown ? game.piece : null}
+                position={game.position}
+                ghostPosition={pieceShown ? getDropPosition(game.board, game.piece, game.position) : null}
+                theme={boardTheme}
+                clearedLines={clearedLines}
+                lockProgress={getLockProgress(game)}
+                flash={!!result && !result.won}
+              />
+              {result && renderResult()}
+            </div>
+          </div>
+          
+          <div className="w-24">
+            <h3 className="text-white font-mono text-sm mb-1">Next:</h3>
+            <div className="bg-gray-900 p-1 rounded border-2 border-gray-600 flex flex-col items-center gap-2">
+              {getNextPieces(game, PREVIEW_COUNT).map((piece, index) => (
+                <PiecePreview key={index} piece={piece} theme={boardTheme} />
+              ))}
+            </div>
+          </div>
+        </div>
+        
+        <div className="h-6 mt-2 text-center font-mono font-bold text-sm">
+          {callout && (
+            <span key={callout.id} className="text-yellow-400">
+              {callout.text}
+              {callout.cancelled > 0 && <span className="text-gray-400"> −{callout.cancelled}</span>}
+              {callout.sent > 0 && <span className="text-red-400"> → {callout.sent}</span>}
+            </span>
+          )}
+        </div>
+      </div>
+    );
+  };
+  
+  // The opponent's board as last reported, at a smaller scale
+  const renderOpponent = () => (
+    <div className="bg-gray-800 p-4 rounded-lg shadow-2xl font-mono">
+      <div className="flex justify-between items-baseline mb-2 gap-4">
+        <span className="font-bold text-pink-400">OPPONENT</span>
+        <span className="text-yellow-400 text-sm">{opponent ? opponent.score.toLocaleString() : 0}</span>
+      </div>
+      <div className="flex gap-1 items-stretch">
+        <GarbageMeter lines={opponent ? opponent.incoming : 0} />
+        <div className="border-2 border-gray-600 bg-gray-900 p-1">
+          {opponent ? (
+            <Playfield
+              board={opponent.board}
+              piece={opponent.piece}
+              position={opponent.position}
+              theme={getTheme(theme, customThemes, 1)}
+              cellSize={12}
+            />
+          ) : (
+            <div className="w-[120px] h-[240px]" />
+          )}
+        </div>
+      </div>
+      <div className="mt-2 text-xs text-gray-300">
+        <div>Lines: {opponent ? opponent.lines : 0}</div>
+        <div>Sent: {opponent ? opponent.sent : 0}</div>
+      </div>
+    </div>
+  );
+  
+  const renderResult = () => (
+    <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center z-20">
+      <div className="text-center font-mono text-white px-2">
+        <div className={`text-4xl font-bold mb-2 ${result.won ? 'text-green-400' : 'text-red-400'}`}>
+          {result.won ? 'YOU WIN!' : 'YOU LOSE'}
+        </div>
+        <div className="text-sm text-gray-300 mb-4">{result.reason}</div>
+        {connectionRef.current && !opponentLeft && (
+          <button
+            onClick={requestRematch}
+            disabled={rematchRequested}
+            className="w-full bg-green-600 hover:bg-green-700 disabled:opacity-50 text-white font-bold py-2 px-4 rounded transition-colors mb-2"
+          >
+            {rematchRequested ? 'WAITING...' : 'REMATCH'}
+          </button>
+        )}
+        <button
+          onClick={leave}
+          className="w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded transition-colors"
+        >
+          LEAVE ROOM
+        </button>
+      </div>
+    </div>
+  );
+  
+  return (
+    <div className="flex flex-col justify-center items-center min-h-screen bg-gray-900 p-4">
+      <h1 className="text-3xl font-bold text-center mb-1 text-white font-mono">
+        TETROMASTER ONLINE
+      </h1>
+      <div className="text-gray-400 font-mono text-sm mb-4 h-5">
+        {room && game && `Room ${room}`}
+      </div>
+      
+      {(status === 'lobby' || status === 'connecting') && renderLobby()}
+      {status === 'waiting' && renderWaiting()}
+      {game && (status === 'playing' || status === 'over') && (
+        <div className="flex gap-8 items-start">
+          {renderOwnBoard()}
+          {renderOpponent()}
+        </div>
+      )}
+      
+      {error && <div className="text-red-400 font-mono text-sm mt-4">{error}</div>}
+      
+      <button
+        onClick={() => {
+          leave();
+          onExit();
+        }}
+        className="mt-4 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded transition-colors font-mono"
+      >
+        BACK
+      </button>
+    </div>
+  );
+};
+
+export default Online;
@@ -1,302 +1,186 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import {
+  INITIAL_FALL_TIME,
+  createEmptyBoard,
+  getDropPosition,
+  getLockProgress,
+  getNextPieces,
+  MAX_PREVIEWS,
+  createGame,
+  createSeed,
+  step,
+  FRAME_MS,
+  createRecorder,
+  createReplayPlayer,
+  serializeReplay,
+  parseReplay,
+  GAME_TYPES,
+  SPRINT_TARGETS,
+  ULTRA_DURATIONS,
+  NES_MAX_START_LEVEL,
+  getOtherRuleset,
+  getFirstLevel,
+  DIG_TARGETS,
+  FIXED_GRAVITIES,
+  getRunStats,
+  getFinessePercent,
+  createPieceLog
+} from './engine/index.js';
+import { createInputHandler } from './input/handling.js';
+import { BOUND_ACTIONS, normalizeKey, getBoundAction, formatKeys } from './input/bindings.js';
+import { createPadReader, getGamepads } from './input/gamepad.js';
+import { hasTouchScreen } from './input/touch.js';
+import { DEFAULT_SETTINGS, loadSettings, saveSettings } from './settings.js';
+import ReplayControls from './components/ReplayControls.jsx';
+import SprintPanel from './components/SprintPanel.jsx';
+import CountdownPanel from './components/CountdownPanel.jsx';
+import DigPanel from './components/DigPanel.jsx';
+import RunSummary from './components/RunSummary.jsx';
+import LiveStats from './components/LiveStats.jsx';
+import GameReport from './components/GameReport.jsx';
+import Playfield from './components/Playfield.jsx';
+import PiecePreview from './components/PiecePreview.jsx';
+import TouchControls from './components/TouchControls.jsx';
+import GestureArea from './components/GestureArea.jsx';
+import MobileHud from './components/MobileHud.jsx';
+import FpsOverlay from './components/FpsOverlay.jsx';
+import AiPanel, { AI_SPEEDS, AI_BOTS } from './components/AiPanel.jsx';
+import Leaderboard from './components/Leaderboard.jsx';
+import SettingsMenu from './components/SettingsMenu.jsx';
+import {
+  loadSprintBest,
+  saveSprintBest,
+  NAME_MAX_LENGTH,
+  canEnterLeaderboard,
+  createLeaderboardEntry,
+  getLeaderboardId,
+  getLeaderboardRank,
+  addLeaderboardEntry,
+  isValidName,
+  loadPlayerName,
+  savePlayerName
+} from './records.js';
+import { playBeep, playEventSounds } from './audio/cues.js';
+import { setVolumes } from './audio/mixer.js';
+import { createMusicPlayer } from './audio/music.js';
+import { planMove, createAutoplayer } from './ai/bot.js';
+import { DEFAULT_WEIGHTS } from './ai/evaluate.js';
+import { createTbpClient, createWorkerTransport } from './tbp/client.js';
+import { createTbpAutoplayer } from './tbp/autoplayer.js';
+import { getTheme, loadCustomThemes, saveCustomThemes } from './themes.js';
+import { formatFinesse, formatFinessePath, formatSpeed } from './format.js';
+import { downloadFile } from './download.js';
+import { startGameLoop } from './loop.js';
 
-const BOARD_WIDTH = 10;
-const BOARD_HEIGHT = 20;
-const INITIAL_FALL_TIME = 1000;
+// The board shrinks to fit a phone's width and height, leaving room for the touch controls
+const BOARD_CLASS = 'w-[min(80vw,30vh)] h-[min(160vw,60vh)] md:w-[240px] md:h-[480px]';
 
-// Tetromino shapes
-const TETROMINOES = {
-  I: [
-    [0, 0, 0, 0],
-    [1, 1, 1, 1],
-    [0, 0, 0, 0],
-    [0, 0, 0, 0]
-  ],
-  O: [
-    [1, 1],
-    [1, 1]
-  ],
-  T: [
-    [0, 1, 0],
-    [1, 1, 1],
-    [0, 0, 0]
-  ],
-  S: [
-    [0, 1, 1],
-    [1, 1, 0],
-    [0, 0, 0]
-  ],
-  Z: [
-    [1, 1, 0],
-    [0, 1, 1],
-    [0, 0, 0]
-  ],
-  J: [
-    [1, 0, 0],
-    [1, 1, 1],
-    [0, 0, 0]
-  ],
-  L: [
-    [0, 0, 1],
-    [1, 1, 1],
-    [0, 0, 0]
-  ]
+const downloadReplay = (replay) => {
+  downloadFile(serializeReplay(replay), `tetromaster-replay-${replay.seed}.json`);
 };
 
-const TETROMINO_TYPES = Object.keys(TETROMINOES);
-
-// T-spin detection patterns
-const T_SPIN_PATTERNS = {
-  // Check corners around T piece center
-  checkCorners: (board, centerX, centerY) => {
-    const corners = [
-      { x: centerX - 1, y: centerY - 1 }, // Top-left
-      { x: centerX + 1, y: centerY - 1 }, // Top-right
-      { x: centerX - 1, y: centerY + 1 }, // Bottom-left
-      { x: centerX + 1, y: centerY + 1 }  // Bottom-right
-    ];
-    
-    let filledCorners = 0;
-    let frontCorners = 0; // Top corners
-    let backCorners = 0;  // Bottom corners
-    
-    corners.forEach((corner, index) => {
-      const isFilled = corner.x < 0 || corner.x >= BOARD_WIDTH || 
-                      corner.y < 0 || corner.y >= BOARD_HEIGHT ||
-                      (corner.y >= 0 && board[corner.y][corner.x] !== 0);
-      
-      if (isFilled) {
-        filledCorners++;
-        if (index < 2) frontCorners++;
-        else backCorners++;
-      }
-    });
-    
-    return { filledCorners, frontCorners, backCorners };
-  }
-};
-
-// SRS Wall Kick Data - Modern Tetris rotation system
-const SRS_WALL_KICKS = {
-  // Standard pieces (J, L, S, T, Z)
-  JLSTZ: {
-    '0->1': [[-1, 0], [-1, 1], [0, -2], [-1, -2]],
-    '1->0': [[1, 0], [1, -1], [0, 2], [1, 2]],
-    '1->2': [[1, 0], [1, -1], [0, 2], [1, 2]],
-    '2->1': [[-1, 0], [-1, 1], [0, -2], [-1, -2]],
-    '2->3': [[1, 0], [1, 1], [0, -2], [1, -2]],
-    '3->2': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
-    '3->0': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
-    '0->3': [[1, 0], [1, 1], [0, -2], [1, -2]]
-  },
-  // I piece has different kick data
-  I: {
-    '0->1': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
-    '1->0': [[2, 0], [-1, 0], [2, 1], [-1, -2]],
-    '1->2': [[-1, 0], [2, 0], [-1, 2], [2, -1]],
-    '2->1': [[1, 0], [-2, 0], [1, -2], [-2, 1]],
-    '2->3': [[2, 0], [-1, 0], [2, 1], [-1, -2]],
-    '3->2': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
-    '3->0': [[1, 0], [-2, 0], [1, -2], [-2, 1]],
-    '0->3': [[-1, 0], [2, 0], [-1, 2], [2, -1]]
-  }
+// Popup colour for a linesCleared event
+const getClearColor = (event) => {
+  if (event.backToBack) return 'text-red-400';
+  if (event.tSpin) return 'text-purple-400';
+  return ['text-yellow-400', 'text-yellow-400', 'text-orange-400', 'text-green-400', 'text-blue-400'][event.count];
 };
 
-// Color palettes for each level
-const COLOR_PALETTES = [
-  { // Level 1 - Classic NES
-    I: '#00f0f0', O: '#f0f000', T: '#a000f0', S: '#00f000',
-    Z: '#f00000', J: '#ff6600', L: '#f0a000'
-  },
-  { // Level 2 - Sunset
-    I: '#ff6b6b', O: '#ffd93d', T: '#a29bfe', S: '#55a3ff',
-    Z: '#fd79a8', J: '#ff7675', L: '#fdcb6e'
-  },
-  { // Level 3 - Ocean
-    I: '#0984e3', O: '#74b9ff', T: '#6c5ce7', S: '#00b894',
-    Z: '#00cec9', J: '#0984e3', L: '#fdcb6e'
-  },
-  { // Level 4 - Forest
-    I: '#00b894', O: '#55a3ff', T: '#a29bfe', S: '#00cec9',
-    Z: '#ff7675', J: '#00b894', L: '#fdcb6e'
-  },
-  { // Level 5 - Neon
-    I: '#ff0080', O: '#00ff80', T: '#8000ff', S: '#ff8000',
-    Z: '#0080ff', J: '#80ff00', L: '#ff0040'
-  }
-];
-
-const TetroMaster = () => {
-  const [board, setBoard] = useState(() => 
-    Array(BOARD_HEIGHT).fill().map(() => Array(BOARD_WIDTH).fill(0))
-  );
-  const [currentPiece, setCurrentPiece] = useState(null);
-  const [nextPiece, setNextPiece] = useState(null);
-  const [position, setPosition] = useState({ x: 0, y: 0 });
-  const [rotation, setRotation] = useState(0); // Track rotation state for T-spins
-  const [score, setScore] = useState(0);
-  const [level, setLevel] = useState(1);
-  const [lines, setLines] = useState(0);
+const TetroMaster = ({ onVersus, onOnline, onTrainer }) => {
+  // Engine state lives in a ref so input handlers always step the latest game;
+  // the mirrored React state drives rendering.
+  const gameRef = useRef(null);
+  const [game, setGame] = useState(null);
   const [gameOver, setGameOver] = useState(false);
   const [gameStarted, setGameStarted] = useState(false);
   const [paused, setPaused] = useState(false);
-  const [fallTime, setFallTime] = useState(INITIAL_FALL_TIME);
   const [clearedLines, setClearedLines] = useState([]);
   const [showTetris, setShowTetris] = useState(false);
   const [keysPressed, setKeysPressed] = useState(new Set());
-  const [showGhost, setShowGhost] = useState(true);
-  const [gameMode, setGameMode] = useState('modern'); // 'classic' or 'modern'
-  const [gameOverAnimation, setGameOverAnimation] = useState(false);
-  
-  // 7-bag randomization system
-  const [pieceBag, setPieceBag] = useState([]);
-  const [bagIndex, setBagIndex] = useState(0);
+  // Preferences start from the last visit and are saved as they change
+  const [savedSettings] = useState(loadSettings);
+  const [bindings, setBindings] = useState(savedSettings.bindings);
+  const [padBindings, setPadBindings] = useState(savedSettings.padBindings);
+  const [padAssignment, setPadAssignment] = useState(savedSettings.padAssignment);
+  const [touch, setTouch] = useState(savedSettings.touch);
+  const [touchScreen] = useState(hasTouchScreen);
+  const [sound, setSound] = useState(savedSettings.sound);
+  const [volume, setVolume] = useState(savedSettings.volume);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showGhost, setShowGhost] = useState(savedSettings.showGhost);
+  const [showFps, setShowFps] = useState(savedSettings.showFps);
+  const [theme, setTheme] = useState(savedSettings.theme); // { mode, id }
+  const [customThemes, setCustomThemes] = useState(loadCustomThemes);
+  const [gameMode, setGameMode] = useState(savedSettings.gameMode); // 'classic' or 'modern'
+  const [holdEnabled, setHoldEnabled] = useState(savedSettings.holdEnabled);
+  const [previewCount, setPreviewCount] = useState(savedSettings.previewCount);
+  const [seedInput, setSeedInput] = useState('');
+  const [startLevel, setStartLevel] = useState(getFirstLevel(savedSettings.gameMode));
+  const [gameType, setGameType] = useState('marathon');
+  const [gravity, setGravity] = useState(null); // fixed G, or null to follow the level
+  const startLevelOptions = gameMode === 'classic'
+    ? Array.from({ length: NES_MAX_START_LEVEL + 1 }, (_, i) => i)
+    : Array.from({ length: 15 }, (_, i) => i + 1);
+  const [sprintTarget, setSprintTarget] = useState(40);
+  const [ultraDuration, setUltraDuration] = useState(ULTRA_DURATIONS[0]);
+  const [digOptions, setDigOptions] = useState({
+    targetLines: 18,
+    garbageTrigger: 'pieces',
+    garbageEvery: 3,
+    messiness: 0.3
+  });
+  const [sprintBest, setSprintBest] = useState(null);
+  const [runResult, setRunResult] = useState(null); // summary of a completed goal mode
   
-  // Advanced scoring states
-  const [combo, setCombo] = useState(0);
-  const [lastClearWasTSpin, setLastClearWasTSpin] = useState(false);
-  const [tSpinType, setTSpinType] = useState(''); // 'single', 'double', 'triple'
+  // Replay recording and playback
+  const recorderRef = useRef(null);
+  const playerRef = useRef(null);
+  const [lastReplay, setLastReplay] = useState(null);
+  const [replay, setReplay] = useState(null); // replay being watched
+  const [replayState, setReplayState] = useState(null);
+  const [replayFrame, setReplayFrame] = useState(0);
+  const [replayPlaying, setReplayPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const [replayError, setReplayError] = useState('');
+  // Per-piece history for the post-game report
+  const pieceLogRef = useRef(null);
+  const [pieceLog, setPieceLog] = useState(null); // entries of the finished game
+  const [gameOverAnimation, setGameOverAnimation] = useState(false);
   const [scorePopups, setScorePopups] = useState([]);
-  const [backToBack, setBackToBack] = useState(false);
+  const [finesseFault, setFinesseFault] = useState(null); // last fault, shown briefly over the board
+  const [handling, setHandling] = useState(savedSettings.handling);
+  const [aiPlaying, setAiPlaying] = useState(false);
+  const [showHint, setShowHint] = useState(false);
+  const [aiSpeed, setAiSpeed] = useState(AI_SPEEDS[1].ms);
+  const [aiWeights, setAiWeights] = useState(DEFAULT_WEIGHTS);
+  const [aiBot, setAiBot] = useState(AI_BOTS[0].id);
+  const [tbpWorkerUrl, setTbpWorkerUrl] = useState('');
+  const [aiError, setAiError] = useState('');
+  const aiUsedRef = useRef(false); // games the bot touched don't make the leaderboards
+  const [leaderboardEntry, setLeaderboardEntry] = useState(null); // { id, entry, rank, saved }
+  const [playerName, setPlayerName] = useState(loadPlayerName);
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  
+  // While a replay is open the board and panels show it instead of the live game
+  const shownGame = replay ? replayState : game;
+  const board = shownGame ? shownGame.board : createEmptyBoard();
+  const currentPiece = shownGame ? shownGame.piece : null;
+  const nextPieces = shownGame ? getNextPieces(shownGame, previewCount) : [];
+  const holdPiece = shownGame ? shownGame.hold : null;
+  const holdUsed = shownGame ? shownGame.holdUsed : false;
+  const position = shownGame ? shownGame.position : { x: 0, y: 0 };
+  const score = shownGame ? shownGame.score : 0;
+  const level = shownGame ? shownGame.level : 1;
+  const lines = shownGame ? shownGame.lines : 0;
+  const fallTime = shownGame ? shownGame.fallTime : INITIAL_FALL_TIME;
+  const combo = shownGame ? shownGame.combo : 0;
+  const backToBack = shownGame ? shownGame.backToBack : false;
+  const tSpinType = shownGame ? shownGame.tSpinType : '';
+  const lockProgress = shownGame ? getLockProgress(shownGame) : 0;
+  const activeTheme = getTheme(theme, customThemes, level);
+  // The NES ruleset has no ghost piece
+  const ghostAllowed = shownGame ? shownGame.mode !== 'classic' : true;
   
-  // Create a new 7-bag (contains all 7 pieces in random order)
-  const createNewBag = () => {
-    const bag = [...TETROMINO_TYPES];
-    // Fisher-Yates shuffle
-    for (let i = bag.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [bag[i], bag[j]] = [bag[j], bag[i]];
-    }
-    return bag;
-  };
-
-  // Get next piece from 7-bag system
-  const getNextPieceFromBag = () => {
-    if (pieceBag.length === 0 || bagIndex >= pieceBag.length) {
-      const newBag = createNewBag();
-      setPieceBag(newBag);
-      setBagIndex(0);
-      const pieceType = newBag[0];
-      setBagIndex(1);
-      return {
-        shape: TETROMINOES[pieceType],
-        type: pieceType
-      };
-    }
-    
-    const pieceType = pieceBag[bagIndex];
-    setBagIndex(bagIndex + 1);
-    return {
-      shape: TETROMINOES[pieceType],
-      type: pieceType
-    };
-  };
-
-  const rotatePiece = (piece) => {
-    const rotated = piece.shape[0].map((_, index) =>
-      piece.shape.map(row => row[index]).reverse()
-    );
-    return { ...piece, shape: rotated };
-  };
-
-  const detectTSpin = (piece, pos, boardBeforePlacement, wasKicked) => {
-    if (piece.type !== 'T' || gameMode === 'classic') return false;
-    
-    // Must have used wall kicks to be a T-spin
-    if (!wasKicked) return false;
-    
-    // Find the T piece center (the stem of the T)
-    const centerX = pos.x + 1; // T piece center is always at x+1
-    const centerY = pos.y + 1; // T piece center is always at y+1
-    
-    const { filledCorners, frontCorners, backCorners } = T_SPIN_PATTERNS.checkCorners(
-      boardBeforePlacement, centerX, centerY
-    );
-    
-    // T-spin requires at least 3 corners to be filled
-    return filledCorners >= 3;
-  };
-
-  const tryRotateWithKicks = (piece, pos, clockwise = true) => {
-    const oldRotation = rotation;
-    const newRotation = (rotation + (clockwise ? 1 : -1) + 4) % 4;
-    
-    if (gameMode === 'classic') {
-      // Classic mode - simple rotation without kicks
-      const rotated = rotatePiece(piece);
-      if (isValidMove(board, rotated, pos)) {
-        setRotation(newRotation);
-        return { piece: rotated, position: pos, wasKicked: false };
-      }
-      return null;
-    }
-
-    // Modern mode - SRS with wall kicks
-    const rotated = rotatePiece(piece);
-    
-    // First try basic rotation
-    if (isValidMove(board, rotated, pos)) {
-      setRotation(newRotation);
-      return { piece: rotated, position: pos, wasKicked: false };
-    }
-
-    // If basic rotation fails, try wall kicks
-    const pieceType = piece.type;
-    const kickData = (pieceType === 'I') ? SRS_WALL_KICKS.I : SRS_WALL_KICKS.JLSTZ;
-    
-    // Use proper kick data based on rotation
-    const rotationKey = `${oldRotation}->${newRotation}`;
-    const kicks = kickData[rotationKey] || [
-      [-1, 0], [1, 0], [0, -1], [-1, -1], [1, -1], 
-      [-2, 0], [2, 0], [0, -2], [-1, 1], [1, 1]
-    ];
-    
-    for (const [dx, dy] of kicks) {
-      const testPos = { x: pos.x + dx, y: pos.y + dy };
-      if (isValidMove(board, rotated, testPos)) {
-        setRotation(newRotation);
-        return { piece: rotated, position: testPos, wasKicked: true };
-      }
-    }
-    
-    return null;
-  };
-
-  const isValidMove = (board, piece, pos) => {
-    for (let y = 0; y < piece.shape.length; y++) {
-      for (let x = 0; x < piece.shape[y].length; x++) {
-        if (piece.shape[y][x] !== 0) {
-          const newX = pos.x + x;
-          const newY = pos.y + y;
-          
-          if (newX < 0 || newX >= BOARD_WIDTH || newY >= BOARD_HEIGHT) {
-            return false;
-          }
-          if (newY >= 0 && board[newY][newX] !== 0) {
-            return false;
-          }
-        }
-      }
-    }
-    return true;
-  };
-
-  const placePiece = (board, piece, pos) => {
-    const newBoard = board.map(row => [...row]);
-    for (let y = 0; y < piece.shape.length; y++) {
-      for (let x = 0; x < piece.shape[y].length; x++) {
-        if (piece.shape[y][x] !== 0) {
-          const boardY = pos.y + y;
-          const boardX = pos.x + x;
-          if (boardY >= 0) {
-            newBoard[boardY][boardX] = piece.type;
-          }
-        }
-      }
-    }
-    return newBoard;
-  };
-
   const addScorePopup = (text, value, color = 'text-yellow-400') => {
     const popup = {
       id: Date.now() + Math.random(),
@@ -313,573 +197,670 @@ const TetroMaster = () => {
       setScorePopups(prev => prev.filter(p => p.id !== popup.id));
     }, 2000);
   };
-
-  const clearLines = (board) => {
-    const linesToClear = [];
-    
-    for (let y = BOARD_HEIGHT - 1; y >= 0; y--) {
-      if (board[y].every(cell => cell !== 0)) {
-        linesToClear.push(y);
-      }
-    }
-    
-    if (linesToClear.length > 0) {
-      setClearedLines(linesToClear);
-      
-      // Show Tetris animation for 4 lines
-      if (linesToClear.length === 4) {
-        setShowTetris(true);
-        setTimeout(() => setShowTetris(false), 1000);
-      }
-      
-      // Clear lines after animation
-      setTimeout(() => {
-        const newBoard = [];
-        for (let y = BOARD_HEIGHT - 1; y >= 0; y--) {
-          if (!linesToClear.includes(y)) {
-            newBoard.unshift(board[y]);
+  
+  // Turn engine events into animations and popups
+  const handleEvents = (events) => {
+    events.forEach(event => {
+      switch (event.type) {
+        case 'linesCleared':
+          setClearedLines(event.rows);
+          setTimeout(() => setClearedLines([]), 300);
+          
+          // Show Tetris animation for 4 lines
+          if (event.count === 4) {
+            setShowTetris(true);
+            setTimeout(() => setShowTetris(false), 1000);
           }
+          
+          if (event.combo > 1) {
+            addScorePopup(`${event.combo}× COMBO`, event.comboBonus, 'text-cyan-400');
+          }
+          addScorePopup(event.label, event.base, getClearColor(event));
+          break;
+        case 'levelUp':
+          addScorePopup(`LEVEL ${event.level}`, 0, 'text-green-400');
+          break;
+        case 'finesseFault': {
+          const fault = { ...event, id: Date.now() + Math.random() };
+          setFinesseFault(fault);
+          setTimeout(() => setFinesseFault(prev => (prev && prev.id === fault.id ? null : prev)), 1200);
+          break;
         }
-        
-        while (newBoard.length < BOARD_HEIGHT) {
-          newBoard.unshift(Array(BOARD_WIDTH).fill(0));
-        }
-        
-        setBoard(newBoard);
-        setClearedLines([]);
-      }, 300);
-    }
-    
-    return { board, linesCleared: linesToClear.length };
-  };
-
-  const updateLevel = useCallback((newLines) => {
-    const newLevel = Math.floor(newLines / 10) + 1;
-    if (newLevel > level) {
-      setLevel(newLevel);
-      // More aggressive speed curve for better gameplay feel
-      const newFallTime = Math.max(50, INITIAL_FALL_TIME - (newLevel - 1) * 75);
-      setFallTime(newFallTime);
-      
-      // Show level up notification
-      addScorePopup(`LEVEL ${newLevel}`, 0, 'text-green-400');
-      
-      console.log(`Level up! New level: ${newLevel}, Fall time: ${newFallTime}ms`);
-      return newLevel;
-    }
-    return level;
-  }, [level]);
-
-  const calculateAdvancedScore = (linesCleared, level, isTSpin = false, tSpinType = '', comboCount = 0, isBackToBack = false) => {
-    if (linesCleared === 0) return 0;
-    
-    let baseScore = 0;
-    let scoreText = '';
-    let color = 'text-yellow-400';
-    
-    if (isTSpin) {
-      // T-spin scoring
-      const tSpinScores = {
-        single: 800,
-        double: 1200,
-        triple: 1600
-      };
-      baseScore = tSpinScores[tSpinType] || 400;
-      scoreText = `T-SPIN ${tSpinType.toUpperCase()}`;
-      color = 'text-purple-400';
-    } else {
-      // Regular line clear scoring
-      const baseScores = [0, 100, 300, 500, 800]; // Single, Double, Triple, Tetris
-      baseScore = baseScores[linesCleared];
-      
-      if (linesCleared === 4) {
-        scoreText = 'TETRIS';
-        color = 'text-blue-400';
-      } else if (linesCleared === 3) {
-        scoreText = 'TRIPLE';
-        color = 'text-green-400';
-      } else if (linesCleared === 2) {
-        scoreText = 'DOUBLE';
-        color = 'text-orange-400';
-      } else {
-        scoreText = 'SINGLE';
-      }
-    }
-    
-    // Back-to-back bonus (50% more points)
-    if (isBackToBack && (linesCleared === 4 || isTSpin)) {
-      baseScore = Math.floor(baseScore * 1.5);
-      scoreText = 'B2B ' + scoreText;
-      color = 'text-red-400';
-    }
-    
-    // Combo bonus
-    let comboBonus = 0;
-    if (comboCount > 0) {
-      comboBonus = 50 * comboCount * level;
-      if (comboCount > 1) {
-        addScorePopup(`${comboCount}× COMBO`, comboBonus, 'text-cyan-400');
+        case 'finished':
+          setGameOver(true);
+          break;
+        case 'timeWarning':
+          // Higher pitch for the last three seconds
+          playBeep(event.secondsLeft <= 3 ? 1320 : 880);
+          break;
+        case 'topOut':
+          setGameOverAnimation(true);
+          // Trigger game over after animation
+          setTimeout(() => {
+            setGameOver(true);
+            setGameOverAnimation(false);
+          }, 2000);
+          break;
       }
-    }
-    
-    const totalScore = (baseScore * level) + comboBonus;
-    addScorePopup(scoreText, baseScore * level, color);
-    
-    return totalScore;
+    });
   };
-
-  const spawnNewPiece = useCallback(() => {
-    if (!nextPiece) return;
-    
-    const newPiece = nextPiece;
-    const startX = Math.floor(BOARD_WIDTH / 2) - Math.floor(newPiece.shape[0].length / 2);
-    const startY = 0;
+  
+  const dispatch = useCallback((action) => {
+    if (!gameRef.current) return [];
     
-    if (!isValidMove(board, newPiece, { x: startX, y: startY })) {
-      setGameOverAnimation(true);
-      // Trigger game over after animation
-      setTimeout(() => {
-        setGameOver(true);
-        setGameOverAnimation(false);
-      }, 2000);
-      return;
+    const { frame } = gameRef.current;
+    const { state, events } = step(gameRef.current, action);
+    if (recorderRef.current) {
+      recorderRef.current.record(frame, action, events);
     }
+    gameRef.current = state;
+    setGame(state);
+    handleEvents(events);
+    playEventSounds(events);
+    if (pieceLogRef.current) pieceLogRef.current.record(state, events);
     
-    setCurrentPiece(newPiece);
-    setPosition({ x: startX, y: startY });
-    setRotation(0);
-    setNextPiece(gameMode === 'modern' ? getNextPieceFromBag() : createRandomPiece());
-  }, [board, nextPiece, gameMode, pieceBag, bagIndex]);
-
-  const createRandomPiece = () => {
-    const type = TETROMINO_TYPES[Math.floor(Math.random() * TETROMINO_TYPES.length)];
-    return {
-      shape: TETROMINOES[type],
-      type: type
-    };
-  };
-
-  const drop = useCallback(() => {
-    if (!currentPiece || gameOver || paused) return;
-    
-    const newPos = { x: position.x, y: position.y + 1 };
+    if (events.some(event => event.type === 'finished')) {
+      const stats = getRunStats(state);
+      const isPersonalBest = state.gameType === 'sprint' && saveSprintBest(state.mode, state.targetLines, {
+        time: stats.time,
+        splits: state.splits,
+        pieces: stats.pieces,
+        seed: state.seed,
+        date: new Date().toISOString()
+      });
+      setRunResult({ stats, score: state.score, gameType: state.gameType, isPersonalBest });
+    }
     
-    if (isValidMove(board, currentPiece, newPos)) {
-      setPosition(newPos);
-    } else {
-      const newBoard = placePiece(board, currentPiece, position);
-      const { linesCleared } = clearLines(newBoard);
+    // Once, when the live game ends
+    if (state.gameOver && recorderRef.current) {
+      setLastReplay(recorderRef.current.finish(state));
+      recorderRef.current = null;
+      setPieceLog(pieceLogRef.current.entries());
+      pieceLogRef.current = null;
       
-      if (linesCleared === 0) {
-        setBoard(newBoard);
-        setCombo(0); // Reset combo on no line clear
-        setBackToBack(false);
-        spawnNewPiece();
-      } else {
-        // Check for T-spin
-        const isTSpin = detectTSpin(currentPiece, position, board, lastClearWasTSpin);
-        const tSpinTypes = ['', 'single', 'double', 'triple'];
-        const currentTSpinType = isTSpin ? tSpinTypes[linesCleared] : '';
-        
-        // Determine if this is back-to-back
-        const isBackToBack = backToBack && (linesCleared === 4 || isTSpin);
-        
-        // Calculate advanced score
-        const scoreGained = calculateAdvancedScore(
-          linesCleared, 
-          level, 
-          isTSpin, 
-          currentTSpinType, 
-          combo, 
-          isBackToBack
-        );
-        
-        // Update game state
-        setScore(prev => prev + scoreGained);
-        setLines(prev => {
-          const newLines = prev + linesCleared;
-          const newLevel = Math.floor(newLines / 10) + 1;
-          if (newLevel > level) {
-            setLevel(newLevel);
-            setFallTime(Math.max(50, INITIAL_FALL_TIME - (newLevel - 1) * 50));
-          }
-          return newLines;
-        });
-        
-        // Update combo and back-to-back states
-        setCombo(prev => prev + 1);
-        setBackToBack(linesCleared === 4 || isTSpin);
-        setLastClearWasTSpin(isTSpin);
-        setTSpinType(currentTSpinType);
-        
-        // Spawn new piece after line clear animation
-        setTimeout(() => {
-          spawnNewPiece();
-        }, 300);
+      if (!aiUsedRef.current && canEnterLeaderboard(state)) {
+        const id = getLeaderboardId(state);
+        const entry = createLeaderboardEntry(state, '');
+        const rank = getLeaderboardRank(id, entry);
+        if (rank !== -1) setLeaderboardEntry({ id, entry, rank, saved: false });
       }
     }
-  }, [board, currentPiece, position, gameOver, paused, level, spawnNewPiece, combo, backToBack, lastClearWasTSpin]);
-
-  const move = (dir) => {
-    if (!currentPiece || gameOver || paused) return;
-    
-    const newPos = { x: position.x + dir, y: position.y };
-    if (isValidMove(board, currentPiece, newPos)) {
-      setPosition(newPos);
-    }
+    return events;
+  }, []);
+  
+  // Held-key auto-repeat (DAS/ARR/SDF), shared across renders
+  const inputRef = useRef(null);
+  if (!inputRef.current) {
+    inputRef.current = createInputHandler({
+      dispatch,
+      getFallTime: () => gameRef.current ? gameRef.current.fallTime : INITIAL_FALL_TIME,
+      getPiece: () => gameRef.current
+    });
+  }
+  
+  // The bot plays through dispatch, exactly like the keyboard
+  const autoplayerRef = useRef(null);
+  if (!autoplayerRef.current) {
+    autoplayerRef.current = createAutoplayer({ dispatch });
+  }
+  const tbpPlayerRef = useRef(null);
+  const musicRef = useRef(null);
+  if (!musicRef.current) {
+    musicRef.current = createMusicPlayer();
+  }
+  const padReaderRef = useRef(null);
+  if (!padReaderRef.current) {
+    padReaderRef.current = createPadReader();
+  }
+  
+  // The bot's pick for the live piece, worked out once per piece
+  const hintKey = game && showHint && !aiPlaying && !replay
+    ? `${game.piecesPlaced}:${game.holdUsed}:${game.garbageSpawned}`
+    : null;
+  const hintPlan = useMemo(
+    () => (hintKey && gameRef.current ? planMove(gameRef.current, { weights: aiWeights }) : null),
+    [hintKey, aiWeights]
+  );
+  
+  const updateAiWeight = (name, value) => {
+    setAiWeights(prev => ({ ...prev, [name]: value }));
   };
-
-  const rotate = () => {
-    if (!currentPiece || gameOver || paused) return;
-    
-    const result = tryRotateWithKicks(currentPiece, position, true);
-    if (result) {
-      setCurrentPiece(result.piece);
-      setPosition(result.position);
-      setLastClearWasTSpin(result.wasKicked); // Track if rotation used kicks
-    }
+  
+  const updateDigOption = (name, value) => {
+    setDigOptions(prev => ({ ...prev, [name]: value }));
   };
-
-  const hardDrop = () => {
-    if (!currentPiece || gameOver || paused) return;
-    
-    let dropDistance = 0;
-    let newY = position.y;
-    
-    while (isValidMove(board, currentPiece, { x: position.x, y: newY + 1 })) {
-      newY++;
-      dropDistance++;
-    }
-    
-    if (dropDistance > 0) {
-      setPosition({ x: position.x, y: newY });
-      setScore(prev => prev + dropDistance * 2);
-      // Immediately place the piece after hard drop
-      setTimeout(() => {
-        const newBoard = placePiece(board, currentPiece, { x: position.x, y: newY });
-        const { linesCleared } = clearLines(newBoard);
-        
-        if (linesCleared === 0) {
-          setBoard(newBoard);
-          setCombo(0);
-          setBackToBack(false);
-          spawnNewPiece();
-        } else {
-          // Check for T-spin
-          const isTSpin = detectTSpin(currentPiece, { x: position.x, y: newY }, board, lastClearWasTSpin);
-          const tSpinTypes = ['', 'single', 'double', 'triple'];
-          const currentTSpinType = isTSpin ? tSpinTypes[linesCleared] : '';
-          
-          // Determine if this is back-to-back
-          const isBackToBack = backToBack && (linesCleared === 4 || isTSpin);
-          
-          // Calculate advanced score
-          const scoreGained = calculateAdvancedScore(
-            linesCleared, 
-            level, 
-            isTSpin, 
-            currentTSpinType, 
-            combo, 
-            isBackToBack
-          );
-          
-          setScore(prev => prev + scoreGained);
-          setLines(prev => {
-            const newLines = prev + linesCleared;
-            updateLevel(newLines);
-            return newLines;
-          });
-          
-          // Update combo and back-to-back states
-          setCombo(prev => prev + 1);
-          setBackToBack(linesCleared === 4 || isTSpin);
-          setLastClearWasTSpin(isTSpin);
-          setTSpinType(currentTSpinType);
-          
-          setTimeout(() => {
-            spawnNewPiece();
-          }, 300);
-        }
-      }, 50);
-    }
+  
+  const updateHandling = (name, value) => {
+    setHandling(prev => ({ ...prev, [name]: value }));
   };
-
+  
   const togglePause = () => {
     if (!gameStarted || gameOver) return;
     setPaused(prev => !prev);
   };
-
+  
   const toggleGhost = () => {
     setShowGhost(prev => !prev);
   };
-
+  
   const toggleGameMode = () => {
     // Only allow mode change when game is not in progress
     if (!gameStarted || gameOver) {
-      setGameMode(prev => prev === 'classic' ? 'modern' : 'classic');
+      setGameMode(prev => {
+        const next = getOtherRuleset(prev);
+        setStartLevel(getFirstLevel(next));
+        return next;
+      });
     }
   };
-
-  const getGhostPosition = () => {
-    if (!currentPiece || gameOver || paused) return null;
-    
-    let ghostY = position.y;
-    while (isValidMove(board, currentPiece, { x: position.x, y: ghostY + 1 })) {
-      ghostY++;
+  
+  const toggleHold = () => {
+    // Hold is a ruleset choice, so it can't change mid-game either
+    if (!gameStarted || gameOver) {
+      setHoldEnabled(prev => !prev);
     }
-    
-    return { x: position.x, y: ghostY };
   };
-
+  
+  // Every saved preference, including the side panel's ruleset and handling
+  const restoreDefaults = () => {
+    setBindings(DEFAULT_SETTINGS.bindings);
+    setPadBindings(DEFAULT_SETTINGS.padBindings);
+    setPadAssignment(DEFAULT_SETTINGS.padAssignment);
+    setTouch(DEFAULT_SETTINGS.touch);
+    setShowGhost(DEFAULT_SETTINGS.showGhost);
+    setShowFps(DEFAULT_SETTINGS.showFps);
+    setTheme(DEFAULT_SETTINGS.theme);
+    setGameMode(DEFAULT_SETTINGS.gameMode);
+    setStartLevel(getFirstLevel(DEFAULT_SETTINGS.gameMode));
+    setHoldEnabled(DEFAULT_SETTINGS.holdEnabled);
+    setPreviewCount(DEFAULT_SETTINGS.previewCount);
+    setHandling(DEFAULT_SETTINGS.handling);
+    setSound(DEFAULT_SETTINGS.sound);
+    setVolume(DEFAULT_SETTINGS.volume);
+  };
+  
+  const getGhostPosition = () => {
+    if (!currentPiece || (gameOver && !replay) || paused) return null;
+    return getDropPosition(board, currentPiece, position);
+  };
+  
   const startGame = () => {
-    // Initialize 7-bag system for modern mode
-    if (gameMode === 'modern') {
-      const firstBag = createNewBag();
-      setPieceBag(firstBag);
-      setBagIndex(2); // We'll use first two pieces immediately
-      
-      const firstPiece = { shape: TETROMINOES[firstBag[0]], type: firstBag[0] };
-      const secondPiece = { shape: TETROMINOES[firstBag[1]], type: firstBag[1] };
-      
-      setCurrentPiece(firstPiece);
-      setNextPiece(secondPiece);
-    } else {
-      // Classic mode uses pure random
-      const firstPiece = createRandomPiece();
-      const secondPiece = createRandomPiece();
-      
-      setCurrentPiece(firstPiece);
-      setNextPiece(secondPiece);
-    }
-    
-    setPosition({ x: Math.floor(BOARD_WIDTH / 2) - 1, y: 0 });
-    setRotation(0);
+    const settings = {
+      mode: gameMode,
+      allowHold: gameMode === 'modern' && holdEnabled,
+      allow180: gameMode === 'modern',
+      // Goal modes play at the ruleset's first level, with fixed gravity
+      startLevel: gameType === 'marathon' ? startLevel : undefined,
+      gameType,
+      targetLines: sprintTarget,
+      timeLimit: ultraDuration,
+      gravity: gameMode === 'modern' ? gravity : null,
+      ...(gameType === 'dig' ? digOptions : {})
+    };
+    const seed = seedInput.trim() || createSeed();
+    const newGame = createGame({ ...settings, seed });
+    recorderRef.current = createRecorder(seed, settings);
+    pieceLogRef.current = createPieceLog();
+    setPieceLog(null);
+    musicRef.current.rewind();
+    aiUsedRef.current = false;
+    setLeaderboardEntry(null);
+    setSprintBest(gameType === 'sprint' ? loadSprintBest(gameMode, sprintTarget) : null);
+    setRunResult(null);
+    gameRef.current = newGame;
+    setGame(newGame);
     setGameStarted(true);
     setGameOver(false);
     setGameOverAnimation(false);
     setPaused(false);
-    setScore(0);
-    setLevel(1);
-    setLines(0);
-    setCombo(0);
-    setBackToBack(false);
-    setLastClearWasTSpin(false);
-    setTSpinType('');
     setScorePopups([]);
-    setFallTime(INITIAL_FALL_TIME);
-    setBoard(Array(BOARD_HEIGHT).fill().map(() => Array(BOARD_WIDTH).fill(0)));
     setClearedLines([]);
     setShowTetris(false);
   };
-
+  
   const resetGame = () => {
+    gameRef.current = null;
+    setLeaderboardEntry(null);
+    recorderRef.current = null;
+    pieceLogRef.current = null;
+    setPieceLog(null);
+    // Keep the last board on screen, without its active piece or next queue
+    setGame(prev => prev && { ...prev, piece: null, queue: [] });
     setGameStarted(false);
-    setCurrentPiece(null);
-    setNextPiece(null);
     setPaused(false);
     setGameOverAnimation(false);
     setClearedLines([]);
     setShowTetris(false);
     setKeysPressed(new Set());
-    setCombo(0);
-    setBackToBack(false);
-    setLastClearWasTSpin(false);
-    setTSpinType('');
     setScorePopups([]);
-    setRotation(0);
-    setPieceBag([]);
-    setBagIndex(0);
   };
-
+  
+  const saveLeaderboardEntry = (e) => {
+    e.preventDefault();
+    const name = playerName.trim();
+    if (!isValidName(name)) return;
+    
+    const rank = addLeaderboardEntry(leaderboardEntry.id, { ...leaderboardEntry.entry, name });
+    savePlayerName(name);
+    setLeaderboardEntry(prev => ({ ...prev, rank, saved: true }));
+  };
+  
+  // Touch controls show on touch screens during a live game
+  const showTouchControls = touchScreen && touch.controls !== 'off' && gameStarted && !gameOver && !replay;
+  
+  // The goal the leaderboard opens on, matching the chosen game type
+  const leaderboardGoal = { sprint: sprintTarget, ultra: ultraDuration, dig: digOptions.targetLines }[gameType];
+  
+  const syncReplay = () => {
+    setReplayState(playerRef.current.state);
+    setReplayFrame(playerRef.current.frame);
+  };
+  
+  const openReplay = (replayData) => {
+    playerRef.current = createReplayPlayer(replayData);
+    setReplay(replayData);
+    setReplayError('');
+    setReplaySpeed(1);
+    setReplayPlaying(true);
+    syncReplay();
+  };
+  
+  const closeReplay = () => {
+    playerRef.current = null;
+    setReplay(null);
+    setReplayState(null);
+    setReplayPlaying(false);
+  };
+  
+  const seekReplay = (frame) => {
+    setReplayPlaying(false);
+    playerRef.current.seek(frame);
+    syncReplay();
+  };
+  
+  const toggleReplayPlay = () => {
+    // Restart from the beginning when play is pressed at the end
+    if (!replayPlaying && playerRef.current.frame >= playerRef.current.totalFrames) {
+      playerRef.current.seek(0);
+      syncReplay();
+    }
+    setReplayPlaying(prev => !prev);
+  };
+  
+  const loadReplayFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      openReplay(parseReplay(await file.text()));
+    } catch (error) {
+      setReplayError(error.message);
+    }
+  };
+  
+  // Keyboard, gamepad and touch presses all end up here
+  const pressAction = (action, now) => {
+    // Keys don't move pieces while the bot is playing
+    const canPlay = !paused && !gameOver && !aiPlaying;
+    // Only a rotation that happened cuts DAS; one blocked by the stack doesn't
+    const rotate = (direction) => {
+      const events = dispatch({ type: 'rotate', direction });
+      if (events.some(event => event.type === 'rotate')) inputRef.current.cutDas(now);
+    };
+    
+    switch (action) {
+      case 'left':
+      case 'right':
+      case 'softDrop':
+        if (canPlay) inputRef.current.press(action, now);
+        break;
+      case 'rotateCw':
+        if (canPlay) rotate(1);
+        break;
+      case 'rotateCcw':
+        if (canPlay) rotate(-1);
+        break;
+      case 'rotate180':
+        if (canPlay) rotate(2);
+        break;
+      case 'hardDrop':
+        if (canPlay) dispatch({ type: 'hardDrop' });
+        break;
+      case 'hold':
+        if (canPlay) dispatch({ type: 'hold' });
+        break;
+      case 'pause':
+        togglePause();
+        break;
+      case 'ghost':
+        toggleGhost();
+        break;
+      case 'mode':
+        toggleGameMode();
+        break;
+      case 'ai':
+        setAiPlaying(prev => !prev);
+        break;
+      case 'hint':
+        setShowHint(prev => !prev);
+        break;
+      case 'mute':
+        setSound(prev => !prev);
+        break;
+      case 'fps':
+        setShowFps(prev => !prev);
+        break;
+    }
+  };
+  
+  const releaseAction = (action, now) => {
+    if (['left', 'right', 'softDrop'].includes(action)) {
+      inputRef.current.release(action, now);
+    }
+  };
+  
+  // Gestures make single moves and drops: a press released straight away
+  const tapAction = (action) => {
+    const now = performance.now();
+    pressAction(action, now);
+    releaseAction(action, now);
+  };
+  
   useEffect(() => {
     const handleKeyDown = (e) => {
-      if (!gameStarted) return;
-      
-      const key = e.key;
-      const wasPressed = keysPressed.has(key);
+      // Leave typing in text fields alone, and keys being bound in settings
+      if (!gameStarted || showSettings || (e.target.tagName === 'INPUT' && e.target.type === 'text')) return;
       
-      if (!wasPressed) {
-        setKeysPressed(prev => new Set(prev).add(key));
-        
-        switch (key) {
-          case 'ArrowLeft':
-            e.preventDefault();
-            move(-1);
-            break;
-          case 'ArrowRight':
-            e.preventDefault();
-            move(1);
-            break;
-          case 'ArrowDown':
-            e.preventDefault();
-            if (!paused && !gameOver) {
-              setScore(prev => prev + 1);
-              drop();
-            }
-            break;
-          case 'ArrowUp':
-            e.preventDefault();
-            rotate();
-            break;
-          case ' ':
-            e.preventDefault();
-            hardDrop();
-            break;
-          case 'p':
-          case 'P':
-            e.preventDefault();
-            togglePause();
-            break;
-          case 'g':
-          case 'G':
-            e.preventDefault();
-            toggleGhost();
-            break;
-          case 'm':
-          case 'M':
-            e.preventDefault();
-            toggleGameMode();
-            break;
-        }
-      }
+      const key = normalizeKey(e.key);
+      const action = getBoundAction(bindings, key);
+      if (!action) return;
+      e.preventDefault();
+      if (keysPressed.has(key)) return;
+      setKeysPressed(prev => new Set(prev).add(key));
+      pressAction(action, performance.now());
     };
-
+    
     const handleKeyUp = (e) => {
+      const key = normalizeKey(e.key);
+      releaseAction(getBoundAction(bindings, key), performance.now());
+      
       setKeysPressed(prev => {
         const newSet = new Set(prev);
-        newSet.delete(e.key);
+        newSet.delete(key);
         return newSet;
       });
     };
-
+    
+    // Player 1's pad drives the single-player game, polled once per frame
+    let frame;
+    const pollPad = (now) => {
+      const gamepad = getGamepads()[padAssignment[0]];
+      const { pressed, released } = padReaderRef.current.poll(gamepad, padBindings);
+      if (gameStarted && !showSettings) pressed.forEach(action => pressAction(action, now));
+      released.forEach(action => releaseAction(action, now));
+      frame = requestAnimationFrame(pollPad);
+    };
+    frame = requestAnimationFrame(pollPad);
+    
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
     
     return () => {
+      cancelAnimationFrame(frame);
       window.removeEventListener('keydown', handleKeyDown);
       window.removeEventListener('keyup', handleKeyUp);
     };
-  }, [gameStarted, paused, gameOver, move, drop, rotate, hardDrop, togglePause, toggleGhost, toggleGameMode, keysPressed]);
-
+  }, [gameStarted, paused, gameOver, aiPlaying, dispatch, keysPressed, bindings, padBindings, padAssignment, showSettings]);
+  
   useEffect(() => {
-    if (!gameStarted || gameOver || paused) return;
+    if (!gameStarted || gameOver || paused) {
+      inputRef.current.reset();
+      return;
+    }
     
-    const gameLoop = setInterval(() => {
-      drop();
-    }, fallTime);
+    // The engine owns gravity and lock delay. Each frame, held keys repeat
+    // first and then the ticks that came due run.
+    return startGameLoop({
+      onFrame: (now) => inputRef.current.update(now),
+      onTick: () => dispatch({ type: 'tick', ms: FRAME_MS })
+    });
+  }, [gameStarted, gameOver, paused, dispatch]);
+  
+  useEffect(() => {
+    inputRef.current.setHandling(handling);
+  }, [handling]);
+  
+  useEffect(() => {
+    saveSettings({
+      bindings,
+      padBindings,
+      padAssignment,
+      showGhost,
+      showFps,
+      theme,
+      gameMode,
+      holdEnabled,
+      previewCount,
+      handling,
+      touch,
+      sound,
+      volume
+    });
+  }, [bindings, padBindings, padAssignment, showGhost, showFps, theme, gameMode, holdEnabled, previewCount, handling, touch, sound, volume]);
+  
+  useEffect(() => {
+    setVolumes({ ...volume, muted: !sound });
+  }, [volume, sound]);
+  
+  // Music plays while the live game runs, faster as the level rises
+  useEffect(() => {
+    if (!gameStarted || gameOver || paused || replay) return;
+    const music = musicRef.current;
+    music.start();
+    return () => music.stop();
+  }, [gameStarted, gameOver, paused, replay]);
+  
+  useEffect(() => {
+    musicRef.current.setLevel(level);
+  }, [level]);
+  
+  useEffect(() => {
+    autoplayerRef.current.setOptions({ weights: aiWeights });
+  }, [aiWeights]);
+  
+  // TBP bots run in a Web Worker for as long as they are playing
+  useEffect(() => {
+    if (!aiPlaying || aiBot === 'builtin') return;
     
-    return () => clearInterval(gameLoop);
-  }, [gameStarted, gameOver, paused, fallTime, drop]);
-
-  const renderBoard = () => {
-    const currentPalette = COLOR_PALETTES[(level - 1) % COLOR_PALETTES.length];
-    const displayBoard = board.map(row => [...row]);
-    const ghostPos = getGhostPosition();
+    const stop = (message) => {
+      setAiError(message);
+      setAiPlaying(false);
+    };
+    if (gameMode === 'classic') {
+      stop('TBP bots only play Modern mode');
+      return;
+    }
     
-    // Add ghost piece
-    if (showGhost && ghostPos && currentPiece && !gameOver && !paused && !gameOverAnimation && ghostPos.y !== position.y) {
-      for (let y = 0; y < currentPiece.shape.length; y++) {
-        for (let x = 0; x < currentPiece.shape[y].length; x++) {
-          if (currentPiece.shape[y][x] !== 0) {
-            const boardY = ghostPos.y + y;
-            const boardX = ghostPos.x + x;
-            if (boardY >= 0 && boardY < BOARD_HEIGHT && boardX >= 0 && boardX < BOARD_WIDTH) {
-              if (displayBoard[boardY][boardX] === 0) {
-                displayBoard[boardY][boardX] = 'ghost';
-              }
-            }
-          }
-        }
-      }
+    let worker;
+    try {
+      worker = aiBot === 'tbp'
+        ? new Worker(new URL('./tbp/worker.js', import.meta.url), { type: 'module' })
+        : new Worker(tbpWorkerUrl);
+    } catch (error) {
+      stop(`Could not start the bot: ${error.message}`);
+      return;
     }
     
-    // Add current piece
-    if (currentPiece && !gameOver && !paused && !gameOverAnimation) {
-      for (let y = 0; y < currentPiece.shape.length; y++) {
-        for (let x = 0; x < currentPiece.shape[y].length; x++) {
-          if (currentPiece.shape[y][x] !== 0) {
-            const boardY = position.y + y;
-            const boardX = position.x + x;
-            if (boardY >= 0 && boardY < BOARD_HEIGHT && boardX >= 0 && boardX < BOARD_WIDTH) {
-              displayBoard[boardY][boardX] = currentPiece.type;
-            }
-          }
-        }
-      }
+    setAiError('');
+    const player = createTbpAutoplayer({
+      client: createTbpClient(createWorkerTransport(worker)),
+      dispatch,
+      previews: previewCount,
+      onError: (error) => stop(error.message)
+    });
+    tbpPlayerRef.current = player;
+    
+    return () => {
+      tbpPlayerRef.current = null;
+      player.close();
+    };
+  }, [aiPlaying, aiBot, tbpWorkerUrl, gameMode, previewCount, dispatch]);
+  
+  useEffect(() => {
+    if (!aiPlaying || !gameStarted || gameOver || paused || replay) {
+      autoplayerRef.current.reset();
+      if (tbpPlayerRef.current) tbpPlayerRef.current.reset();
+      return;
     }
     
-    return displayBoard.map((row, y) => (
-      <div key={y} className="flex">
-        {row.map((cell, x) => (
-          <div
-            key={x}
-            className={`w-6 h-6 border border-gray-700 ${
-              clearedLines.includes(y) ? 'animate-pulse bg-white' : ''
-            } ${
-              gameOverAnimation ? 'animate-pulse' : ''
-            }`}
-            style={{
-              backgroundColor: clearedLines.includes(y) 
-                ? '#ffffff' 
-                : gameOverAnimation && cell !== 0
-                  ? '#ff0000'
-                  : cell === 'ghost'
-                    ? 'transparent'
-                    : cell === 0 
-                      ? '#1a1a1a' 
-                      : currentPalette[cell],
-              border: cell === 'ghost' 
-                ? `2px dashed ${currentPalette[currentPiece?.type] || '#ffffff'}` 
-                : '1px solid #374151',
-              boxShadow: cell !== 0 && cell !== 'ghost' && !clearedLines.includes(y) 
-                ? 'inset 2px 2px 4px rgba(255,255,255,0.3), inset -2px -2px 4px rgba(0,0,0,0.3)' 
-                : 'none',
-              transition: gameOverAnimation ? 'background-color 0.3s ease' : 'none'
-            }}
-          />
-        ))}
-      </div>
-    ));
-  };
-
-  const renderNextPiece = () => {
-    if (!nextPiece) return null;
+    // One bot input per interval, so its play can be followed
+    const aiLoop = setInterval(() => {
+      const player = aiBot === 'builtin' ? autoplayerRef.current : tbpPlayerRef.current;
+      if (player && gameRef.current) {
+        aiUsedRef.current = true;
+        player.act(gameRef.current);
+      }
+    }, aiSpeed);
     
-    const currentPalette = COLOR_PALETTES[(level - 1) % COLOR_PALETTES.length];
-    const shape = nextPiece.shape;
-    const shapeHeight = shape.length;
-    const shapeWidth = shape[0] ? shape[0].length : 0;
+    return () => clearInterval(aiLoop);
+  }, [aiPlaying, aiBot, aiSpeed, gameStarted, gameOver, paused, replay]);
+  
+  useEffect(() => {
+    if (!replay || !replayPlaying) return;
     
-    // Calculate padding for centering
-    const paddingTop = Math.floor((4 - shapeHeight) / 2);
-    const paddingLeft = Math.floor((4 - shapeWidth) / 2);
+    // Play back at the chosen speed, stepping whole game ticks
+    let frame;
+    let lastTime = performance.now();
+    let accumulator = 0;
+    const playReplay = (now) => {
+      accumulator += (now - lastTime) * replaySpeed;
+      lastTime = now;
+      while (accumulator >= FRAME_MS && playerRef.current.frame < playerRef.current.totalFrames) {
+        playerRef.current.stepFrame();
+        accumulator -= FRAME_MS;
+      }
+      syncReplay();
+      
+      if (playerRef.current.frame >= playerRef.current.totalFrames) {
+        setReplayPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(playReplay);
+    };
+    frame = requestAnimationFrame(playReplay);
+    
+    return () => cancelAnimationFrame(frame);
+  }, [replay, replayPlaying, replaySpeed]);
+  
+  // Custom themes have their own store, so restoring defaults keeps them
+  const changeCustomThemes = (themes) => {
+    setCustomThemes(themes);
+    saveCustomThemes(themes);
+  };
+  
+  const renderBoard = () => {
+    // The live game's end hides the active piece, but not a replay's
+    const pieceHidden = (gameOver && !replay) || paused || gameOverAnimation;
     
     return (
-      <div className="grid grid-cols-4 gap-0">
-        {Array(4).fill().map((_, y) => 
-          Array(4).fill().map((_, x) => {
-            const shapeY = y - paddingTop;
-            const shapeX = x - paddingLeft;
-            const isInShape = shapeY >= 0 && shapeY < shapeHeight && 
-                             shapeX >= 0 && shapeX < shapeWidth;
-            const cell = isInShape && shape[shapeY][shapeX] ? nextPiece.type : 0;
-            
-            return (
-              <div
-                key={`${y}-${x}`}
-                className="w-5 h-5 border border-gray-600"
-                style={{
-                  backgroundColor: cell === 0 ? '#2a2a2a' : currentPalette[cell],
-                  boxShadow: cell !== 0 ? 'inset 2px 2px 3px rgba(255,255,255,0.3), inset -2px -2px 3px rgba(0,0,0,0.3)' : 'none'
-                }}
-              />
-            );
-          })
-        )}
-      </div>
+      <Playfield
+        board={board}
+        piece={pieceHidden ? null : currentPiece}
+        position={position}
+        ghostPosition={showGhost && ghostAllowed ? getGhostPosition() : null}
+        hint={hintPlan && !pieceHidden ? hintPlan : null}
+        theme={activeTheme}
+        clearedLines={clearedLines}
+        lockProgress={lockProgress}
+        flash={gameOverAnimation}
+        className={BOARD_CLASS}
+      />
     );
   };
-
+  
+  // Watch/download the last game, or load a replay file from disk
+  const renderReplayButtons = () => (
+    <div className="mt-4 text-xs font-mono">
+      {lastReplay && (
+        <div className="flex gap-2 mb-2">
+          <button
+            onClick={() => openReplay(lastReplay)}
+            className="flex-1 bg-cyan-700 hover:bg-cyan-800 text-white font-bold py-1 px-2 rounded transition-colors"
+          >
+            WATCH REPLAY
+          </button>
+          <button
+            onClick={() => downloadReplay(lastReplay)}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded transition-colors"
+          >
+            DOWNLOAD
+          </button>
+        </div>
+      )}
+      <label className="block bg-gray-700 hover:bg-gray-600 text-white font-bold py-1 px-2 rounded transition-colors cursor-pointer text-center">
+        LOAD REPLAY
+        <input type="file" accept=".json,application/json" onChange={loadReplayFile} className="hidden" />
+      </label>
+      {replayError && <div className="text-red-400 mt-1">{replayError}</div>}
+    </div>
+  );
+  
+  // Name entry for a run that made its leaderboard
+  const renderLeaderboardEntry = () => {
+    if (leaderboardEntry.saved) {
+      return leaderboardEntry.rank !== -1 && (
+        <div className="text-yellow-400 font-bold font-mono text-sm mb-4">
+          SAVED AT #{leaderboardEntry.rank + 1}
+        </div>
+      );
+    }
+    
+    return (
+      <form onSubmit={saveLeaderboardEntry} className="mb-4 font-mono">
+        <div className="text-yellow-400 font-bold text-sm mb-2 animate-pulse">
+          #{leaderboardEntry.rank + 1} ON THE LEADERBOARD!
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={playerName}
+            maxLength={NAME_MAX_LENGTH}
+            onChange={(e) => setPlayerName(e.target.value)}
+            placeholder="Your name"
+            autoFocus
+            className="w-full bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white text-sm text-center"
+          />
+          <button
+            type="submit"
+            disabled={!isValidName(playerName)}
+            className="bg-yellow-600 hover:bg-yellow-700 disabled:opacity-50 text-white font-bold py-1 px-3 rounded transition-colors text-sm"
+          >
+            SAVE
+          </button>
+        </div>
+      </form>
+    );
+  };
+  
+  const renderLeaderboardButton = () => (
+    <button
+      onClick={() => setShowLeaderboard(true)}
+      className="mt-2 w-full bg-teal-700 hover:bg-teal-800 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+    >
+      LEADERBOARDS
+    </button>
+  );
+  
+  const renderSettingsButton = () => (
+    <button
+      onClick={() => setShowSettings(true)}
+      className="mt-2 w-full bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+    >
+      SETTINGS
+    </button>
+  );
+  
   const renderScorePopups = () => {
     return scorePopups.map(popup => (
       <div
@@ -896,9 +877,9 @@ const TetroMaster = () => {
       </div>
     ));
   };
-
+  
   return (
-    <div className="flex justify-center items-center min-h-screen bg-gray-900 p-4">
+    <div className="flex justify-center items-start md:items-center min-h-screen bg-gray-900 p-2 md:p-4">
       <style jsx>{`
         @keyframes scorePopup {
           0% { opacity: 1; transform: translateY(0); }
@@ -906,53 +887,94 @@ const TetroMaster = () => {
         }
       `}</style>
       
-      <div className="flex gap-8 items-start">
+      {/* One column on phones, side by side from tablet width up */}
+      <div className="w-full md:w-auto flex flex-col md:flex-row gap-4 md:gap-8 items-center md:items-start">
         {/* Game Board */}
-        <div className="bg-gray-800 p-4 rounded-lg shadow-2xl relative">
-          <div className="border-4 border-gray-600 bg-gray-900 p-2 relative">
-            {renderBoard()}
-            {renderScorePopups()}
-            
-            {/* Game over animation */}
-            {gameOverAnimation && (
-              <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-20">
-                <div className="text-center">
-                  <div className="text-6xl font-bold text-red-400 animate-pulse font-mono drop-shadow-lg mb-4">
-                    GAME OVER
+        <div className="w-full md:w-auto flex flex-col items-center">
+          {shownGame && (gameStarted || replay) && (
+            <MobileHud
+              game={shownGame}
+              nextPieces={nextPieces}
+              theme={activeTheme}
+              paused={paused}
+              onPause={gameStarted && !gameOver && !replay ? togglePause : null}
+            />
+          )}
+          <div className="bg-gray-800 p-2 md:p-4 rounded-lg shadow-2xl relative">
+            <GestureArea
+              enabled={showTouchControls && touch.controls === 'gestures'}
+              settings={touch}
+              onAction={tapAction}
+              className="border-2 md:border-4 border-gray-600 bg-gray-900 p-1 md:p-2 relative"
+            >
+              {renderBoard()}
+              {renderScorePopups()}
+              
+              {hintPlan && hintPlan.hold && !gameOver && !paused && (
+                <div className="absolute top-3 left-3 text-xs font-bold font-mono text-teal-300 pointer-events-none z-10">
+                  HINT: HOLD
+                </div>
+              )}
+              
+              {finesseFault && !gameOver && (
+                <div className="absolute top-3 right-3 text-right text-xs font-bold font-mono text-orange-400 pointer-events-none z-10">
+                  <div>FINESSE {finesseFault.inputs}/{finesseFault.optimal}</div>
+                  <div className="text-orange-200">{formatFinessePath(finesseFault.path)}</div>
+                </div>
+              )}
+              
+              {/* Game over animation */}
+              {gameOverAnimation && (
+                <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-20">
+                  <div className="text-center">
+                    <div className="text-4xl md:text-6xl font-bold text-red-400 animate-pulse font-mono drop-shadow-lg mb-4">
+                      GAME OVER
+                    </div>
+                    <div className="text-xl md:text-2xl font-bold text-white animate-bounce font-mono">
+                      Press any key...
+                    </div>
                   </div>
-                  <div className="text-2xl font-bold text-white animate-bounce font-mono">
-                    Press any key...
+                </div>
+              )}
+              
+              {/* Pause overlay */}
+              {paused && !gameOverAnimation && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center z-10">
+                  <div className="text-white text-2xl font-bold font-mono">PAUSED</div>
+                </div>
+              )}
+              
+              {/* Tetris animation */}
+              {showTetris && !gameOverAnimation && (
+                <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-10">
+                  <div className="text-4xl md:text-6xl font-bold text-yellow-400 animate-bounce font-mono drop-shadow-lg">
+                    TETRIS!
                   </div>
                 </div>
-              </div>
-            )}
-            
-            {/* Pause overlay */}
-            {paused && !gameOverAnimation && (
-              <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center z-10">
-                <div className="text-white text-2xl font-bold font-mono">PAUSED</div>
-              </div>
-            )}
+              )}
+            </GestureArea>
             
-            {/* Tetris animation */}
-            {showTetris && !gameOverAnimation && (
-              <div className="absolute inset-0 flex items-center justify-center pointer-events-none z-10">
-                <div className="text-6xl font-bold text-yellow-400 animate-bounce font-mono drop-shadow-lg">
-                  TETRIS!
-                </div>
-              </div>
+            {showTouchControls && touch.controls === 'buttons' && (
+              <TouchControls
+                allow180={game.allow180}
+                allowHold={game.allowHold}
+                onPress={pressAction}
+                onRelease={releaseAction}
+              />
             )}
           </div>
         </div>
         
-        {/* Side Panel */}
-        <div className="bg-gray-800 p-6 rounded-lg shadow-2xl w-64">
+        {/* Side Panel, first on phones until a game starts */}
+        <div className={`bg-gray-800 p-6 rounded-lg shadow-2xl w-full max-w-sm md:w-64 ${
+          gameStarted || replay ? '' : 'order-first md:order-none'
+        }`}>
           <h1 className="text-3xl font-bold text-center mb-4 text-white font-mono">
             TETROMASTER
           </h1>
           
           {/* Game Mode Toggle - Only show when game not in progress */}
-          {(!gameStarted || gameOver) && (
+          {(!gameStarted || gameOver) && !replay && (
             <div className="mb-4 text-center">
               <button
                 onClick={toggleGameMode}
@@ -965,22 +987,248 @@ const TetroMaster = () => {
                 {gameMode === 'modern' ? 'MODERN' : 'CLASSIC'}
               </button>
               <div className="text-xs text-gray-400 mt-1">
-                {gameMode === 'modern' ? '7-bag + T-spins' : 'Pure random'}
+                {gameMode === 'modern' ? '7-bag + T-spins' : 'NES rules'}
+              </div>
+              {/* The NES ruleset never has hold */}
+              {gameMode === 'modern' && (
+                <button
+                  onClick={toggleHold}
+                  className={`mt-2 font-bold py-1 px-3 rounded transition-colors text-xs ${
+                    holdEnabled 
+                      ? 'bg-purple-600 hover:bg-purple-700 text-white' 
+                      : 'bg-gray-600 hover:bg-gray-700 text-white'
+                  }`}
+                >
+                  {holdEnabled ? 'HOLD ON' : 'HOLD OFF'}
+                </button>
+              )}
+              <div className="mt-3 flex gap-1 justify-center">
+                {GAME_TYPES.map(type => (
+                  <button
+                    key={type}
+                    onClick={() => setGameType(type)}
+                    className={`font-bold py-1 px-2 rounded transition-colors text-xs uppercase ${
+                      gameType === type 
+                        ? 'bg-green-600 hover:bg-green-700 text-white' 
+                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    }`}
+                  >
+                    {type}
+                  </button>
+                ))}
               </div>
+              {gameType === 'sprint' && (
+                <label className="mt-2 flex justify-center items-center gap-2 text-xs text-gray-400 font-mono">
+                  <span>Lines</span>
+                  <select
+                    value={sprintTarget}
+                    onChange={(e) => setSprintTarget(Number(e.target.value))}
+                    className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                  >
+                    {SPRINT_TARGETS.map(target => (
+                      <option key={target} value={target}>{target}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {gameType === 'ultra' && (
+                <label className="mt-2 flex justify-center items-center gap-2 text-xs text-gray-400 font-mono">
+                  <span>Time</span>
+                  <select
+                    value={ultraDuration}
+                    onChange={(e) => setUltraDuration(Number(e.target.value))}
+                    className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                  >
+                    {ULTRA_DURATIONS.map(duration => (
+                      <option key={duration} value={duration}>{duration / 60000} min</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              {gameType === 'dig' && (
+                <div className="mt-2 text-xs text-gray-400 font-mono">
+                  <label className="flex justify-center items-center gap-2">
+                    <span>Lines</span>
+                    <select
+                      value={digOptions.targetLines}
+                      onChange={(e) => updateDigOption('targetLines', Number(e.target.value))}
+                      className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                    >
+                      {DIG_TARGETS.map(target => (
+                        <option key={target} value={target}>{target}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="mt-1 flex justify-center items-center gap-2">
+                    <span>Rise every</span>
+                    <input
+                      type="number"
+                      min={1}
+                      max={30}
+                      value={digOptions.garbageEvery}
+                      onChange={(e) => updateDigOption('garbageEvery', Math.max(1, Math.min(30, Number(e.target.value) || 1)))}
+                      className="w-10 bg-gray-900 border border-gray-600 rounded px-1 text-white text-right"
+                    />
+                    <select
+                      value={digOptions.garbageTrigger}
+                      onChange={(e) => updateDigOption('garbageTrigger', e.target.value)}
+                      className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                    >
+                      <option value="pieces">pieces</option>
+                      <option value="time">seconds</option>
+                    </select>
+                  </label>
+                  <label className="mt-1 flex justify-center items-center gap-2">
+                    <span>Messiness</span>
+                    <input
+                      type="range"
+                      min={0}
+                      max={100}
+                      value={Math.round(digOptions.messiness * 100)}
+                      onChange={(e) => updateDigOption('messiness', Number(e.target.value) / 100)}
+                      className="w-20"
+                    />
+                    <span className="w-8 text-right">{Math.round(digOptions.messiness * 100)}%</span>
+                  </label>
+                </div>
+              )}
+              {gameType === 'marathon' && (
+                <label className="mt-2 flex justify-center items-center gap-2 text-xs text-gray-400 font-mono">
+                  <span>Start level</span>
+                  <select
+                    value={startLevel}
+                    onChange={(e) => setStartLevel(Number(e.target.value))}
+                    className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                  >
+                    {startLevelOptions.map(value => (
+                      <option key={value} value={value}>{value}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
+              <label className="mt-2 flex justify-center items-center gap-2 text-xs text-gray-400 font-mono">
+                <span>Previews</span>
+                <select
+                  value={previewCount}
+                  onChange={(e) => setPreviewCount(Number(e.target.value))}
+                  className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                >
+                  {Array.from({ length: MAX_PREVIEWS }, (_, i) => i + 1).map(count => (
+                    <option key={count} value={count}>{count}</option>
+                  ))}
+                </select>
+              </label>
+              {gameMode === 'modern' && (
+                <label className="mt-2 flex justify-center items-center gap-2 text-xs text-gray-400 font-mono">
+                  <span>Gravity</span>
+                  <select
+                    value={gravity === null ? '' : gravity}
+                    onChange={(e) => setGravity(e.target.value === '' ? null : Number(e.target.value))}
+                    className="bg-gray-900 border border-gray-600 rounded px-1 text-white"
+                  >
+                    <option value="">By level</option>
+                    {FIXED_GRAVITIES.map(value => (
+                      <option key={value} value={value}>{value}G</option>
+                    ))}
+                  </select>
+                </label>
+              )}
             </div>
           )}
           
-          {!gameStarted ? (
+          {/* Handling - key repeat tuning */}
+          {(!gameStarted || gameOver) && !replay && (
+            <div className="mb-4 text-white font-mono text-xs">
+              <h3 className="text-sm mb-2">Handling:</h3>
+              {[
+                { name: 'das', label: 'DAS (ms)', min: 0, max: 500 },
+                { name: 'arr', label: 'ARR (ms)', min: 0, max: 200 },
+                { name: 'dcd', label: 'DCD (ms)', min: 0, max: 200 }
+              ].map(({ name, label, min, max }) => (
+                <label key={name} className="flex justify-between items-center mb-1">
+                  <span>{label}</span>
+                  <input
+                    type="number"
+                    min={min}
+                    max={max}
+                    value={handling[name]}
+                    onChange={(e) => updateHandling(name, Math.max(min, Math.min(max, Number(e.target.value) || 0)))}
+                    className="w-16 bg-gray-900 border border-gray-600 rounded px-1 text-right"
+                  />
+                </label>
+              ))}
+              <label className="flex justify-between items-center mb-1">
+                <span>SDF</span>
+                <select
+                  value={handling.sdf}
+                  onChange={(e) => updateHandling('sdf', Number(e.target.value))}
+                  className="w-16 bg-gray-900 border border-gray-600 rounded px-1"
+                >
+                  {[2, 5, 10, 20, 40, Infinity].map(sdf => (
+                    <option key={sdf} value={sdf}>{sdf === Infinity ? '∞' : `${sdf}×`}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          )}
+          
+          {!gameStarted && !replay ? (
             <div className="text-center">
+              <input
+                type="text"
+                value={seedInput}
+                onChange={(e) => setSeedInput(e.target.value)}
+                placeholder="Seed (optional)"
+                className="w-full mb-3 bg-gray-900 border border-gray-600 rounded px-2 py-1 text-white font-mono text-sm text-center"
+              />
               <button
                 onClick={startGame}
                 className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg text-xl transition-colors"
               >
                 START GAME
               </button>
+              <div className="mt-3 flex gap-2">
+                {onVersus && (
+                  <button
+                    onClick={onVersus}
+                    className="flex-1 bg-red-700 hover:bg-red-800 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+                  >
+                    2P VERSUS
+                  </button>
+                )}
+                {onOnline && (
+                  <button
+                    onClick={onOnline}
+                    className="flex-1 bg-indigo-700 hover:bg-indigo-800 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+                  >
+                    ONLINE
+                  </button>
+                )}
+              </div>
+              {onTrainer && (
+                <button
+                  onClick={onTrainer}
+                  className="mt-2 w-full bg-orange-700 hover:bg-orange-800 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+                >
+                  FINESSE TRAINER
+                </button>
+              )}
+              {renderLeaderboardButton()}
+              {renderSettingsButton()}
+              {renderReplayButtons()}
             </div>
           ) : (
             <>
+              {shownGame.gameType === 'sprint' && (replay || !runResult) && (
+                <SprintPanel game={shownGame} best={sprintBest} />
+              )}
+              {shownGame.gameType === 'ultra' && (replay || !runResult) && (
+                <CountdownPanel game={shownGame} />
+              )}
+              {shownGame.gameType === 'dig' && (replay || !runResult) && (
+                <DigPanel game={shownGame} />
+              )}
+              
               <div className="mb-6 text-white font-mono">
                 <div className="flex justify-between mb-2">
                   <span>Score:</span>
@@ -996,9 +1244,20 @@ const TetroMaster = () => {
                 </div>
                 <div className="flex justify-between mb-2">
                   <span>Speed:</span>
-                  <span className="text-purple-400">{fallTime}ms</span>
+                  <span className="text-purple-400">{formatSpeed(fallTime)}</span>
                 </div>
-                {gameMode === 'modern' && (
+                <div className="flex justify-between mb-2">
+                  <span>Finesse:</span>
+                  <span className="text-orange-400">
+                    {formatFinesse(getFinessePercent(shownGame))}
+                    {shownGame.finesseFaults > 0 && ` (${shownGame.finesseFaults})`}
+                  </span>
+                </div>
+                <div className="flex justify-between mb-2 text-xs">
+                  <span>Seed:</span>
+                  <span className="text-gray-400 select-all">{shownGame.seed}</span>
+                </div>
+                {shownGame.mode === 'modern' && (
                   <>
                     <div className="flex justify-between mb-2">
                       <span>Combo:</span>
@@ -1018,14 +1277,44 @@ const TetroMaster = () => {
                 )}
               </div>
               
-              <div className="mb-6">
-                <h3 className="text-white font-mono mb-2">Next:</h3>
-                <div className="bg-gray-900 p-4 rounded border-2 border-gray-600 flex justify-center">
-                  {renderNextPiece()}
+              <LiveStats game={shownGame} palette={activeTheme.colors} />
+              
+              <div className="mb-6 flex gap-2">
+                {shownGame.allowHold && (
+                  <div className="flex-1">
+                    <h3 className="text-white font-mono mb-2">Hold:</h3>
+                    <div className={`bg-gray-900 p-2 rounded border-2 border-gray-600 flex justify-center ${
+                      holdUsed ? 'opacity-50' : ''
+                    }`}>
+                      <PiecePreview piece={holdPiece} theme={activeTheme} />
+                    </div>
+                  </div>
+                )}
+                <div className="flex-1">
+                  <h3 className="text-white font-mono mb-2">Next:</h3>
+                  <div className="bg-gray-900 p-2 rounded border-2 border-gray-600 flex flex-col items-center gap-2">
+                    {nextPieces.map((piece, index) => (
+                      <PiecePreview key={index} piece={piece} theme={activeTheme} />
+                    ))}
+                  </div>
                 </div>
               </div>
               
-              {gameStarted && !gameOver && (
+              {replay && (
+                <ReplayControls
+                  frame={replayFrame}
+                  totalFrames={replay.frames}
+                  playing={replayPlaying}
+                  speed={replaySpeed}
+                  onTogglePlay={toggleReplayPlay}
+                  onSeek={seekReplay}
+                  onSpeedChange={setReplaySpeed}
+                  onDownload={() => downloadReplay(replay)}
+                  onClose={closeReplay}
+                />
+              )}
+              
+              {gameStarted && !gameOver && !replay && (
                 <div className="mb-4 flex gap-2">
                   <button
                     onClick={togglePause}
@@ -1037,49 +1326,132 @@ const TetroMaster = () => {
                   >
                     {paused ? 'RESUME' : 'PAUSE'}
                   </button>
-                  <button
-                    onClick={toggleGhost}
-                    className={`flex-1 font-bold py-2 px-3 rounded transition-colors text-sm ${
-                      showGhost 
-                        ? 'bg-purple-600 hover:bg-purple-700 text-white' 
-                        : 'bg-gray-600 hover:bg-gray-700 text-white'
-                    }`}
-                  >
-                    {showGhost ? 'GHOST ON' : 'GHOST OFF'}
-                  </button>
+                  {ghostAllowed && (
+                    <button
+                      onClick={toggleGhost}
+                      className={`flex-1 font-bold py-2 px-3 rounded transition-colors text-sm ${
+                        showGhost 
+                          ? 'bg-purple-600 hover:bg-purple-700 text-white' 
+                          : 'bg-gray-600 hover:bg-gray-700 text-white'
+                      }`}
+                    >
+                      {showGhost ? 'GHOST ON' : 'GHOST OFF'}
+                    </button>
+                  )}
                 </div>
               )}
               
-              {gameOver && (
+              {gameOver && !replay && (
                 <div className="text-center">
-                  <div className="text-red-400 font-bold text-xl mb-4">
-                    GAME OVER
-                  </div>
+                  {runResult ? (
+                    runResult.gameType === 'ultra' ? (
+                      <RunSummary title="TIME UP" stats={runResult.stats} score={runResult.score} />
+                    ) : (
+                      <RunSummary
+                        title={runResult.gameType === 'dig' ? 'DUG OUT' : 'FINISHED'}
+                        stats={runResult.stats}
+                        isPersonalBest={runResult.isPersonalBest}
+                      />
+                    )
+                  ) : (
+                    <>
+                      <div className="text-red-400 font-bold text-xl mb-2">
+                        GAME OVER
+                      </div>
+                      <div className="text-white font-mono text-sm mb-4">
+                        Finesse: {formatFinesse(getFinessePercent(shownGame))}
+                      </div>
+                    </>
+                  )}
+                  {leaderboardEntry && renderLeaderboardEntry()}
                   <button
                     onClick={resetGame}
                     className="bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded transition-colors"
                   >
                     NEW GAME
                   </button>
+                  {renderLeaderboardButton()}
+                  {renderSettingsButton()}
+                  {renderReplayButtons()}
                 </div>
               )}
             </>
           )}
+          
+          {!replay && (
+            <AiPanel
+              playing={aiPlaying}
+              hints={showHint}
+              speed={aiSpeed}
+              weights={aiWeights}
+              bot={aiBot}
+              workerUrl={tbpWorkerUrl}
+              error={aiError}
+              onTogglePlay={() => setAiPlaying(prev => !prev)}
+              onToggleHints={() => setShowHint(prev => !prev)}
+              onSpeedChange={setAiSpeed}
+              onBotChange={(id) => {
+                setAiBot(id);
+                setAiError('');
+              }}
+              onWorkerUrlChange={setTbpWorkerUrl}
+              onWeightChange={updateAiWeight}
+              onResetWeights={() => setAiWeights(DEFAULT_WEIGHTS)}
+            />
+          )}
         </div>
+        
+        {gameOver && pieceLog && !replay && (
+          <GameReport entries={pieceLog} stats={getRunStats(game)} mode={game.mode} seed={game.seed} />
+        )}
       </div>
       
       {/* Instructions - Always visible at bottom */}
-      <div className="fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-gray-800 bg-opacity-90 text-white text-xs px-4 py-2 rounded-lg font-mono">
+      <div className="hidden md:block fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-gray-800 bg-opacity-90 text-white text-xs px-4 py-2 rounded-lg font-mono">
         <div className="flex gap-4 items-center">
-          <span>← → Move</span>
-          <span>↓ Soft Drop</span>
-          <span>↑ Rotate</span>
-          <span>Space Hard Drop</span>
-          <span>P Pause</span>
-          <span>G Ghost</span>
-          <span>M Mode</span>
+          {BOUND_ACTIONS.map(({ id, hint }) => (
+            <span key={id}>{formatKeys(bindings[id])} {hint}</span>
+          ))}
         </div>
       </div>
+      
+      {showFps && <FpsOverlay />}
+      
+      {showLeaderboard && (
+        <Leaderboard
+          initialGameType={gameType}
+          initialMode={gameMode}
+          initialGoal={leaderboardGoal}
+          onClose={() => setShowLeaderboard(false)}
+        />
+      )}
+      
+      {showSettings && (
+        <SettingsMenu
+          bindings={bindings}
+          padBindings={padBindings}
+          padAssignment={padAssignment}
+          touch={touch}
+          showGhost={showGhost}
+          showFps={showFps}
+          theme={theme}
+          customThemes={customThemes}
+          sound={sound}
+          volume={volume}
+          onBindingsChange={setBindings}
+          onPadBindingsChange={setPadBindings}
+          onPadAssignmentChange={setPadAssignment}
+          onTouchChange={setTouch}
+          onGhostChange={setShowGhost}
+          onFpsChange={setShowFps}
+          onThemeChange={setTheme}
+          onCustomThemesChange={changeCustomThemes}
+          onSoundChange={setSound}
+          onVolumeChange={setVolume}
+          onRestoreDefaults={restoreDefaults}
+          onClose={() => setShowSettings(false)}
+        />
+      )}
     </div>
   );
 };
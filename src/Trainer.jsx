@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  INITIAL_FALL_TIME,
+  TETROMINO_TYPES,
+  FINESSE_INPUTS,
+  createDrill,
+  step,
+  getDropPosition,
+  getFinesseTargets,
+  getShapeKey
+} from './engine/index.js';
+import { createInputHandler } from './input/handling.js';
+import { getBoundAction, formatKeys } from './input/bindings.js';
+import { loadSettings } from './settings.js';
+import { getTheme, loadCustomThemes } from './themes.js';
+import { formatFinessePath } from './format.js';
+import Playfield from './components/Playfield.jsx';
+
+// Finesse trainer: one piece at a time on an empty board, with a target spot
+// to drop it into in as few presses as possible. A miss plays back the
+// shortest sequence, then the same piece and target come round again.
+
+// The single-player bindings, minus soft drop and hold: there is nothing to tuck under
+const BOUND_GAME_ACTIONS = {
+  rotateCw: { type: 'rotate', direction: 1 },
+  rotateCcw: { type: 'rotate', direction: -1 },
+  rotate180: { type: 'rotate', direction: 2 },
+  hardDrop: { type: 'hardDrop' }
+};
+const REPEAT_ACTIONS = ['left', 'right'];
+
+const DEMO_STEP_MS = 120; // between inputs of the played-back sequence
+const DEMO_HOLD_MS = 600; // on the finished sequence before the retry
+
+const Trainer = ({ onExit }) => {
+  const [{ bindings, handling, theme }] = useState(loadSettings);
+  const [customThemes] = useState(loadCustomThemes);
+  const drillRef = useRef(null);
+  const [drill, setDrill] = useState(null);
+  const [target, setTarget] = useState(null); // { piece, position, path }
+  const [pieceFilter, setPieceFilter] = useState('');
+  const [allow180, setAllow180] = useState(true);
+  const [result, setResult] = useState(null); // { correct, inputs, optimal }
+  const [demo, setDemo] = useState(false);
+  const [stats, setStats] = useState({ attempts: 0, correct: 0, streak: 0, bestStreak: 0 });
+  const demoTimersRef = useRef([]);
+  
+  const showDrill = (next) => {
+    drillRef.current = next;
+    setDrill(next);
+  };
+  
+  // A fresh piece for the same target
+  const retry = useCallback((goal) => {
+    showDrill(createDrill(goal.piece.type, { mode: 'modern', allow180 }));
+  }, [allow180]);
+  
+  // A random piece (or the chosen one) and a random spot worth pressing for
+  const nextTarget = useCallback(() => {
+    const type = pieceFilter || TETROMINO_TYPES[Math.floor(Math.random() * TETROMINO_TYPES.length)];
+    const next = createDrill(type, { mode: 'modern', allow180 });
+    const targets = getFinesseTargets(next, next).filter(spot => spot.path.length > 0);
+    setTarget(targets[Math.floor(Math.random() * targets.length)]);
+    showDrill(next);
+  }, [pieceFilter, allow180]);
+  
+  useEffect(() => {
+    nextTarget();
+  }, [nextTarget]);
+  
+  useEffect(() => () => demoTimersRef.current.forEach(timer => clearTimeout(timer)), []);
+  
+  // Play the shortest sequence on a fresh piece, then hand it back
+  const playDemo = (goal) => {
+    let state = createDrill(goal.piece.type, { mode: 'modern', allow180 });
+    const actions = goal.path.flatMap(input => FINESSE_INPUTS[input].actions);
+    showDrill(state);
+    setDemo(true);
+    
+    let index = 0;
+    const timer = setInterval(() => {
+      // Skip the slide's moves into the wall so each frame shows progress
+      while (index < actions.length) {
+        const next = step(state, actions[index++]).state;
+        const moved = next.piece !== state.piece || next.position !== state.position;
+        state = next;
+        if (moved) break;
+      }
+      showDrill(state);
+      if (index >= actions.length) {
+        clearInterval(timer);
+        demoTimersRef.current = [setTimeout(() => {
+          setDemo(false);
+          retry(goal);
+        }, DEMO_HOLD_MS)];
+      }
+    }, DEMO_STEP_MS);
+    demoTimersRef.current = [timer];
+  };
+  
+  // The drop is judged before it happens, while the piece is still in play
+  const judge = (state) => {
+    const landing = getDropPosition(state.board, state.piece, state.position);
+    const correct = getShapeKey(state.piece, landing) === getShapeKey(target.piece, target.position)
+      && state.pieceInputs <= target.path.length;
+    
+    setResult({ correct, inputs: state.pieceInputs, optimal: target.path.length });
+    setStats(prev => {
+      const streak = correct ? prev.streak + 1 : 0;
+      return {
+        attempts: prev.attempts + 1,
+        correct: prev.correct + (correct ? 1 : 0),
+        streak,
+        bestStreak: Math.max(prev.bestStreak, streak)
+      };
+    });
+    if (correct) {
+      nextTarget();
+    } else {
+      playDemo(target);
+    }
+  };
+  
+  // Handlers call through a ref so they always judge against the current target
+  const dispatchRef = useRef(null);
+  dispatchRef.current = (action) => {
+    const state = drillRef.current;
+    if (!state || !state.piece) return [];
+    
+    if (action.type === 'hardDrop') {
+      judge(state);
+      return [];
+    }
+    const { state: next, events } = step(state, action);
+    showDrill(next);
+    return events;
+  };
+  
+  const inputRef = useRef(null);
+  if (!inputRef.current) {
+    inputRef.current = createInputHandler({
+      dispatch: (action) => dispatchRef.current(action),
+      getFallTime: () => INITIAL_FALL_TIME,
+      getPiece: () => drillRef.current,
+      handling
+    });
+  }
+  
+  useEffect(() => {
+    if (demo) {
+      inputRef.current.reset();
+      return;
+    }
+    
+    const handleKeyDown = (e) => {
+      const bound = getBoundAction(bindings, e.key);
+      const repeat = REPEAT_ACTIONS.includes(bound);
+      const action = BOUND_GAME_ACTIONS[bound];
+      if (!repeat && !action) return;
+      e.preventDefault();
+      if (e.repeat) return;
+      
+      const now = performance.now();
+      if (repeat) {
+        inputRef.current.press(bound, now);
+      } else {
+        const events = dispatchRef.current(action);
+        if (events.some(event => event.type === 'rotate')) inputRef.current.cutDas(now);
+      }
+    };
+    
+    const handleKeyUp = (e) => {
+      const bound = getBoundAction(bindings, e.key);
+      if (REPEAT_ACTIONS.includes(bound)) inputRef.current.release(bound, performance.now());
+    };
+    
+    // Poll held keys once per frame for auto-repeat
+    let frame;
+    const pollInput = (now) => {
+      inputRef.current.update(now);
+      frame = requestAnimationFrame(pollInput);
+    };
+    frame = requestAnimationFrame(pollInput);
+    
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [demo, bindings]);
+  
+  const boardTheme = getTheme(theme, customThemes, 1);
+  
+  return (
+    <div className="flex flex-col justify-center items-center min-h-screen bg-gray-900 p-4">
+      <h1 className="text-3xl font-bold text-center mb-4 text-white font-mono">
+        FINESSE TRAINER
+      </h1>
+      
+      <div className="flex gap-8 items-start">
+        <div className="bg-gray-800 p-4 rounded-lg shadow-2xl">
+          <div className="border-4 border-gray-600 bg-gray-900 p-2 relative">
+            {drill ? (
+              <Playfield
+                board={drill.board}
+                piece={drill.piece}
+                position={drill.position}
+                ghostPosition={drill.piece ? getDropPosition(drill.board, drill.piece, drill.position) : null}
+                hint={target}
+                theme={boardTheme}
+              />
+            ) : (
+              <div className="w-[240px] h-[480px]" />
+            )}
+            {demo && (
+              <div className="absolute top-3 left-0 right-0 text-center text-sm font-bold font-mono text-orange-400 pointer-events-none">
+                WATCH: {formatFinessePath(target.path)}
+              </div>
+            )}
+          </div>
+        </div>
+        
+        <div className="bg-gray-800 p-4 rounded-lg shadow-2xl w-64 text-white font-mono">
+          <div className="text-sm mb-4">
+            Drop the piece into the outlined spot in as few presses as possible.
+          </div>
+          
+          <div className="h-16 mb-4 text-center">
+            {result && (
+              <>
+                <div className={`text-xl font-bold ${result.correct ? 'text-green-400' : 'text-red-400'}`}>
+                  {result.correct ? 'CLEAN' : 'MISS'}
+                </div>
+                <div className="text-xs text-gray-300">
+                  {result.inputs} presses, best is {result.optimal}
+                </div>
+              </>
+            )}
+          </div>
+          
+          <div className="mb-4 text-sm">
+            <div className="flex justify-between mb-1">
+              <span>Attempts:</span>
+              <span>{stats.attempts}</span>
+            </div>
+            <div className="flex justify-between mb-1">
+              <span>Clean:</span>
+              <span className="text-green-400">
+                {stats.attempts > 0 ? Math.round((stats.correct / stats.attempts) * 100) : 0}%
+              </span>
+            </div>
+            <div className="flex justify-between mb-1">
+              <span>Streak:</span>
+              <span className="text-yellow-400">{stats.streak} (best {stats.bestStreak})</span>
+            </div>
+          </div>
+          
+          <label className="flex justify-between items-center mb-2 text-sm">
+            <span>Piece</span>
+            <select
+              value={pieceFilter}
+              disabled={demo}
+              onChange={(e) => setPieceFilter(e.target.value)}
+              className="w-20 bg-gray-900 border border-gray-600 rounded px-1"
+            >
+              <option value="">Any</option>
+              {TETROMINO_TYPES.map(type => (
+                <option key={type} value={type}>{type}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex justify-between items-center mb-4 text-sm">
+            <span>180° rotation</span>
+            <input type="checkbox" checked={allow180} disabled={demo} onChange={(e) => setAllow180(e.target.checked)} />
+          </label>
+          
+          <div className="flex gap-2 mb-4">
+            <button
+              onClick={nextTarget}
+              disabled={demo}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+            >
+              SKIP
+            </button>
+            <button
+              onClick={onExit}
+              className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-2 rounded transition-colors text-sm"
+            >
+              MENU
+            </button>
+          </div>
+          
+          <div className="text-xs text-gray-400">
+            {formatKeys(bindings.left)} {formatKeys(bindings.right)} move (hold to slide) ·{' '}
+            {formatKeys(bindings.rotateCw)} CW · {formatKeys(bindings.rotateCcw)} CCW ·{' '}
+            {formatKeys(bindings.rotate180)} 180 · {formatKeys(bindings.hardDrop)} drop
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Trainer;
@@ -0,0 +1,448 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  INITIAL_FALL_TIME,
+  FRAME_MS,
+  VERSUS_PLAYERS,
+  createMatch,
+  stepMatch,
+  tickMatch,
+  getIncomingGarbage,
+  getDropPosition,
+  getLockProgress,
+  getNextPieces,
+  getRunStats
+} from './engine/index.js';
+import { createInputHandler } from './input/handling.js';
+import { createPadReader, getGamepads } from './input/gamepad.js';
+import { loadSettings } from './settings.js';
+import { playEventSounds } from './audio/cues.js';
+import { createAutoplayer } from './ai/bot.js';
+import { AI_SPEEDS } from './components/AiPanel.jsx';
+import { getTheme, loadCustomThemes } from './themes.js';
+import { startGameLoop } from './loop.js';
+import Playfield from './components/Playfield.jsx';
+import PiecePreview from './components/PiecePreview.jsx';
+import GarbageMeter from './components/GarbageMeter.jsx';
+
+// One keyboard, two players: WASD side and arrow side. Keys are matched on
+// KeyboardEvent.code so the left and right Shift keys can be told apart.
+// Each player can also use the gamepad assigned to them in the settings.
+const VERSUS_BINDINGS = [
+  {
+    KeyA: 'left',
+    KeyD: 'right',
+    KeyS: 'softDrop',
+    KeyW: 'rotateCw',
+    KeyQ: 'rotateCcw',
+    KeyE: 'rotate180',
+    Space: 'hardDrop',
+    ShiftLeft: 'hold'
+  },
+  {
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowDown: 'softDrop',
+    ArrowUp: 'rotateCw',
+    Slash: 'rotateCcw',
+    Period: 'rotate180',
+    Enter: 'hardDrop',
+    ShiftRight: 'hold'
+  }
+];
+
+const CONTROL_HINTS = [
+  'A/D move · S soft · W/Q rotate · E 180 · Space drop · L-Shift hold',
+  '←/→ move · ↓ soft · ↑// rotate · . 180 · Enter drop · R-Shift hold'
+];
+
+// Held keys go through the auto-repeat handler; the rest are single actions
+const REPEAT_ACTIONS = ['left', 'right', 'softDrop'];
+const KEY_ACTIONS = {
+  rotateCw: { type: 'rotate', direction: 1 },
+  rotateCcw: { type: 'rotate', direction: -1 },
+  rotate180: { type: 'rotate', direction: 2 },
+  hardDrop: { type: 'hardDrop' },
+  hold: { type: 'hold' }
+};
+
+const PREVIEW_COUNT = 3;
+
+// Player 2 can be the bot, as a sparring partner
+const BOT_PLAYER = 1;
+
+const Versus = ({ onExit }) => {
+  // Like the single-player view: the match lives in a ref for input handlers
+  // and is mirrored into state for rendering
+  const matchRef = useRef(null);
+  const [match, setMatch] = useState(null);
+  const [paused, setPaused] = useState(false);
+  const [clearedLines, setClearedLines] = useState(() => Array(VERSUS_PLAYERS).fill([]));
+  const [callouts, setCallouts] = useState(() => Array(VERSUS_PLAYERS).fill(null));
+  const [botSpeed, setBotSpeed] = useState(null); // ms per bot input, or null for a human player 2
+  const [{ padBindings, padAssignment, handling, theme }] = useState(loadSettings);
+  const [customThemes] = useState(loadCustomThemes);
+  
+  const inMatch = !!match && match.winner === null;
+  const playing = inMatch && !paused;
+  
+  const setForPlayer = (setter, player, value) => {
+    setter(prev => prev.map((item, i) => (i === player ? value : item)));
+  };
+  
+  // Add to the callout for the player's latest clear
+  const updateCallout = (player, field, lines) => {
+    setCallouts(prev => prev.map((callout, i) => (
+      i === player && callout ? { ...callout, [field]: callout[field] + lines } : callout
+    )));
+  };
+  
+  // Flash cleared rows and name the clear and its attack under the board
+  const handleEvents = (events) => {
+    events.forEach(event => {
+      switch (event.type) {
+        case 'linesCleared': {
+          const callout = { id: Date.now() + Math.random(), text: event.label, sent: 0, cancelled: 0 };
+          setForPlayer(setClearedLines, event.player, event.rows);
+          setTimeout(() => setForPlayer(setClearedLines, event.player, []), 300);
+          setForPlayer(setCallouts, event.player, callout);
+          setTimeout(() => {
+            setCallouts(prev => prev.map(item => (item && item.id === callout.id ? null : item)));
+          }, 1500);
+          break;
+        }
+        case 'attack':
+          updateCallout(event.player, 'sent', event.lines);
+          break;
+        case 'garbageCancelled':
+          updateCallout(event.player, 'cancelled', event.lines);
+          break;
+      }
+    });
+  };
+  
+  const apply = useCallback(({ match: next, events }) => {
+    matchRef.current = next;
+    setMatch(next);
+    handleEvents(events);
+    playEventSounds(events);
+    return events;
+  }, []);
+  
+  // dispatch for one player; returns that player's events for the input handler
+  const dispatch = useCallback((player, action) => {
+    if (!matchRef.current) return [];
+    return apply(stepMatch(matchRef.current, player, action)).filter(event => event.player === player);
+  }, [apply]);
+  
+  const inputsRef = useRef(null);
+  if (!inputsRef.current) {
+    inputsRef.current = Array.from({ length: VERSUS_PLAYERS }, (_, player) => createInputHandler({
+      dispatch: (action) => dispatch(player, action),
+      getFallTime: () => matchRef.current ? matchRef.current.games[player].fallTime : INITIAL_FALL_TIME,
+      getPiece: () => matchRef.current && matchRef.current.games[player],
+      handling
+    }));
+  }
+  
+  const padReadersRef = useRef(null);
+  if (!padReadersRef.current) {
+    padReadersRef.current = Array.from({ length: VERSUS_PLAYERS }, () => createPadReader());
+  }
+  
+  const autoplayerRef = useRef(null);
+  if (!autoplayerRef.current) {
+    autoplayerRef.current = createAutoplayer({ dispatch: (action) => dispatch(BOT_PLAYER, action) });
+  }
+  
+  const startMatch = () => {
+    const newMatch = createMatch({ mode: 'modern' });
+    matchRef.current = newMatch;
+    setMatch(newMatch);
+    setPaused(false);
+    setClearedLines(Array(VERSUS_PLAYERS).fill([]));
+    setCallouts(Array(VERSUS_PLAYERS).fill(null));
+  };
+  
+  useEffect(() => {
+    // Keys and pad buttons both end up here
+    const pressAction = (player, action, now) => {
+      if (action === 'pause') {
+        if (inMatch) setPaused(prev => !prev);
+        return;
+      }
+      if (!playing || (player === BOT_PLAYER && botSpeed)) return;
+      
+      if (REPEAT_ACTIONS.includes(action)) {
+        inputsRef.current[player].press(action, now);
+      } else {
+        const events = dispatch(player, KEY_ACTIONS[action]);
+        if (events.some(event => event.type === 'rotate')) {
+          inputsRef.current[player].cutDas(now);
+        }
+      }
+    };
+    
+    const releaseAction = (player, action, now) => {
+      if (REPEAT_ACTIONS.includes(action)) {
+        inputsRef.current[player].release(action, now);
+      }
+    };
+    
+    const handleKeyDown = (e) => {
+      if (e.code === 'KeyP' && inMatch) {
+        e.preventDefault();
+        setPaused(prev => !prev);
+        return;
+      }
+      
+      const player = VERSUS_BINDINGS.findIndex(bindings => bindings[e.code]);
+      if (player === -1) return;
+      e.preventDefault();
+      if (e.repeat) return;
+      pressAction(player, VERSUS_BINDINGS[player][e.code], performance.now());
+    };
+    
+    const handleKeyUp = (e) => {
+      const player = VERSUS_BINDINGS.findIndex(bindings => bindings[e.code]);
+      if (player === -1) return;
+      releaseAction(player, VERSUS_BINDINGS[player][e.code], performance.now());
+    };
+    
+    // Each player's pad, polled once per frame
+    let frame;
+    const pollPads = (now) => {
+      const gamepads = getGamepads();
+      padReadersRef.current.forEach((reader, player) => {
+        const { pressed, released } = reader.poll(gamepads[padAssignment[player]], padBindings);
+        pressed.forEach(action => pressAction(player, action, now));
+        released.forEach(action => releaseAction(player, action, now));
+      });
+      frame = requestAnimationFrame(pollPads);
+    };
+    frame = requestAnimationFrame(pollPads);
+    
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+    };
+  }, [inMatch, playing, botSpeed, dispatch, padBindings, padAssignment]);
+  
+  useEffect(() => {
+    if (!playing || !botSpeed) {
+      autoplayerRef.current.reset();
+      return;
+    }
+    
+    const botLoop = setInterval(() => {
+      autoplayerRef.current.act(matchRef.current.games[BOT_PLAYER]);
+    }, botSpeed);
+    
+    return () => clearInterval(botLoop);
+  }, [playing, botSpeed]);
+  
+  useEffect(() => {
+    if (!playing) {
+      inputsRef.current.forEach(input => input.reset());
+      return;
+    }
+    
+    // Held keys repeat once per frame; both games advance on the same ticks
+    return startGameLoop({
+      onFrame: (now) => inputsRef.current.forEach(input => input.update(now)),
+      onTick: () => {
+        if (matchRef.current.winner === null) apply(tickMatch(matchRef.current, FRAME_MS));
+      }
+    });
+  }, [playing, apply]);
+  
+  const renderPlayer = (player) => {
+    const game = match ? match.games[player] : null;
+    const boardTheme = getTheme(theme, customThemes, game ? game.level : 1);
+    const lost = !!game && game.gameOver;
+    const callout = callouts[player];
+    
+    return (
+      <div key={player} className="bg-gray-800 p-4 rounded-lg shadow-2xl">
+        <div className="flex justify-between items-baseline mb-2 font-mono">
+          <span className={`font-bold text-lg ${player === 0 ? 'text-cyan-400' : 'text-pink-400'}`}>
+            {player === BOT_PLAYER && botSpeed ? 'BOT' : `PLAYER ${player + 1}`}
+          </span>
+          <span className="text-yellow-400">{game ? game.score.toLocaleString() : 0}</span>
+        </div>
+        
+        <div className="flex gap-3 items-start">
+          <div className="w-24">
+            <h3 className="text-white font-mono text-sm mb-1">Hold:</h3>
+            <div className={`bg-gray-900 p-1 rounded border-2 border-gray-600 flex justify-center ${
+              game && game.holdUsed ? 'opacity-50' : ''
+            }`}>
+              <PiecePreview piece={game ? game.hold : null} theme={boardTheme} />
+            </div>
+            <div className="mt-4 text-xs text-gray-300 font-mono">
+              <div>Lines: {game ? game.lines : 0}</div>
+              <div>Sent: {match ? match.attackSent[player] : 0}</div>
+              {game && game.combo > 1 && <div className="text-cyan-400">{game.combo - 1}× combo</div>}
+              {game && game.backToBack && <div className="text-red-400">B2B</div>}
+            </div>
+          </div>
+          
+          <div className="flex gap-1 items-stretch">
+            <GarbageMeter lines={game ? getIncomingGarbage(game) : 0} />
+            <div className="border-4 border-gray-600 bg-gray-900 p-1 relative">
+              {game ? (
+                <Playfield
+                  board={game.board}
+                  piece={paused ? null : game.piece}
+                  position={game.position}
+                  ghostPosition={game.piece && !paused ? getDropPosition(game.board, game.piece, game.position) : null}
+                  theme={boardTheme}
+                  clearedLines={clearedLines[player]}
+                  lockProgress={getLockProgress(game)}
+                  flash={lost}
+                  cellSize={20}
+                />
+              ) : (
+                <div className="w-[200px] h-[400px]" />
+              )}
+              {paused && (
+                <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center z-10">
+                  <div className="text-white text-xl font-bold font-mono">PAUSED</div>
+                </div>
+              )}
+            </div>
+          </div>
+          
+          <div className="w-24">
+            <h3 className="text-white font-mono text-sm mb-1">Next:</h3>
+            <div className="bg-gray-900 p-1 rounded border-2 border-gray-600 flex flex-col items-center gap-2">
+              {(game ? getNextPieces(game, PREVIEW_COUNT) : Array(PREVIEW_COUNT).fill(null)).map((piece, index) => (
+                <PiecePreview key={index} piece={piece} theme={boardTheme} />
+              ))}
+            </div>
+          </div>
+        </div>
+        
+        <div className="h-6 mt-2 text-center font-mono font-bold text-sm">
+          {callout && (
+            <span key={callout.id} className="text-yellow-400">
+              {callout.text}
+              {callout.cancelled > 0 && <span className="text-gray-400"> −{callout.cancelled}</span>}
+              {callout.sent > 0 && <span className="text-red-400"> → {callout.sent}</span>}
+            </span>
+          )}
+        </div>
+        <div className="text-xs text-gray-500 font-mono text-center">
+          {player === BOT_PLAYER && botSpeed ? 'Played by the AI' : CONTROL_HINTS[player]}
+        </div>
+      </div>
+    );
+  };
+  
+  // Winner screen with each player's stats
+  const renderResult = () => (
+    <div className="absolute inset-0 bg-black bg-opacity-75 flex items-center justify-center z-20">
+      <div className="bg-gray-800 p-6 rounded-lg shadow-2xl text-white font-mono w-96">
+        <div className="text-3xl font-bold text-center text-green-400 mb-4 animate-pulse">
+          {match.winner === BOT_PLAYER && botSpeed ? 'BOT' : `PLAYER ${match.winner + 1}`} WINS!
+        </div>
+        <table className="w-full text-sm mb-4">
+          <thead>
+            <tr className="text-gray-400">
+              <th className="text-left font-normal" />
+              {match.games.map((_, player) => (
+                <th key={player} className="text-right font-normal">P{player + 1}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {[
+              ['Pieces', (stats) => stats.pieces],
+              ['PPS', (stats) => stats.pps.toFixed(2)],
+              ['Lines', (stats) => stats.lines],
+              ['Sent', (stats, player) => match.attackSent[player]],
+              ['APM', (stats, player) => (stats.time > 0 ? match.attackSent[player] / (stats.time / 60000) : 0).toFixed(1)]
+            ].map(([label, value]) => (
+              <tr key={label}>
+                <td>{label}:</td>
+                {match.games.map((game, player) => (
+                  <td key={player} className="text-right">{value(getRunStats(game), player)}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex gap-2">
+          <button
+            onClick={startMatch}
+            className="flex-1 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-4 rounded transition-colors"
+          >
+            REMATCH
+          </button>
+          <button
+            onClick={onExit}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded transition-colors"
+          >
+            MENU
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+  
+  return (
+    <div className="flex flex-col justify-center items-center min-h-screen bg-gray-900 p-4 relative">
+      <h1 className="text-3xl font-bold text-center mb-4 text-white font-mono">
+        TETROMASTER VERSUS
+      </h1>
+      
+      <div className="flex gap-8 items-start">
+        {Array.from({ length: VERSUS_PLAYERS }, (_, player) => renderPlayer(player))}
+      </div>
+      
+      <div className="mt-4 flex gap-2 font-mono">
+        {!match && (
+          <select
+            value={botSpeed || ''}
+            onChange={(e) => setBotSpeed(Number(e.target.value) || null)}
+            className="bg-gray-800 border border-gray-600 rounded px-2 text-white"
+          >
+            <option value="">P2: Human</option>
+            {AI_SPEEDS.map(({ label, ms }) => (
+              <option key={ms} value={ms}>P2: Bot ({label})</option>
+            ))}
+          </select>
+        )}
+        {!match && (
+          <button
+            onClick={startMatch}
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-lg text-xl transition-colors"
+          >
+            START MATCH
+          </button>
+        )}
+        {inMatch && (
+          <button
+            onClick={() => setPaused(prev => !prev)}
+            className="bg-yellow-600 hover:bg-yellow-700 text-white font-bold py-2 px-4 rounded transition-colors"
+          >
+            {paused ? 'RESUME' : 'PAUSE'} (P)
+          </button>
+        )}
+        <button
+          onClick={onExit}
+          className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded transition-colors"
+        >
+          BACK
+        </button>
+      </div>
+      
+      {match && match.winner !== null && renderResult()}
+    </div>
+  );
+};
+
+export default Versus;
@@ -0,0 +1,111 @@
+// The bot: picks the best-scoring placement for the current piece (or the
+// piece it would get from hold) and plays it through the same actions a
+// player's keys send, one at a time.
+import { createPiece, getSpawnPosition, isValidMove } from '../engine/index.js';
+import { findPlacements, getPlacementKey } from './placements.js';
+import { evaluatePlacement, DEFAULT_WEIGHTS } from './evaluate.js';
+
+// The actions that play `placement`, each with the key of the spot the piece
+// must be in before it is sent. Trailing soft drops become a hard drop where
+// the ruleset has one; otherwise one more soft drop locks the piece.
+export const getPlacementSteps = (placement, state) => {
+  const steps = placement.nodes.slice(1).map((node, i) => ({
+    action: node.action,
+    from: getPlacementKey(placement.nodes[i].piece, placement.nodes[i].position)
+  }));
+  const landed = getPlacementKey(placement.piece, placement.position);
+  
+  if (!state.allowHardDrop) {
+    return [...steps, { action: { type: 'softDrop' }, from: landed }];
+  }
+  while (steps.length > 0 && steps[steps.length - 1].action.type === 'softDrop') {
+    steps.pop();
+  }
+  const from = steps.length > 0
+    ? getPlacementKey(placement.nodes[steps.length].piece, placement.nodes[steps.length].position)
+    : getPlacementKey(placement.nodes[0].piece, placement.nodes[0].position);
+  return [...steps, { action: { type: 'hardDrop' }, from }];
+};
+
+// Best move for the piece in play. Returns { piece, position, hold, tSpin,
+// score, features, steps } or null when there is nothing to play.
+export const planMove = (state, { weights = DEFAULT_WEIGHTS, useHold = true } = {}) => {
+  if (!state.piece || state.gameOver) return null;
+  
+  const options = { mode: state.mode, allow180: state.allow180 };
+  const candidates = [{
+    hold: false,
+    placements: findPlacements(state.board, state.piece, state.position, {
+      ...options,
+      lastRotationKicked: state.lastRotationKicked
+    })
+  }];
+  
+  // Holding swaps in the held piece, or the next one when hold is empty
+  if (useHold && state.allowHold && !state.holdUsed) {
+    const type = state.hold ? state.hold.type : state.queue[0];
+    if (type && type !== state.piece.type) {
+      const piece = createPiece(type, state.mode);
+      const position = getSpawnPosition(piece, state.mode);
+      if (isValidMove(state.board, piece, position)) {
+        candidates.push({ hold: true, placements: findPlacements(state.board, piece, position, options) });
+      }
+    }
+  }
+  
+  let best = null;
+  candidates.forEach(({ hold, placements }) => {
+    placements.forEach(placement => {
+      const { score, features, tSpin } = evaluatePlacement(state.board, placement, weights, state.mode);
+      if (!best || score > best.score) {
+        best = { placement, hold, score, features, tSpin };
+      }
+    });
+  });
+  if (!best) return null;
+  
+  const steps = getPlacementSteps(best.placement, state);
+  return {
+    piece: best.placement.piece,
+    position: best.placement.position,
+    hold: best.hold,
+    tSpin: best.tSpin,
+    score: best.score,
+    features: best.features,
+    steps: best.hold
+      ? [{ action: { type: 'hold' }, from: getPlacementKey(state.piece, state.position) }, ...steps]
+      : steps
+  };
+};
+
+// Plays a game through dispatch(action). Call act(state) each time the bot may
+// make one input. It plans when a piece arrives and plans again whenever the
+// piece isn't where the plan expects, e.g. because gravity moved it first.
+export const createAutoplayer = ({ dispatch, weights = DEFAULT_WEIGHTS, useHold = true }) => {
+  let settings = { weights, useHold };
+  let steps = [];
+  
+  const act = (state) => {
+    if (!state.piece || state.gameOver) return;
+    
+    const key = getPlacementKey(state.piece, state.position);
+    if (steps.length === 0 || steps[0].from !== key) {
+      const plan = planMove(state, settings);
+      steps = plan ? plan.steps : [];
+    }
+    
+    const next = steps.shift();
+    if (next) dispatch(next.action);
+  };
+  
+  const reset = () => {
+    steps = [];
+  };
+  
+  const setOptions = (options) => {
+    settings = { ...settings, ...options };
+    steps = [];
+  };
+  
+  return { act, reset, setOptions };
+};
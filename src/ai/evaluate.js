@@ -0,0 +1,101 @@
+// Board evaluation: a weighted sum of features of the board a placement leaves.
+// Positive weights reward a feature, negative weights penalise it.
+import {
+  BOARD_WIDTH,
+  BOARD_HEIGHT,
+  TETROMINOES,
+  isValidMove,
+  placePiece,
+  clearLines,
+  detectTSpin,
+  T_SPIN_PATTERNS
+} from '../engine/index.js';
+
+export const DEFAULT_WEIGHTS = {
+  aggregateHeight: -0.51,
+  holes: -0.36,
+  bumpiness: -0.18,
+  wells: -0.05,
+  linesCleared: 0.76,
+  tSpinLines: 1.2,
+  tSpinSlots: 0.3
+};
+
+export const FEATURE_NAMES = Object.keys(DEFAULT_WEIGHTS);
+
+// Placements that leave blocks above the visible board are as good as lost
+const ABOVE_BOARD_PENALTY = -1e6;
+
+export const getColumnHeights = (board) =>
+  Array.from({ length: BOARD_WIDTH }, (_, x) => {
+    const top = board.findIndex(row => row[x] !== 0);
+    return top === -1 ? 0 : BOARD_HEIGHT - top;
+  });
+
+const countHoles = (board, heights) =>
+  heights.reduce((holes, height, x) => {
+    for (let y = BOARD_HEIGHT - height; y < BOARD_HEIGHT; y++) {
+      if (board[y][x] === 0) holes++;
+    }
+    return holes;
+  }, 0);
+
+// Depth of every column that sits below both neighbours (walls count as full)
+const sumWells = (heights) =>
+  heights.reduce((total, height, x) => {
+    const left = x === 0 ? BOARD_HEIGHT : heights[x - 1];
+    const right = x === BOARD_WIDTH - 1 ? BOARD_HEIGHT : heights[x + 1];
+    return total + Math.max(0, Math.min(left, right) - height);
+  }, 0);
+
+// Pointing-down T that would rest in a slot with three corners filled: a
+// place where a later T can spin in
+const T_DOWN = { type: 'T', shape: TETROMINOES.T.map(row => [...row]).reverse(), rotation: 2 };
+
+const countTSpinSlots = (board) => {
+  let slots = 0;
+  for (let y = -1; y < BOARD_HEIGHT - 1; y++) {
+    for (let x = -1; x < BOARD_WIDTH - 1; x++) {
+      const position = { x, y };
+      if (!isValidMove(board, T_DOWN, position)) continue;
+      if (isValidMove(board, T_DOWN, { x, y: y + 1 })) continue;
+      
+      const { filledCorners, frontCorners } = T_SPIN_PATTERNS.checkCorners(board, x + 1, y + 1);
+      // A roof over the slot is what stops the T simply dropping in
+      if (filledCorners >= 3 && frontCorners > 0) slots++;
+    }
+  }
+  return slots;
+};
+
+export const getFeatures = (board, linesCleared = 0, tSpin = false) => {
+  const heights = getColumnHeights(board);
+  return {
+    aggregateHeight: heights.reduce((total, height) => total + height, 0),
+    holes: countHoles(board, heights),
+    bumpiness: heights.slice(1).reduce((total, height, x) => total + Math.abs(height - heights[x]), 0),
+    wells: sumWells(heights),
+    linesCleared,
+    tSpinLines: tSpin ? linesCleared : 0,
+    tSpinSlots: countTSpinSlots(board)
+  };
+};
+
+export const scoreFeatures = (features, weights = DEFAULT_WEIGHTS) =>
+  FEATURE_NAMES.reduce((score, name) => score + (weights[name] || 0) * features[name], 0);
+
+// Score the board left by locking `placement` (from findPlacements) on `board`
+export const evaluatePlacement = (board, placement, weights = DEFAULT_WEIGHTS, mode = 'modern') => {
+  const { piece, position } = placement;
+  const placed = placePiece(board, piece, position);
+  const { board: cleared, rows } = clearLines(placed);
+  const tSpin = detectTSpin(piece, position, board, placement.tSpinReady, mode);
+  const features = getFeatures(cleared, rows.length, tSpin);
+  const aboveBoard = piece.shape.some((row, y) => position.y + y < 0 && row.some(cell => cell !== 0));
+  
+  return {
+    features,
+    tSpin,
+    score: scoreFeatures(features, weights) + (aboveBoard ? ABOVE_BOARD_PENALTY : 0)
+  };
+};
@@ -0,0 +1,79 @@
+// Placement search: every resting spot a piece can reach from where it is,
+// found by trying the same moves a player has (shift, rotate with the real
+// kick tables, soft drop) and checking each with isValidMove.
+import { isValidMove, tryRotateWithKicks } from '../engine/index.js';
+
+// Identifies where a piece is; shared with the autoplayer to check its plan
+export const getPlacementKey = (piece, position) => `${piece.rotation}:${position.x}:${position.y}`;
+
+const MOVES = [
+  { type: 'move', dir: -1 },
+  { type: 'move', dir: 1 },
+  { type: 'softDrop' }
+];
+
+// Returns [{ piece, position, tSpinReady, nodes }] where nodes is the path from
+// the start as [{ action, piece, position }] (the first node has no action).
+// tSpinReady mirrors the engine's lastRotationKicked for the final position.
+export const findPlacements = (board, piece, position, {
+  mode = 'modern',
+  allow180 = mode !== 'classic',
+  lastRotationKicked = false
+} = {}) => {
+  const rotations = allow180 ? [1, -1, 2] : [1, -1];
+  const start = { action: null, piece, position, kicked: lastRotationKicked, parent: null };
+  const visited = new Set([`${getPlacementKey(piece, position)}:${lastRotationKicked}`]);
+  const queue = [start];
+  const placements = new Map();
+  
+  const visit = (node) => {
+    const id = `${getPlacementKey(node.piece, node.position)}:${node.kicked}`;
+    if (visited.has(id)) return;
+    visited.add(id);
+    queue.push(node);
+  };
+  
+  // Breadth-first, so each placement keeps its shortest path
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+    
+    MOVES.forEach(action => {
+      const next = action.type === 'move'
+        ? { x: node.position.x + action.dir, y: node.position.y }
+        : { x: node.position.x, y: node.position.y + 1 };
+      if (isValidMove(board, node.piece, next)) {
+        visit({ action, piece: node.piece, position: next, kicked: node.kicked, parent: node });
+      }
+    });
+    
+    rotations.forEach(direction => {
+      const result = tryRotateWithKicks(board, node.piece, node.position, mode, direction);
+      if (result) {
+        visit({
+          action: { type: 'rotate', direction },
+          piece: result.piece,
+          position: result.position,
+          kicked: result.wasKicked,
+          parent: node
+        });
+      }
+    });
+    
+    const grounded = !isValidMove(board, node.piece, { x: node.position.x, y: node.position.y + 1 });
+    // Only a T piece's last rotation matters once it has landed
+    const id = node.piece.type === 'T'
+      ? `${getPlacementKey(node.piece, node.position)}:${node.kicked}`
+      : getPlacementKey(node.piece, node.position);
+    if (grounded && !placements.has(id)) {
+      placements.set(id, node);
+    }
+  }
+  
+  return [...placements.values()].map(node => {
+    const nodes = [];
+    for (let current = node; current; current = current.parent) {
+      nodes.unshift({ action: current.action, piece: current.piece, position: current.position });
+    }
+    return { piece: node.piece, position: node.position, tSpinReady: node.kicked, nodes };
+  });
+};
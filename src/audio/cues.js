@@ -0,0 +1,129 @@
+// Sound effects for engine events, built from the mixer's tones and noise
+import { playTone, playNoise, midiToFrequency } from './mixer.js';
+
+// Auto-repeat can move or drop many times in one frame; one tick is enough
+const REPEAT_GAP_MS = 30;
+const lastPlayed = {};
+
+const isRepeat = (cue) => {
+  const now = performance.now();
+  if (now - (lastPlayed[cue] || 0) < REPEAT_GAP_MS) return true;
+  lastPlayed[cue] = now;
+  return false;
+};
+
+// MIDI notes played one after another, `gap` seconds apart
+const playNotes = (notes, { gap = 0.07, duration = 0.12, type = 'square', volume = 0.12 } = {}) => {
+  notes.forEach((note, i) => {
+    playTone({ frequency: midiToFrequency(note), duration, type, volume, delay: i * gap });
+  });
+};
+
+// Single to Tetris: one more note of a rising C major arpeggio per line
+const CLEAR_NOTES = [72, 76, 79, 84];
+
+export const playBeep = (frequency = 880, duration = 0.08, volume = 0.2) => {
+  playTone({ frequency, duration, volume });
+};
+
+export const playMove = () => {
+  if (!isRepeat('move')) playTone({ frequency: 260, duration: 0.03, volume: 0.06 });
+};
+
+export const playRotate = (kicked) => {
+  playTone({ frequency: kicked ? 520 : 440, slideTo: kicked ? 780 : 660, duration: 0.05, type: 'triangle', volume: 0.12 });
+};
+
+export const playSoftDrop = () => {
+  if (!isRepeat('softDrop')) playTone({ frequency: 160, duration: 0.025, type: 'triangle', volume: 0.08 });
+};
+
+export const playHardDrop = () => {
+  playNoise({ duration: 0.08, volume: 0.25 });
+  playTone({ frequency: 140, slideTo: 45, duration: 0.14, type: 'sine', volume: 0.35 });
+};
+
+export const playLock = () => {
+  playTone({ frequency: 190, slideTo: 120, duration: 0.06, type: 'square', volume: 0.08 });
+};
+
+export const playHold = () => {
+  playTone({ frequency: 330, slideTo: 247, duration: 0.08, type: 'triangle', volume: 0.14 });
+};
+
+export const playClear = (count) => {
+  playNotes(CLEAR_NOTES.slice(0, count), { type: count === 4 ? 'sawtooth' : 'square', volume: count === 4 ? 0.1 : 0.12 });
+  if (count === 4) playNoise({ duration: 0.3, volume: 0.12, highpass: 2000, delay: 0.21 });
+};
+
+// A wobbling upward sweep
+export const playTSpin = () => {
+  playTone({ frequency: 300, slideTo: 900, duration: 0.18, type: 'sawtooth', volume: 0.08 });
+  playTone({ frequency: 310, slideTo: 920, duration: 0.18, type: 'sawtooth', volume: 0.08, delay: 0.02 });
+};
+
+// Each step of a combo a semitone higher, up to two octaves
+export const playCombo = (step) => {
+  const note = 67 + Math.min(step, 24);
+  playNotes([note, note + 7], { gap: 0.04, duration: 0.08, type: 'triangle', volume: 0.14 });
+};
+
+export const playBackToBack = () => {
+  playNotes([84, 91], { gap: 0.05, duration: 0.1, type: 'sawtooth', volume: 0.08 });
+};
+
+export const playLevelUp = () => {
+  playNotes([60, 64, 67, 72, 76], { gap: 0.06, duration: 0.15, type: 'triangle', volume: 0.16 });
+};
+
+export const playGameOver = () => {
+  playTone({ frequency: 440, slideTo: 55, duration: 1.2, type: 'sawtooth', volume: 0.12 });
+  playNotes([64, 60, 57, 52], { gap: 0.25, duration: 0.3, type: 'triangle', volume: 0.14 });
+};
+
+export const playFinished = () => {
+  playNotes([67, 72, 76, 79, 84], { gap: 0.08, duration: 0.25, type: 'square', volume: 0.1 });
+};
+
+// Every cue for a batch of events from one engine step
+export const playEventSounds = (events) => {
+  const hardDropped = events.some(event => event.type === 'hardDrop');
+  events.forEach(event => {
+    switch (event.type) {
+      case 'move':
+        playMove();
+        break;
+      case 'rotate':
+        playRotate(event.kicked);
+        break;
+      case 'softDrop':
+        playSoftDrop();
+        break;
+      case 'hardDrop':
+        playHardDrop();
+        break;
+      case 'pieceLocked':
+        // A hard drop already made its own thud
+        if (!hardDropped) playLock();
+        break;
+      case 'hold':
+        playHold();
+        break;
+      case 'linesCleared':
+        playClear(event.count);
+        if (event.tSpin) playTSpin();
+        if (event.backToBack) playBackToBack();
+        if (event.combo > 0) playCombo(event.combo);
+        break;
+      case 'levelUp':
+        playLevelUp();
+        break;
+      case 'topOut':
+        playGameOver();
+        break;
+      case 'finished':
+        playFinished();
+        break;
+    }
+  });
+};
@@ -0,0 +1,124 @@
+// Web Audio output shared by the sound effects and the music. Everything is
+// synthesized, so nothing has to be downloaded. The AudioContext is created
+// lazily because browsers only allow audio after a user gesture.
+//   master - overall volume, 0 to 1
+//   sfx, music - each bus's volume under the master
+export const DEFAULT_VOLUME = {
+  master: 0.8,
+  sfx: 0.8,
+  music: 0.4
+};
+
+let context = null;
+let buses = null; // gain nodes: sfx and music feed master
+let noiseBuffer = null;
+let levels = { ...DEFAULT_VOLUME, muted: false };
+
+const applyLevels = () => {
+  buses.master.gain.value = levels.muted ? 0 : levels.master;
+  buses.sfx.gain.value = levels.sfx;
+  buses.music.gain.value = levels.music;
+};
+
+const getContext = () => {
+  if (!context) {
+    if (typeof window === 'undefined') return null;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    context = new AudioContextClass();
+    
+    const master = context.createGain();
+    master.connect(context.destination);
+    const createBus = () => {
+      const bus = context.createGain();
+      bus.connect(master);
+      return bus;
+    };
+    buses = { master, sfx: createBus(), music: createBus() };
+    applyLevels();
+  }
+  // A context made before the first gesture starts suspended
+  if (context.state === 'suspended') context.resume();
+  return context;
+};
+
+// Volumes and mute; pass only what changed
+export const setVolumes = (next) => {
+  levels = { ...levels, ...next };
+  if (buses) applyLevels();
+};
+
+// Whether anything sent to `bus` would be heard, so silent sounds aren't built
+export const isAudible = (bus) => !levels.muted && levels.master > 0 && levels[bus] > 0;
+
+// The audio clock in seconds, for scheduling ahead; null without audio
+export const getAudioTime = () => {
+  const audio = getContext();
+  return audio ? audio.currentTime : null;
+};
+
+export const midiToFrequency = (note) => 440 * 2 ** ((note - 69) / 12);
+
+// One oscillator note that fades out over `duration` seconds, optionally
+// gliding to `slideTo` Hz. It starts `delay` seconds after `at`, an audio
+// clock time that defaults to now.
+export const playTone = ({
+  frequency,
+  slideTo = null,
+  duration = 0.08,
+  type = 'square',
+  volume = 0.2,
+  at = null,
+  delay = 0,
+  bus = 'sfx'
+}) => {
+  if (!isAudible(bus)) return;
+  const audio = getContext();
+  if (!audio) return;
+  
+  const start = (at === null ? audio.currentTime : at) + delay;
+  const oscillator = audio.createOscillator();
+  const gain = audio.createGain();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, start);
+  if (slideTo) oscillator.frequency.exponentialRampToValueAtTime(slideTo, start + duration);
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+  oscillator.connect(gain);
+  gain.connect(buses[bus]);
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+};
+
+// A burst of white noise for drums and impacts. A highpass above 0 Hz thins
+// it out, e.g. into a hi-hat.
+export const playNoise = ({ duration = 0.05, volume = 0.2, highpass = 0, at = null, delay = 0, bus = 'sfx' }) => {
+  if (!isAudible(bus)) return;
+  const audio = getContext();
+  if (!audio) return;
+  
+  if (!noiseBuffer) {
+    noiseBuffer = audio.createBuffer(1, audio.sampleRate, audio.sampleRate);
+    const samples = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+  }
+  
+  const start = (at === null ? audio.currentTime : at) + delay;
+  const source = audio.createBufferSource();
+  const gain = audio.createGain();
+  source.buffer = noiseBuffer;
+  gain.gain.setValueAtTime(volume, start);
+  gain.gain.exponentialRampToValueAtTime(0.001, start + duration);
+  if (highpass > 0) {
+    const filter = audio.createBiquadFilter();
+    filter.type = 'highpass';
+    filter.frequency.value = highpass;
+    source.connect(filter);
+    filter.connect(gain);
+  } else {
+    source.connect(gain);
+  }
+  gain.connect(buses[bus]);
+  source.start(start);
+  source.stop(start + duration);
+};
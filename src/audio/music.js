@@ -0,0 +1,83 @@
+// Background music: a looping four-bar tune sequenced on the audio clock.
+// Notes are scheduled a little ahead from a timer, so they stay in time even
+// when the timer itself is late.
+import { playTone, playNoise, getAudioTime, isAudible, midiToFrequency } from './mixer.js';
+
+// Am, F, C, G; one chord per bar, MIDI notes from the root up
+const PROGRESSION = [
+  [57, 60, 64],
+  [53, 57, 60],
+  [48, 52, 55],
+  [55, 59, 62]
+];
+// Eighth notes per bar, as indices into the chord; 3 is the root an octave up
+const ARPEGGIO = [0, 1, 2, 3, 2, 1, 2, 1];
+const STEPS_PER_BAR = ARPEGGIO.length;
+
+const BASE_BPM = 100;
+const BPM_PER_LEVEL = 6;
+const MAX_BPM = 200;
+
+const SCHEDULE_MS = 25;
+const LOOKAHEAD_S = 0.12;
+
+// Faster with every level; classic levels start at 0
+export const getTempo = (level) => Math.min(MAX_BPM, BASE_BPM + Math.max(0, level - 1) * BPM_PER_LEVEL);
+
+export const createMusicPlayer = () => {
+  let timer = null;
+  let step = 0; // position in the loop, kept across stop() so play resumes
+  let nextTime = 0;
+  let bpm = BASE_BPM;
+  
+  const playStep = (time) => {
+    const chord = PROGRESSION[Math.floor(step / STEPS_PER_BAR)];
+    const beat = step % STEPS_PER_BAR;
+    const index = ARPEGGIO[beat];
+    const note = index === 3 ? chord[0] + 12 : chord[index];
+    const eighth = 60 / bpm / 2;
+    
+    playTone({ frequency: midiToFrequency(note + 12), duration: eighth * 0.9, volume: 0.08, at: time, bus: 'music' });
+    // Bass on every beat, hi-hat between them
+    if (beat % 2 === 0) {
+      playTone({ frequency: midiToFrequency(chord[0] - 12), duration: eighth * 1.8, type: 'triangle', volume: 0.25, at: time, bus: 'music' });
+    } else {
+      playNoise({ duration: 0.04, volume: 0.05, highpass: 6000, at: time, bus: 'music' });
+    }
+  };
+  
+  const schedule = () => {
+    const now = getAudioTime();
+    if (now === null) return;
+    // After a stall (e.g. a background tab) pick up from now instead of catching up
+    if (nextTime < now) nextTime = now + 0.05;
+    while (nextTime < now + LOOKAHEAD_S) {
+      if (isAudible('music')) playStep(nextTime);
+      nextTime += 60 / bpm / 2;
+      step = (step + 1) % (PROGRESSION.length * STEPS_PER_BAR);
+    }
+  };
+  
+  const start = () => {
+    if (timer) return;
+    nextTime = 0;
+    schedule();
+    timer = setInterval(schedule, SCHEDULE_MS);
+  };
+  
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+  
+  // Back to the first bar, for a new game
+  const rewind = () => {
+    step = 0;
+  };
+  
+  const setLevel = (level) => {
+    bpm = getTempo(level);
+  };
+  
+  return { start, stop, rewind, setLevel };
+};
@@ -0,0 +1,118 @@
+import React from 'react';
+import { FEATURE_NAMES } from '../ai/evaluate.js';
+
+// Bot controls: let it play, show its suggestion, and tune its weights
+export const AI_SPEEDS = [
+  { label: 'Slow', ms: 150 },
+  { label: 'Normal', ms: 60 },
+  { label: 'Fast', ms: 16 }
+];
+
+// Who plays for WATCH AI: the bot itself, the same bot behind the TBP bridge,
+// or any TBP bot compiled to a Web Worker script
+export const AI_BOTS = [
+  { id: 'builtin', label: 'Built-in' },
+  { id: 'tbp', label: 'Built-in (TBP)' },
+  { id: 'worker', label: 'TBP worker' }
+];
+
+const AiPanel = ({
+  playing,
+  hints,
+  speed,
+  weights,
+  bot,
+  workerUrl,
+  error,
+  onTogglePlay,
+  onToggleHints,
+  onSpeedChange,
+  onBotChange,
+  onWorkerUrlChange,
+  onWeightChange,
+  onResetWeights
+}) => (
+  <div className="mb-4 text-white font-mono text-xs">
+    <div className="flex gap-2 mb-2">
+      <button
+        onClick={onTogglePlay}
+        className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+          playing 
+            ? 'bg-pink-600 hover:bg-pink-700 text-white' 
+            : 'bg-gray-600 hover:bg-gray-700 text-white'
+        }`}
+      >
+        {playing ? 'AI PLAYING' : 'WATCH AI'}
+      </button>
+      <button
+        onClick={onToggleHints}
+        className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+          hints 
+            ? 'bg-teal-600 hover:bg-teal-700 text-white' 
+            : 'bg-gray-600 hover:bg-gray-700 text-white'
+        }`}
+      >
+        {hints ? 'HINTS ON' : 'HINTS OFF'}
+      </button>
+    </div>
+    <label className="flex justify-between items-center mb-1">
+      <span>AI speed</span>
+      <select
+        value={speed}
+        onChange={(e) => onSpeedChange(Number(e.target.value))}
+        className="w-20 bg-gray-900 border border-gray-600 rounded px-1"
+      >
+        {AI_SPEEDS.map(({ label, ms }) => (
+          <option key={ms} value={ms}>{label}</option>
+        ))}
+      </select>
+    </label>
+    <label className="flex justify-between items-center mb-1">
+      <span>Bot</span>
+      <select
+        value={bot}
+        disabled={playing}
+        onChange={(e) => onBotChange(e.target.value)}
+        className="w-32 bg-gray-900 border border-gray-600 rounded px-1"
+      >
+        {AI_BOTS.map(({ id, label }) => (
+          <option key={id} value={id}>{label}</option>
+        ))}
+      </select>
+    </label>
+    {bot === 'worker' && (
+      <input
+        type="text"
+        value={workerUrl}
+        disabled={playing}
+        onChange={(e) => onWorkerUrlChange(e.target.value)}
+        placeholder="Worker script URL"
+        className="w-full mb-1 bg-gray-900 border border-gray-600 rounded px-1"
+      />
+    )}
+    {error && <div className="mb-1 text-red-400">{error}</div>}
+    <details>
+      <summary className="cursor-pointer text-gray-400">AI weights</summary>
+      {FEATURE_NAMES.map(name => (
+        <label key={name} className="flex justify-between items-center mt-1">
+          <span>{name}</span>
+          <input
+            type="number"
+            step={0.05}
+            value={weights[name]}
+            onChange={(e) => onWeightChange(name, Number(e.target.value) || 0)}
+            className="w-16 bg-gray-900 border border-gray-600 rounded px-1 text-right"
+          />
+        </label>
+      ))}
+      <button
+        onClick={onResetWeights}
+        className="mt-2 w-full bg-gray-700 hover:bg-gray-600 text-white py-1 rounded transition-colors"
+      >
+        RESET WEIGHTS
+      </button>
+    </details>
+  </div>
+);
+
+export default AiPanel;
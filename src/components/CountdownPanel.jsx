@@ -0,0 +1,20 @@
+import React from 'react';
+import { getTimeRemaining, TIME_WARNING_SECONDS } from '../engine/index.js';
+import { formatDuration } from '../format.js';
+
+// Ultra countdown; turns red and pulses for the final seconds
+const CountdownPanel = ({ game }) => {
+  const remaining = getTimeRemaining(game);
+  const warning = remaining <= TIME_WARNING_SECONDS * 1000;
+  
+  return (
+    <div className="mb-6 text-center font-mono">
+      <div className={`text-4xl font-bold ${warning ? 'text-red-500 animate-pulse' : 'text-yellow-400'}`}>
+        {formatDuration(remaining, true)}
+      </div>
+      <div className="text-sm text-gray-400">time left</div>
+    </div>
+  );
+};
+
+export default CountdownPanel;
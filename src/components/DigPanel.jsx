@@ -0,0 +1,20 @@
+import React from 'react';
+import { getGameTime, countGarbageRows } from '../engine/index.js';
+import { formatDuration } from '../format.js';
+
+// Dig race progress: elapsed time, garbage lines cleared and rows still in the stack
+const DigPanel = ({ game }) => (
+  <div className="mb-6 text-white font-mono">
+    <div className="text-3xl text-center text-yellow-400 mb-1">
+      {formatDuration(getGameTime(game), true)}
+    </div>
+    <div className="text-center text-sm text-gray-400">
+      {game.garbageCleared} / {game.targetLines} garbage lines
+    </div>
+    <div className="text-center text-xs text-gray-500">
+      {countGarbageRows(game.board)} rows in the stack
+    </div>
+  </div>
+);
+
+export default DigPanel;
@@ -0,0 +1,49 @@
+import React, { useState, useEffect } from 'react';
+
+// How often the numbers refresh
+const SAMPLE_MS = 500;
+// A gap this long means at least one frame was dropped at 60 Hz
+const SLOW_FRAME_MS = 34;
+
+// Debug readout of how smoothly frames arrive: frames per second, and the
+// average and longest gap between frames over the last half second. Counts
+// its own animation frames, so it measures whatever else the page is doing.
+const FpsOverlay = () => {
+  const [sample, setSample] = useState(null); // { fps, average, worst }
+  
+  useEffect(() => {
+    let frame;
+    let last = null;
+    let gaps = [];
+    let sampleStart = performance.now();
+    const measure = (now) => {
+      if (last !== null) gaps.push(now - last);
+      last = now;
+      if (now - sampleStart >= SAMPLE_MS && gaps.length > 0) {
+        const total = gaps.reduce((sum, gap) => sum + gap, 0);
+        setSample({ fps: (gaps.length * 1000) / total, average: total / gaps.length, worst: Math.max(...gaps) });
+        gaps = [];
+        sampleStart = now;
+      }
+      frame = requestAnimationFrame(measure);
+    };
+    frame = requestAnimationFrame(measure);
+    return () => cancelAnimationFrame(frame);
+  }, []);
+  
+  return (
+    <div className="fixed top-2 left-2 z-50 bg-black bg-opacity-75 text-green-400 font-mono text-xs px-2 py-1 rounded pointer-events-none">
+      {sample ? (
+        <>
+          <div>{sample.fps.toFixed(0)} FPS</div>
+          <div>{sample.average.toFixed(1)}ms avg</div>
+          <div className={sample.worst > SLOW_FRAME_MS ? 'text-red-400' : ''}>{sample.worst.toFixed(1)}ms worst</div>
+        </>
+      ) : (
+        <div>— FPS</div>
+      )}
+    </div>
+  );
+};
+
+export default FpsOverlay;
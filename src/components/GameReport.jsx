@@ -0,0 +1,88 @@
+import React from 'react';
+import { T_SPIN_TYPES, pieceLogToCsv } from '../engine/index.js';
+import { downloadFile } from '../download.js';
+import { formatDuration } from '../format.js';
+
+const CHART_WIDTH = 256;
+const CHART_HEIGHT = 80;
+
+// A value plotted against game time, from the first piece to the last
+const LineChart = ({ title, entries, field, color }) => {
+  const end = Math.max(1, ...entries.map(entry => entry.time));
+  const top = Math.max(1, ...entries.map(entry => entry[field]));
+  const points = [{ time: 0, [field]: 0 }, ...entries]
+    .map(entry => `${(entry.time / end) * CHART_WIDTH},${CHART_HEIGHT - (entry[field] / top) * CHART_HEIGHT}`)
+    .join(' ');
+  
+  return (
+    <div className="mb-3">
+      <div className="flex justify-between text-gray-400 mb-1">
+        <span>{title}</span>
+        <span>max {top.toLocaleString()}</span>
+      </div>
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-20 bg-gray-900 border border-gray-600 rounded"
+        preserveAspectRatio="none"
+      >
+        <polyline points={points} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-gray-500">
+        <span>0:00</span>
+        <span>{formatDuration(end)}</span>
+      </div>
+    </div>
+  );
+};
+
+// Clears by kind. clearCounts includes T-spin clears, so those come off the plain counts.
+const getClearBreakdown = (stats, mode) => [
+  ...['Singles', 'Doubles', 'Triples'].map((name, index) => ({
+    name,
+    count: stats.clearCounts[index + 1] - stats.tSpinCounts[T_SPIN_TYPES[index + 1]],
+    color: 'bg-blue-400'
+  })),
+  { name: 'Tetrises', count: stats.clearCounts[4], color: 'bg-yellow-400' },
+  // The NES ruleset has no T-spins
+  ...(mode === 'classic' ? [] : ['single', 'double', 'triple'].map(type => ({
+    name: `T-spin ${type}s`,
+    count: stats.tSpinCounts[type],
+    color: 'bg-purple-400'
+  })))
+];
+
+// Post-game analytics: charts over time, clear breakdown and the CSV download
+const GameReport = ({ entries, stats, mode, seed }) => {
+  const breakdown = getClearBreakdown(stats, mode);
+  const mostClears = Math.max(1, ...breakdown.map(clear => clear.count));
+  
+  return (
+    <div className="bg-gray-800 p-4 rounded-lg shadow-2xl w-72 text-white font-mono text-xs">
+      <h2 className="text-xl font-bold text-center mb-3">REPORT</h2>
+      
+      <LineChart title="Score" entries={entries} field="score" color="#facc15" />
+      <LineChart title="Stack height" entries={entries} field="stackHeight" color="#f87171" />
+      
+      <h3 className="text-sm mb-2">Clears:</h3>
+      {breakdown.map(clear => (
+        <div key={clear.name} className="flex items-center gap-2 mb-1">
+          <span className="w-28">{clear.name}</span>
+          <div className="flex-1 h-2 bg-gray-900 rounded">
+            <div className={`h-full rounded ${clear.color}`} style={{ width: `${(clear.count / mostClears) * 100}%` }} />
+          </div>
+          <span className="w-6 text-right">{clear.count}</span>
+        </div>
+      ))}
+      
+      <button
+        onClick={() => downloadFile(pieceLogToCsv(entries), `tetromaster-pieces-${seed}.csv`, 'text/csv')}
+        disabled={entries.length === 0}
+        className="mt-3 w-full bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white font-bold py-1 px-2 rounded transition-colors"
+      >
+        EXPORT CSV
+      </button>
+    </div>
+  );
+};
+
+export default GameReport;
@@ -0,0 +1,129 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { BOUND_ACTIONS } from '../input/bindings.js';
+import {
+  PAD_ACTIONS,
+  bindButton,
+  unbindButton,
+  formatButton,
+  getGamepads,
+  getPressedButtons
+} from '../input/gamepad.js';
+
+const PLAYERS = ['Player 1', 'Player 2'];
+
+const getLabel = (id) => BOUND_ACTIONS.find(action => action.id === id).label;
+
+// Gamepad tab of the settings: button mapping, shared by every pad, and which
+// pad plays for which player. While `listening` names an action, the next
+// button pressed on any pad is bound to it.
+const GamepadSettings = ({
+  padBindings,
+  padAssignment,
+  listening,
+  onListen,
+  onNotice,
+  onPadBindingsChange,
+  onPadAssignmentChange
+}) => {
+  const [pads, setPads] = useState([]); // [{ index, id }] of connected pads
+  const previousRef = useRef([]); // pressed buttons per pad slot at the last poll
+  
+  // Poll once per frame: the pad list only changes state when a pad comes or goes
+  useEffect(() => {
+    let frame;
+    let signature = null;
+    const poll = () => {
+      const gamepads = getGamepads();
+      const connected = gamepads.filter(Boolean).map(gamepad => ({ index: gamepad.index, id: gamepad.id }));
+      const nextSignature = connected.map(pad => `${pad.index}:${pad.id}`).join('|');
+      if (nextSignature !== signature) {
+        signature = nextSignature;
+        setPads(connected);
+      }
+      
+      const pressedNow = gamepads.map(getPressedButtons);
+      if (listening) {
+        pressedNow.some((buttons, slot) => {
+          const button = buttons.findIndex((down, i) => down && !(previousRef.current[slot] || [])[i]);
+          if (button === -1) return false;
+          
+          const { bindings, movedFrom } = bindButton(padBindings, listening, button);
+          onPadBindingsChange(bindings);
+          onNotice(movedFrom ? `${formatButton(button)} moved from ${getLabel(movedFrom)}` : '');
+          onListen(null);
+          return true;
+        });
+      }
+      previousRef.current = pressedNow;
+      frame = requestAnimationFrame(poll);
+    };
+    frame = requestAnimationFrame(poll);
+    return () => cancelAnimationFrame(frame);
+  }, [listening, padBindings, onListen, onNotice, onPadBindingsChange]);
+  
+  const assignPad = (player, value) => {
+    onPadAssignmentChange(padAssignment.map((pad, i) => (i === player ? value : pad)));
+  };
+  
+  return (
+    <>
+      <div className="mb-3 text-xs">
+        {PLAYERS.map((name, player) => (
+          <label key={name} className="flex justify-between items-center mb-1">
+            <span>{name} pad{player === 0 ? ' (also single player)' : ''}</span>
+            <select
+              value={padAssignment[player] === null ? '' : padAssignment[player]}
+              onChange={(e) => assignPad(player, e.target.value === '' ? null : Number(e.target.value))}
+              className="w-48 bg-gray-900 border border-gray-600 rounded px-1"
+            >
+              <option value="">None</option>
+              {[0, 1, 2, 3].map(index => {
+                const pad = pads.find(connected => connected.index === index);
+                return (
+                  <option key={index} value={index}>
+                    {`Pad ${index + 1}${pad ? `: ${pad.id.slice(0, 24)}` : ' (not connected)'}`}
+                  </option>
+                );
+              })}
+            </select>
+          </label>
+        ))}
+        {pads.length === 0 && (
+          <div className="text-gray-400">No pads found. Press a button on a controller to wake it up.</div>
+        )}
+      </div>
+      
+      <div className="mb-2 text-xs">
+        {PAD_ACTIONS.map(id => (
+          <div key={id} className="flex justify-between items-center py-1 border-t border-gray-700">
+            <span className={padBindings[id].length === 0 ? 'text-red-400' : ''}>{getLabel(id)}</span>
+            <div className="flex gap-1 items-center">
+              {padBindings[id].map(button => (
+                <button
+                  key={button}
+                  onClick={() => onPadBindingsChange(unbindButton(padBindings, id, button))}
+                  title="Remove"
+                  className="bg-gray-900 border border-gray-600 hover:border-red-400 rounded px-2"
+                >
+                  {formatButton(button)} ×
+                </button>
+              ))}
+              <button
+                onClick={() => onListen(listening === id ? null : id)}
+                className={`rounded px-2 font-bold transition-colors ${
+                  listening === id
+                    ? 'bg-yellow-600 hover:bg-yellow-700 animate-pulse'
+                    : 'bg-gray-600 hover:bg-gray-700'
+                }`}
+              >
+                {listening === id ? 'PRESS A BUTTON' : '+'}
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+};
+
+export default GamepadSettings;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { BOARD_HEIGHT } from '../engine/index.js';
+
+// Versus: incoming garbage waiting to rise, drawn as a bar beside the board
+const GarbageMeter = ({ lines }) => (
+  <div className="w-3 bg-gray-900 border border-gray-600 flex flex-col justify-end relative">
+    <div
+      className={`${lines >= 4 ? 'bg-red-500 animate-pulse' : 'bg-orange-400'} transition-all`}
+      style={{ height: `${(Math.min(lines, BOARD_HEIGHT) / BOARD_HEIGHT) * 100}%` }}
+    />
+    {lines > 0 && (
+      <div className="absolute -top-5 left-1/2 -translate-x-1/2 text-xs font-mono text-red-400">{lines}</div>
+    )}
+  </div>
+);
+
+export default GarbageMeter;
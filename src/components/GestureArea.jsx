@@ -0,0 +1,58 @@
+import React, { useRef } from 'react';
+import { createGestureReader } from '../input/touch.js';
+
+// Wraps the board and reads gestures from it while `enabled`. Only the first
+// finger down is followed; others are ignored until it lifts.
+const GestureArea = ({ enabled, settings, onAction, className = '', children }) => {
+  const pointerRef = useRef(null);
+  const onActionRef = useRef(onAction); // the reader is made once, the handler changes every render
+  onActionRef.current = onAction;
+  const readerRef = useRef(null);
+  if (!readerRef.current) {
+    readerRef.current = createGestureReader({ onAction: (action) => onActionRef.current(action) });
+  }
+  
+  const getPoint = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top, width: rect.width };
+  };
+  
+  const handlers = enabled ? {
+    onPointerDown: (e) => {
+      if (pointerRef.current !== null) return;
+      pointerRef.current = e.pointerId;
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const { x, y, width } = getPoint(e);
+      readerRef.current.start(x, y, e.timeStamp, width);
+    },
+    onPointerMove: (e) => {
+      if (e.pointerId !== pointerRef.current) return;
+      const { x, y } = getPoint(e);
+      readerRef.current.move(x, y, e.timeStamp, settings);
+    },
+    onPointerUp: (e) => {
+      if (e.pointerId !== pointerRef.current) return;
+      pointerRef.current = null;
+      const { x, y } = getPoint(e);
+      readerRef.current.end(x, y, e.timeStamp, settings);
+    },
+    onPointerCancel: (e) => {
+      if (e.pointerId !== pointerRef.current) return;
+      pointerRef.current = null;
+      readerRef.current.cancel();
+    }
+  } : {};
+  
+  return (
+    <div
+      {...handlers}
+      className={className}
+      // Without this the browser scrolls and zooms instead
+      style={enabled ? { touchAction: 'none', userSelect: 'none' } : undefined}
+    >
+      {children}
+    </div>
+  );
+};
+
+export default GestureArea;
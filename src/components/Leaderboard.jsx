@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { GAME_TYPES, SPRINT_TARGETS, ULTRA_DURATIONS, DIG_TARGETS } from '../engine/index.js';
+import {
+  getLeaderboardId,
+  isRankedByTime,
+  loadLeaderboard,
+  serializeLeaderboards,
+  importLeaderboards
+} from '../records.js';
+import { downloadFile } from '../download.js';
+import { formatDuration } from '../format.js';
+
+// The goals each game type is ranked separately for
+const VARIANTS = {
+  marathon: [{ label: 'Endless', value: null }],
+  sprint: SPRINT_TARGETS.map(lines => ({ label: `${lines} lines`, value: lines })),
+  ultra: ULTRA_DURATIONS.map(ms => ({ label: formatDuration(ms), value: ms })),
+  dig: DIG_TARGETS.map(lines => ({ label: `${lines} rows`, value: lines }))
+};
+
+// Top scores per mode, with export/import of every table as one JSON file.
+// Opens on the table for the given game type, ruleset and goal.
+const Leaderboard = ({ initialGameType = 'marathon', initialMode = 'modern', initialGoal = null, onClose }) => {
+  const [gameType, setGameType] = useState(initialGameType);
+  const [mode, setMode] = useState(initialMode);
+  const [variant, setVariant] = useState(() =>
+    Math.max(0, VARIANTS[initialGameType].findIndex(option => option.value === initialGoal)));
+  const [message, setMessage] = useState(null); // { text, error }
+  const [, setVersion] = useState(0); // bumped to re-read storage after an import
+  
+  const goal = VARIANTS[gameType][variant].value;
+  const id = getLeaderboardId({ gameType, mode, targetLines: goal, timeLimit: goal });
+  const entries = loadLeaderboard(id);
+  
+  const selectGameType = (type) => {
+    setGameType(type);
+    setVariant(0);
+  };
+  
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const added = importLeaderboards(await file.text());
+      setMessage({ text: `Imported ${added} new ${added === 1 ? 'score' : 'scores'}`, error: false });
+      setVersion(prev => prev + 1);
+    } catch (error) {
+      setMessage({ text: error.message, error: true });
+    }
+  };
+  
+  const exportFile = () => {
+    downloadFile(serializeLeaderboards(), 'tetromaster-leaderboards.json');
+  };
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-40 p-2">
+      <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-2xl w-full max-w-[36rem] max-h-full overflow-y-auto text-white font-mono">
+        <h2 className="text-2xl font-bold text-center mb-4">LEADERBOARDS</h2>
+        
+        <div className="flex gap-1 justify-center mb-2">
+          {GAME_TYPES.map(type => (
+            <button
+              key={type}
+              onClick={() => selectGameType(type)}
+              className={`font-bold py-1 px-3 rounded transition-colors text-xs uppercase ${
+                gameType === type
+                  ? 'bg-teal-600 hover:bg-teal-700 text-white'
+                  : 'bg-gray-600 hover:bg-gray-700 text-white'
+              }`}
+            >
+              {type}
+            </button>
+          ))}
+        </div>
+        
+        <div className="flex gap-2 justify-center items-center mb-4 text-xs">
+          <button
+            onClick={() => setMode(prev => (prev === 'modern' ? 'classic' : 'modern'))}
+            className={`font-bold py-1 px-3 rounded transition-colors ${
+              mode === 'modern'
+                ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                : 'bg-orange-600 hover:bg-orange-700 text-white'
+            }`}
+          >
+            {mode === 'modern' ? 'MODERN' : 'CLASSIC'}
+          </button>
+          {VARIANTS[gameType].length > 1 && (
+            <select
+              value={variant}
+              onChange={(e) => setVariant(Number(e.target.value))}
+              className="bg-gray-900 border border-gray-600 rounded px-1 py-1"
+            >
+              {VARIANTS[gameType].map((option, index) => (
+                <option key={option.label} value={index}>{option.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        
+        <table className="w-full text-xs mb-4">
+          <thead>
+            <tr className="text-gray-400 text-left">
+              <th className="py-1">#</th>
+              <th>Name</th>
+              <th className="text-right">Score</th>
+              <th className="text-right">Lines</th>
+              <th className="text-right">Level</th>
+              <th className="text-right">Time</th>
+              <th className="text-right">Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map((entry, index) => (
+              <tr key={index} className="border-t border-gray-700" title={`Seed ${entry.seed}`}>
+                <td className="py-1 text-gray-400">{index + 1}</td>
+                <td>{entry.name}</td>
+                <td className={`text-right ${isRankedByTime(id) ? '' : 'text-yellow-400'}`}>
+                  {entry.score.toLocaleString()}
+                </td>
+                <td className="text-right">{entry.lines}</td>
+                <td className="text-right">{entry.level}</td>
+                <td className={`text-right ${isRankedByTime(id) ? 'text-yellow-400' : ''}`}>
+                  {formatDuration(entry.time, isRankedByTime(id))}
+                </td>
+                <td className="text-right text-gray-400">{entry.date.slice(0, 10)}</td>
+              </tr>
+            ))}
+            {entries.length === 0 && (
+              <tr>
+                <td colSpan={7} className="py-4 text-center text-gray-500">No scores yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+        
+        <div className="flex gap-2 text-sm">
+          <button
+            onClick={exportFile}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-2 rounded transition-colors"
+          >
+            EXPORT
+          </button>
+          <label className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-2 rounded transition-colors cursor-pointer text-center">
+            IMPORT
+            <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+          </label>
+          <button
+            onClick={onClose}
+            className="flex-1 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-2 rounded transition-colors"
+          >
+            CLOSE
+          </button>
+        </div>
+        {message && (
+          <div className={`mt-2 text-xs text-center ${message.error ? 'text-red-400' : 'text-green-400'}`}>
+            {message.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,68 @@
+import React from 'react';
+import { TETROMINO_TYPES, getRunStats } from '../engine/index.js';
+import { formatPercent } from '../format.js';
+
+// Running numbers for the side panel, from the engine's totals
+const LiveStats = ({ game, palette }) => {
+  const stats = getRunStats(game);
+  const mostPlaced = Math.max(1, ...TETROMINO_TYPES.map(type => stats.pieceCounts[type]));
+  
+  return (
+    <div className="mb-6 text-white font-mono text-xs">
+      <div className="flex justify-between mb-1">
+        <span>Pieces:</span>
+        <span>{stats.pieces}</span>
+      </div>
+      <div className="flex justify-between mb-1">
+        <span>PPS:</span>
+        <span>{stats.pps.toFixed(2)}</span>
+      </div>
+      <div className="flex justify-between mb-1">
+        <span>KPP:</span>
+        <span>{stats.kpp.toFixed(2)}</span>
+      </div>
+      <div className="flex justify-between mb-1">
+        <span>APM:</span>
+        <span>{stats.apm.toFixed(1)} ({stats.attack} sent)</span>
+      </div>
+      <div className="flex justify-between mb-1">
+        <span>Max combo:</span>
+        <span>{stats.maxCombo}×</span>
+      </div>
+      {game.mode === 'modern' && (
+        <div className="flex justify-between mb-1">
+          <span>T-spins S/D/T:</span>
+          <span className="text-purple-400">
+            {stats.tSpinCounts.single}/{stats.tSpinCounts.double}/{stats.tSpinCounts.triple}
+          </span>
+        </div>
+      )}
+      <div className="flex justify-between mb-2">
+        <span>Tetris rate:</span>
+        <span>{formatPercent(stats.tetrisRate)}</span>
+      </div>
+      
+      {/* Piece distribution, bars scaled to the most placed type */}
+      <div className="flex gap-1 items-end h-10">
+        {TETROMINO_TYPES.map(type => (
+          <div key={type} className="flex-1 flex flex-col items-center justify-end h-full" title={`${type}: ${stats.pieceCounts[type]}`}>
+            <div
+              className="w-full"
+              style={{
+                height: `${(stats.pieceCounts[type] / mostPlaced) * 100}%`,
+                backgroundColor: palette[type]
+              }}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-1 text-gray-400">
+        {TETROMINO_TYPES.map(type => (
+          <span key={type} className="flex-1 text-center">{type}</span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default LiveStats;
@@ -0,0 +1,33 @@
+import React from 'react';
+import PiecePreview from './PiecePreview.jsx';
+
+// On narrow screens the side panel sits below the board, out of sight while
+// playing, so the pieces and score it shows are repeated above the board
+const MobileHud = ({ game, nextPieces, theme, paused, onPause }) => (
+  <div className="md:hidden w-full max-w-sm mb-2 flex justify-between items-center gap-2 text-white font-mono text-xs">
+    {game.allowHold && (
+      <div className={`bg-gray-900 p-1 rounded border border-gray-600 ${game.holdUsed ? 'opacity-50' : ''}`}>
+        <PiecePreview piece={game.hold} theme={theme} cellSize={12} />
+      </div>
+    )}
+    <div className="flex-1 text-center leading-tight">
+      <div className="text-yellow-400">{game.score.toLocaleString()}</div>
+      <div>L{game.level} · {game.lines} lines</div>
+    </div>
+    <div className="bg-gray-900 p-1 rounded border border-gray-600 flex gap-1">
+      {nextPieces.slice(0, 3).map((piece, index) => (
+        <PiecePreview key={index} piece={piece} theme={theme} cellSize={12} />
+      ))}
+    </div>
+    {onPause && (
+      <button
+        onClick={onPause}
+        className="bg-yellow-600 hover:bg-yellow-700 text-white font-bold py-1 px-2 rounded"
+      >
+        {paused ? '▶' : 'II'}
+      </button>
+    )}
+  </div>
+);
+
+export default MobileHud;
@@ -0,0 +1,15 @@
+import React, { useRef, useLayoutEffect } from 'react';
+import { prepareCanvas, drawPreview } from '../render/canvas.js';
+
+// 4x2 preview grid used by the Next and Hold panels; an empty slot renders blank
+const PiecePreview = ({ piece, theme, cellSize = 20 }) => {
+  const canvasRef = useRef(null);
+  
+  useLayoutEffect(() => {
+    drawPreview(prepareCanvas(canvasRef.current, 4 * cellSize, 2 * cellSize), piece, theme, cellSize);
+  }, [piece, theme, cellSize]);
+  
+  return <canvas ref={canvasRef} className="block" style={{ width: 4 * cellSize, height: 2 * cellSize }} />;
+};
+
+export default PiecePreview;
@@ -0,0 +1,27 @@
+import React, { useRef, useLayoutEffect } from 'react';
+import { BOARD_WIDTH, BOARD_HEIGHT } from '../engine/index.js';
+import { prepareCanvas, drawPlayfield } from '../render/canvas.js';
+
+// The board with the active piece and its ghost drawn in, on a canvas that is
+// redrawn whenever the props change. See drawPlayfield for the drawing props.
+// cellSize is in px; className can size the canvas instead, e.g. responsively,
+// in which case the drawing is scaled to fit.
+const Playfield = ({ cellSize = 24, className = '', ...props }) => {
+  const canvasRef = useRef(null);
+  const width = BOARD_WIDTH * cellSize;
+  const height = BOARD_HEIGHT * cellSize;
+  
+  useLayoutEffect(() => {
+    drawPlayfield(prepareCanvas(canvasRef.current, width, height), props, cellSize);
+  });
+  
+  return (
+    <canvas
+      ref={canvasRef}
+      className={`block ${className} ${props.flash ? 'animate-pulse' : ''}`}
+      style={className ? undefined : { width, height }}
+    />
+  );
+};
+
+export default Playfield;
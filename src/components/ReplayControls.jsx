@@ -0,0 +1,93 @@
+import React from 'react';
+import { FRAME_MS } from '../engine/index.js';
+import { formatDuration } from '../format.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+const formatTime = (frame) => formatDuration(frame * FRAME_MS);
+
+const ReplayControls = ({
+  frame,
+  totalFrames,
+  playing,
+  speed,
+  onTogglePlay,
+  onSeek,
+  onSpeedChange,
+  onDownload,
+  onClose
+}) => (
+  <div className="mb-4 text-white font-mono">
+    <div className="text-center text-cyan-400 font-bold mb-2">REPLAY</div>
+    
+    <input
+      type="range"
+      min={0}
+      max={totalFrames}
+      value={frame}
+      onChange={(e) => onSeek(Number(e.target.value))}
+      className="w-full"
+    />
+    <div className="flex justify-between text-xs text-gray-400 mb-2">
+      <span>{formatTime(frame)}</span>
+      <span>{formatTime(totalFrames)}</span>
+    </div>
+    
+    <div className="flex gap-2 mb-2">
+      <button
+        onClick={() => onSeek(frame - 1)}
+        className="bg-gray-600 hover:bg-gray-700 font-bold py-2 px-3 rounded transition-colors text-sm"
+        title="Previous frame"
+      >
+        ◀|
+      </button>
+      <button
+        onClick={onTogglePlay}
+        className={`flex-1 font-bold py-2 px-3 rounded transition-colors text-sm ${
+          playing 
+            ? 'bg-yellow-600 hover:bg-yellow-700' 
+            : 'bg-green-600 hover:bg-green-700'
+        }`}
+      >
+        {playing ? 'PAUSE' : 'PLAY'}
+      </button>
+      <button
+        onClick={() => onSeek(frame + 1)}
+        className="bg-gray-600 hover:bg-gray-700 font-bold py-2 px-3 rounded transition-colors text-sm"
+        title="Next frame"
+      >
+        |▶
+      </button>
+    </div>
+    
+    <div className="flex justify-between items-center mb-3 text-sm">
+      <span>Speed:</span>
+      <select
+        value={speed}
+        onChange={(e) => onSpeedChange(Number(e.target.value))}
+        className="bg-gray-900 border border-gray-600 rounded px-1"
+      >
+        {REPLAY_SPEEDS.map(value => (
+          <option key={value} value={value}>{value}×</option>
+        ))}
+      </select>
+    </div>
+    
+    <div className="flex gap-2">
+      <button
+        onClick={onDownload}
+        className="flex-1 bg-blue-600 hover:bg-blue-700 font-bold py-2 px-3 rounded transition-colors text-sm"
+      >
+        DOWNLOAD
+      </button>
+      <button
+        onClick={onClose}
+        className="flex-1 bg-gray-600 hover:bg-gray-700 font-bold py-2 px-3 rounded transition-colors text-sm"
+      >
+        CLOSE
+      </button>
+    </div>
+  </div>
+);
+
+export default ReplayControls;
@@ -0,0 +1,52 @@
+import React from 'react';
+import { formatDuration, formatFinesse } from '../format.js';
+
+const CLEAR_NAMES = ['', 'Singles', 'Doubles', 'Triples', 'Tetrises'];
+
+// End-of-run report for goal modes
+const RunSummary = ({ title, stats, score, isPersonalBest }) => (
+  <div className="mb-4 text-white font-mono text-sm">
+    <div className="text-green-400 font-bold text-xl text-center mb-1">{title}</div>
+    {isPersonalBest && (
+      <div className="text-yellow-400 font-bold text-center animate-pulse mb-2">NEW PERSONAL BEST!</div>
+    )}
+    {score !== undefined && (
+      <div className="flex justify-between mb-1">
+        <span>Score:</span>
+        <span className="text-yellow-400">{score.toLocaleString()}</span>
+      </div>
+    )}
+    <div className="flex justify-between mb-1">
+      <span>Time:</span>
+      <span className="text-yellow-400">{formatDuration(stats.time, true)}</span>
+    </div>
+    <div className="flex justify-between mb-1">
+      <span>Pieces:</span>
+      <span>{stats.pieces}</span>
+    </div>
+    <div className="flex justify-between mb-1">
+      <span>PPS:</span>
+      <span>{stats.pps.toFixed(2)}</span>
+    </div>
+    <div className="flex justify-between mb-1">
+      <span>Lines/min:</span>
+      <span>{stats.lpm.toFixed(1)}</span>
+    </div>
+    <div className="flex justify-between mb-1">
+      <span>Finesse:</span>
+      <span>{formatFinesse(stats.finesse)}</span>
+    </div>
+    {CLEAR_NAMES.map((name, count) => count > 0 && (
+      <div key={name} className="flex justify-between text-xs text-gray-400">
+        <span>{name}:</span>
+        <span>{stats.clearCounts[count]}</span>
+      </div>
+    ))}
+    <div className="flex justify-between text-xs text-gray-400">
+      <span>T-spins:</span>
+      <span>{stats.tSpins}</span>
+    </div>
+  </div>
+);
+
+export default RunSummary;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import {
+  BOUND_ACTIONS,
+  RESERVED_KEYS,
+  bindKey,
+  unbindKey,
+  formatKey
+} from '../input/bindings.js';
+import GamepadSettings from './GamepadSettings.jsx';
+import TouchSettings from './TouchSettings.jsx';
+import ThemeSettings from './ThemeSettings.jsx';
+
+const getLabel = (id) => BOUND_ACTIONS.find(action => action.id === id).label;
+
+const TABS = ['KEYBOARD', 'GAMEPAD', 'TOUCH', 'THEME'];
+
+const VOLUMES = [
+  { name: 'master', label: 'Master' },
+  { name: 'sfx', label: 'Effects' },
+  { name: 'music', label: 'Music' }
+];
+
+// Key, button and touch controls, board themes and display/audio preferences.
+// Click + on an action, then press the key or button to add; one already in use
+// moves over from its old action. Restoring defaults also resets the side
+// panel's ruleset and handling, but keeps custom themes.
+const SettingsMenu = ({
+  bindings,
+  padBindings,
+  padAssignment,
+  touch,
+  showGhost,
+  showFps,
+  theme,
+  customThemes,
+  sound,
+  volume,
+  onBindingsChange,
+  onPadBindingsChange,
+  onPadAssignmentChange,
+  onTouchChange,
+  onGhostChange,
+  onFpsChange,
+  onThemeChange,
+  onCustomThemesChange,
+  onSoundChange,
+  onVolumeChange,
+  onRestoreDefaults,
+  onClose
+}) => {
+  const [tab, setTab] = useState(TABS[0]);
+  const [listening, setListening] = useState(null); // action waiting for a key
+  const [padListening, setPadListening] = useState(null); // action waiting for a button
+  const [notice, setNotice] = useState('');
+  
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!listening) {
+        if (e.key !== 'Escape') return;
+        if (padListening) {
+          setPadListening(null);
+        } else {
+          onClose();
+        }
+        return;
+      }
+      e.preventDefault();
+      if (e.repeat) return;
+      
+      setListening(null);
+      if (RESERVED_KEYS.includes(e.key)) return;
+      const { bindings: next, movedFrom } = bindKey(bindings, listening, e.key);
+      onBindingsChange(next);
+      setNotice(movedFrom ? `${formatKey(e.key)} moved from ${getLabel(movedFrom)}` : '');
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [listening, padListening, bindings, onBindingsChange, onClose]);
+  
+  const restoreDefaults = () => {
+    onRestoreDefaults();
+    setListening(null);
+    setPadListening(null);
+    setNotice('');
+  };
+  
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-40 p-2">
+      <div className="bg-gray-800 p-4 md:p-6 rounded-lg shadow-2xl w-full max-w-[32rem] max-h-full overflow-y-auto text-white font-mono">
+        <h2 className="text-2xl font-bold text-center mb-4">SETTINGS</h2>
+        
+        <div className="flex gap-1 mb-2">
+          {TABS.map(name => (
+            <button
+              key={name}
+              onClick={() => {
+                setTab(name);
+                setListening(null);
+                setPadListening(null);
+                setNotice('');
+              }}
+              className={`flex-1 font-bold py-1 px-2 rounded transition-colors text-xs ${
+                tab === name
+                  ? 'bg-teal-600 hover:bg-teal-700 text-white'
+                  : 'bg-gray-600 hover:bg-gray-700 text-white'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        
+        {tab === 'KEYBOARD' ? (
+          <div className="mb-2 text-xs">
+            {BOUND_ACTIONS.map(({ id, label }) => (
+              <div key={id} className="flex justify-between items-center py-1 border-t border-gray-700">
+                <span className={bindings[id].length === 0 ? 'text-red-400' : ''}>{label}</span>
+                <div className="flex gap-1 items-center">
+                  {bindings[id].map(key => (
+                    <button
+                      key={key}
+                      onClick={() => onBindingsChange(unbindKey(bindings, id, key))}
+                      title="Remove"
+                      className="bg-gray-900 border border-gray-600 hover:border-red-400 rounded px-2"
+                    >
+                      {formatKey(key)} ×
+                    </button>
+                  ))}
+                  <button
+                    onClick={(e) => {
+                      // Unfocused, so Space or Enter can be bound instead of pressing it again
+                      e.currentTarget.blur();
+                      setListening(listening === id ? null : id);
+                    }}
+                    className={`rounded px-2 font-bold transition-colors ${
+                      listening === id
+                        ? 'bg-yellow-600 hover:bg-yellow-700 animate-pulse'
+                        : 'bg-gray-600 hover:bg-gray-700'
+                    }`}
+                  >
+                    {listening === id ? 'PRESS A KEY' : '+'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : tab === 'GAMEPAD' ? (
+          <GamepadSettings
+            padBindings={padBindings}
+            padAssignment={padAssignment}
+            listening={padListening}
+            onListen={setPadListening}
+            onNotice={setNotice}
+            onPadBindingsChange={onPadBindingsChange}
+            onPadAssignmentChange={onPadAssignmentChange}
+          />
+        ) : tab === 'TOUCH' ? (
+          <TouchSettings touch={touch} onTouchChange={onTouchChange} />
+        ) : (
+          <ThemeSettings
+            theme={theme}
+            customThemes={customThemes}
+            onThemeChange={onThemeChange}
+            onCustomThemesChange={onCustomThemesChange}
+          />
+        )}
+        <div className="h-4 mb-2 text-xs text-yellow-400">
+          {listening || padListening ? 'Esc cancels' : notice}
+        </div>
+        
+        <div className="flex gap-2 mb-2 text-sm">
+          <button
+            onClick={() => onGhostChange(!showGhost)}
+            className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+              showGhost
+                ? 'bg-purple-600 hover:bg-purple-700 text-white'
+                : 'bg-gray-600 hover:bg-gray-700 text-white'
+            }`}
+          >
+            {showGhost ? 'GHOST ON' : 'GHOST OFF'}
+          </button>
+          <button
+            onClick={() => onSoundChange(!sound)}
+            className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+              sound
+                ? 'bg-green-600 hover:bg-green-700 text-white'
+                : 'bg-gray-600 hover:bg-gray-700 text-white'
+            }`}
+          >
+            {sound ? 'SOUND ON' : 'SOUND OFF'}
+          </button>
+          <button
+            onClick={() => onFpsChange(!showFps)}
+            className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+              showFps
+                ? 'bg-teal-600 hover:bg-teal-700 text-white'
+                : 'bg-gray-600 hover:bg-gray-700 text-white'
+            }`}
+          >
+            {showFps ? 'FPS ON' : 'FPS OFF'}
+          </button>
+        </div>
+        
+        <div className={`mb-4 text-xs ${sound ? '' : 'opacity-50'}`}>
+          {VOLUMES.map(({ name, label }) => (
+            <label key={name} className="flex justify-between items-center mb-1">
+              <span>{label}</span>
+              <span className="flex gap-2 items-center">
+                <input
+                  type="range"
+                  min={0}
+                  max={100}
+                  value={Math.round(volume[name] * 100)}
+                  onChange={(e) => onVolumeChange({ ...volume, [name]: Number(e.target.value) / 100 })}
+                  className="w-40"
+                />
+                <span className="w-10 text-right">{Math.round(volume[name] * 100)}%</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        
+        <div className="flex gap-2 text-sm">
+          <button
+            onClick={restoreDefaults}
+            className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-2 px-2 rounded transition-colors"
+          >
+            RESTORE DEFAULTS
+          </button>
+          <button
+            onClick={onClose}
+            className="flex-1 bg-green-600 hover:bg-green-700 text-white font-bold py-2 px-2 rounded transition-colors"
+          >
+            CLOSE
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsMenu;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { getGameTime } from '../engine/index.js';
+import { formatDuration, formatSplitDelta } from '../format.js';
+
+// Live sprint timer with 10-line splits compared against the personal best
+const SprintPanel = ({ game, best }) => {
+  const bestSplits = best ? best.splits : [];
+  
+  return (
+    <div className="mb-6 text-white font-mono">
+      <div className="text-3xl text-center text-yellow-400 mb-1">
+        {formatDuration(getGameTime(game), true)}
+      </div>
+      <div className="text-center text-sm text-gray-400 mb-3">
+        {Math.min(game.lines, game.targetLines)} / {game.targetLines} lines
+        {best && <span> · PB {formatDuration(best.time, true)}</span>}
+      </div>
+      {game.splits.length > 0 && (
+        <div className="text-xs">
+          {game.splits.map(split => {
+            const bestSplit = bestSplits.find(s => s.lines === split.lines);
+            const delta = bestSplit ? split.time - bestSplit.time : null;
+            return (
+              <div key={split.lines} className="flex justify-between">
+                <span>{split.lines}</span>
+                <span>{formatDuration(split.time, true)}</span>
+                <span className={delta === null ? 'text-gray-500' : delta < 0 ? 'text-green-400' : 'text-red-400'}>
+                  {delta === null ? '—' : formatSplitDelta(delta)}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SprintPanel;
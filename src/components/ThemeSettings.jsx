@@ -0,0 +1,243 @@
+import React, { useState } from 'react';
+import { BOARD_HEIGHT, TETROMINO_TYPES, GARBAGE_CELL, createEmptyBoard, createPiece } from '../engine/index.js';
+import {
+  BUILTIN_THEMES,
+  THEME_MODES,
+  THEME_NAME_MAX_LENGTH,
+  SKINS,
+  GHOST_STYLES,
+  findTheme,
+  isBuiltinTheme,
+  copyTheme,
+  serializeTheme,
+  parseTheme,
+  getThemeFilename
+} from '../themes.js';
+import { downloadFile } from '../download.js';
+import Playfield from './Playfield.jsx';
+import PiecePreview from './PiecePreview.jsx';
+
+const MODE_LABELS = { level: 'ROTATE BY LEVEL', fixed: 'FIXED' };
+
+const BOARD_COLORS = [
+  { name: 'background', label: 'Background' },
+  { name: 'grid', label: 'Grid' },
+  { name: 'garbage', label: 'Garbage' }
+];
+
+const STYLE_OPTIONS = [
+  { name: 'ghost', label: 'Ghost', options: GHOST_STYLES },
+  { name: 'skin', label: 'Blocks', options: SKINS }
+];
+
+// Bottom of the preview board: one letter per cell, '.' for empty
+const SAMPLE_STACK = [
+  '......ZZ..',
+  'I.....SZZ.',
+  'IJ...SS.OO',
+  'IJJJ.LLLOO',
+  'GGGG.GGGGG'
+];
+
+const SAMPLE_BOARD = createEmptyBoard().map((row, y) => {
+  const line = SAMPLE_STACK[y - (BOARD_HEIGHT - SAMPLE_STACK.length)];
+  return line ? [...line].map(cell => (cell === '.' ? 0 : cell === 'G' ? GARBAGE_CELL : cell)) : row;
+});
+const SAMPLE_PIECE = createPiece('T');
+const SAMPLE_POSITION = { x: 3, y: 4 };
+const SAMPLE_GHOST = { x: 3, y: 15 };
+
+// Theme tab of the settings: level rotation or one fixed theme, an editor for
+// custom themes with a live preview, and JSON import/export. Built-in themes
+// can't be edited, but COPY makes an editable custom theme from any of them.
+const ThemeSettings = ({ theme, customThemes, onThemeChange, onCustomThemesChange }) => {
+  const [message, setMessage] = useState(null); // { text, error }
+  const selected = findTheme(theme.id, customThemes);
+  const editable = !isBuiltinTheme(selected.id);
+  
+  const select = (id) => {
+    onThemeChange({ ...theme, id });
+    setMessage(null);
+  };
+  
+  // Adding a theme also selects it and fixes it in place, so the edits show
+  const addTheme = (added) => {
+    onCustomThemesChange([...customThemes, added]);
+    onThemeChange({ mode: 'fixed', id: added.id });
+  };
+  
+  const update = (changes) => {
+    onCustomThemesChange(customThemes.map(custom => (custom.id === selected.id ? { ...custom, ...changes } : custom)));
+  };
+  
+  const remove = () => {
+    onCustomThemesChange(customThemes.filter(custom => custom.id !== selected.id));
+    onThemeChange({ ...theme, id: BUILTIN_THEMES[0].id });
+    setMessage(null);
+  };
+  
+  const importFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      const imported = parseTheme(await file.text());
+      addTheme(imported);
+      setMessage({ text: `Imported ${imported.name}`, error: false });
+    } catch (error) {
+      setMessage({ text: error.message, error: true });
+    }
+  };
+  
+  const exportFile = () => {
+    downloadFile(serializeTheme(selected), getThemeFilename(selected));
+  };
+  
+  return (
+    <div className="mb-2 text-xs">
+      <div className="flex gap-1 mb-2">
+        {THEME_MODES.map(mode => (
+          <button
+            key={mode}
+            onClick={() => onThemeChange({ ...theme, mode })}
+            className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+              theme.mode === mode
+                ? 'bg-purple-600 hover:bg-purple-700 text-white'
+                : 'bg-gray-600 hover:bg-gray-700 text-white'
+            }`}
+          >
+            {MODE_LABELS[mode]}
+          </button>
+        ))}
+      </div>
+      <div className="mb-2 text-gray-400">
+        {theme.mode === 'level'
+          ? 'Each level switches to the next built-in theme. Pick FIXED to keep the selected one.'
+          : 'Every level uses the selected theme.'}
+      </div>
+      
+      <select
+        value={selected.id}
+        onChange={(e) => select(e.target.value)}
+        className="w-full mb-2 bg-gray-900 border border-gray-600 rounded px-2 py-1"
+      >
+        <optgroup label="Built-in">
+          {BUILTIN_THEMES.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+        </optgroup>
+        {customThemes.length > 0 && (
+          <optgroup label="Custom">
+            {customThemes.map(({ id, name }) => <option key={id} value={id}>{name}</option>)}
+          </optgroup>
+        )}
+      </select>
+      
+      <div className="flex gap-3 mb-2">
+        <div className="flex flex-col gap-1 items-center">
+          <Playfield
+            board={SAMPLE_BOARD}
+            piece={SAMPLE_PIECE}
+            position={SAMPLE_POSITION}
+            ghostPosition={SAMPLE_GHOST}
+            theme={selected}
+            cellSize={12}
+          />
+          <PiecePreview piece={SAMPLE_PIECE} theme={selected} cellSize={12} />
+        </div>
+        
+        <fieldset disabled={!editable} className={`flex-1 min-w-0 ${editable ? '' : 'opacity-50'}`}>
+          <input
+            type="text"
+            value={selected.name}
+            maxLength={THEME_NAME_MAX_LENGTH}
+            onChange={(e) => update({ name: e.target.value })}
+            onBlur={() => {
+              if (!selected.name.trim()) update({ name: 'Untitled' });
+            }}
+            className="w-full mb-2 bg-gray-900 border border-gray-600 rounded px-2 py-1"
+          />
+          <div className="grid grid-cols-4 gap-1 mb-2">
+            {TETROMINO_TYPES.map(type => (
+              <label key={type} className="flex gap-1 items-center">
+                <input
+                  type="color"
+                  value={selected.colors[type]}
+                  onChange={(e) => update({ colors: { ...selected.colors, [type]: e.target.value } })}
+                  className="w-6 h-6 bg-transparent"
+                />
+                {type}
+              </label>
+            ))}
+          </div>
+          {BOARD_COLORS.map(({ name, label }) => (
+            <label key={name} className="flex justify-between items-center py-1 border-t border-gray-700">
+              <span>{label}</span>
+              <input
+                type="color"
+                value={selected[name]}
+                onChange={(e) => update({ [name]: e.target.value })}
+                className="w-6 h-6 bg-transparent"
+              />
+            </label>
+          ))}
+          {STYLE_OPTIONS.map(({ name, label, options }) => (
+            <div key={name} className="py-1 border-t border-gray-700">
+              <div className="mb-1">{label}</div>
+              <div className="flex flex-wrap gap-1">
+                {options.map(option => (
+                  <button
+                    key={option}
+                    onClick={() => update({ [name]: option })}
+                    className={`font-bold py-0.5 px-2 rounded transition-colors uppercase ${
+                      selected[name] === option
+                        ? 'bg-teal-600 hover:bg-teal-700 text-white'
+                        : 'bg-gray-600 hover:bg-gray-700 text-white'
+                    }`}
+                  >
+                    {option}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </fieldset>
+      </div>
+      {!editable && (
+        <div className="mb-2 text-gray-400">Built-in themes can't be changed. COPY makes an editable one.</div>
+      )}
+      
+      <div className="flex gap-1">
+        <button
+          onClick={() => addTheme(copyTheme(selected))}
+          className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded transition-colors"
+        >
+          COPY
+        </button>
+        <button
+          onClick={remove}
+          disabled={!editable}
+          className="flex-1 bg-gray-600 hover:bg-red-700 text-white font-bold py-1 px-2 rounded transition-colors disabled:opacity-50 disabled:hover:bg-gray-600"
+        >
+          DELETE
+        </button>
+        <button
+          onClick={exportFile}
+          className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded transition-colors"
+        >
+          EXPORT
+        </button>
+        <label className="flex-1 bg-gray-600 hover:bg-gray-700 text-white font-bold py-1 px-2 rounded transition-colors cursor-pointer text-center">
+          IMPORT
+          <input type="file" accept=".json,application/json" onChange={importFile} className="hidden" />
+        </label>
+      </div>
+      {message && (
+        <div className={`mt-2 text-center ${message.error ? 'text-red-400' : 'text-green-400'}`}>
+          {message.text}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ThemeSettings;
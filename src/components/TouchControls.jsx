@@ -0,0 +1,56 @@
+import React from 'react';
+
+// Movement on the left thumb, rotation and hold on the right
+const LEFT_BUTTONS = [
+  { action: 'hardDrop', label: '⤓', className: 'col-start-2' },
+  { action: 'left', label: '←' },
+  { action: 'softDrop', label: '↓' },
+  { action: 'right', label: '→' }
+];
+
+const RIGHT_BUTTONS = [
+  { action: 'hold', label: 'HOLD' },
+  { action: 'rotate180', label: '180' },
+  { action: 'rotateCcw', label: '↺' },
+  { action: 'rotateCw', label: '↻' }
+];
+
+// On-screen buttons for touch screens. Buttons report presses and releases
+// like keys do, so held moves auto-repeat with the player's DAS/ARR.
+const TouchControls = ({ allow180, allowHold, onPress, onRelease }) => {
+  const renderButton = ({ action, label, className = '' }) => {
+    const disabled = (action === 'rotate180' && !allow180) || (action === 'hold' && !allowHold);
+    return (
+      <button
+        key={action}
+        disabled={disabled}
+        onPointerDown={(e) => {
+          e.preventDefault();
+          // Keep receiving the release even if the thumb slides off the button
+          e.currentTarget.setPointerCapture(e.pointerId);
+          onPress(action, performance.now());
+        }}
+        onPointerUp={() => onRelease(action, performance.now())}
+        onPointerCancel={() => onRelease(action, performance.now())}
+        onContextMenu={(e) => e.preventDefault()}
+        className={`h-12 bg-gray-700 active:bg-gray-500 disabled:opacity-30 text-white font-bold font-mono rounded-lg select-none ${className}`}
+        style={{ touchAction: 'none' }}
+      >
+        {label}
+      </button>
+    );
+  };
+  
+  return (
+    <div className="mt-2 flex justify-between gap-6">
+      <div className="grid grid-cols-3 gap-1 w-40">
+        {LEFT_BUTTONS.map(renderButton)}
+      </div>
+      <div className="grid grid-cols-2 gap-1 w-28 content-end">
+        {RIGHT_BUTTONS.map(renderButton)}
+      </div>
+    </div>
+  );
+};
+
+export default TouchControls;
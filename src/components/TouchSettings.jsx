@@ -0,0 +1,72 @@
+import React from 'react';
+import { TOUCH_CONTROLS, hasTouchScreen } from '../input/touch.js';
+
+const CONTROL_LABELS = { buttons: 'BUTTONS', gestures: 'GESTURES', off: 'OFF' };
+
+// Touch tab of the settings: which controls show on touch screens, and how
+// far and fast a finger has to go for the gestures
+const TouchSettings = ({ touch, onTouchChange }) => {
+  const update = (name, value) => onTouchChange({ ...touch, [name]: value });
+  
+  return (
+    <div className="mb-2 text-xs">
+      <div className="flex gap-1 mb-2">
+        {TOUCH_CONTROLS.map(controls => (
+          <button
+            key={controls}
+            onClick={() => update('controls', controls)}
+            className={`flex-1 font-bold py-1 px-2 rounded transition-colors ${
+              touch.controls === controls
+                ? 'bg-purple-600 hover:bg-purple-700 text-white'
+                : 'bg-gray-600 hover:bg-gray-700 text-white'
+            }`}
+          >
+            {CONTROL_LABELS[controls]}
+          </button>
+        ))}
+      </div>
+      
+      {touch.controls === 'gestures' && (
+        <div className="mb-2 text-gray-400">
+          Drag sideways to move, drag down to soft drop, swipe down to hard drop, swipe up to hold.
+          Tap the right half of the board to rotate clockwise, the left half counter-clockwise.
+        </div>
+      )}
+      
+      <label className="flex justify-between items-center py-1 border-t border-gray-700">
+        <span>Drag per cell</span>
+        <span className="flex gap-2 items-center">
+          <input
+            type="range"
+            min={10}
+            max={60}
+            value={touch.dragDistance}
+            onChange={(e) => update('dragDistance', Number(e.target.value))}
+            className="w-32"
+          />
+          <span className="w-16 text-right">{touch.dragDistance} px</span>
+        </span>
+      </label>
+      <label className="flex justify-between items-center py-1 border-t border-gray-700">
+        <span>Swipe speed</span>
+        <span className="flex gap-2 items-center">
+          <input
+            type="range"
+            min={3}
+            max={30}
+            value={Math.round(touch.swipeSpeed * 10)}
+            onChange={(e) => update('swipeSpeed', Number(e.target.value) / 10)}
+            className="w-32"
+          />
+          <span className="w-16 text-right">{touch.swipeSpeed.toFixed(1)} px/ms</span>
+        </span>
+      </label>
+      
+      {!hasTouchScreen() && (
+        <div className="mt-1 text-gray-400">No touch screen found: touch controls only show on phones and tablets.</div>
+      )}
+    </div>
+  );
+};
+
+export default TouchSettings;
@@ -0,0 +1,10 @@
+// Start a browser download of a text file
+export const downloadFile = (text, filename, type = 'application/json') => {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
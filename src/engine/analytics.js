@@ -0,0 +1,64 @@
+// Per-piece history of a game, for the post-game report and CSV export.
+// The engine state only keeps running totals, so a log is fed every step.
+import { getGameTime } from './modes.js';
+import { getAttack } from './attack.js';
+
+// Rows from the floor up to the highest filled cell
+export const getStackHeight = (board) => {
+  const top = board.findIndex(row => row.some(cell => cell !== 0));
+  return top === -1 ? 0 : board.length - top;
+};
+
+export const PIECE_LOG_COLUMNS = [
+  'piece',
+  'type',
+  'time',
+  'keys',
+  'cleared',
+  'clear',
+  'combo',
+  'attack',
+  'score',
+  'lines',
+  'level',
+  'stackHeight'
+];
+
+export const createPieceLog = () => {
+  const entries = [];
+  let keyPresses = 0;
+  
+  // Call with the state and events of every step; a piece is logged as it locks
+  const record = (state, events) => {
+    const locked = events.find(event => event.type === 'pieceLocked');
+    if (!locked) return;
+    
+    const clear = events.find(event => event.type === 'linesCleared');
+    entries.push({
+      piece: entries.length + 1,
+      type: locked.piece,
+      time: Math.round(getGameTime(state)),
+      keys: state.keyPresses - keyPresses,
+      cleared: clear ? clear.count : 0,
+      clear: clear ? clear.label : '',
+      combo: clear ? clear.combo + 1 : 0,
+      attack: clear ? getAttack(clear) : 0,
+      score: state.score,
+      lines: state.lines,
+      level: state.level,
+      stackHeight: getStackHeight(state.board)
+    });
+    keyPresses = state.keyPresses;
+  };
+  
+  return { record, entries: () => [...entries] };
+};
+
+// One row per piece, with a header row
+export const pieceLogToCsv = (entries) => {
+  const quote = (value) => (/[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value);
+  return [
+    PIECE_LOG_COLUMNS.join(','),
+    ...entries.map(entry => PIECE_LOG_COLUMNS.map(column => quote(entry[column])).join(','))
+  ].join('\n') + '\n';
+};
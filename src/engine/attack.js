@@ -0,0 +1,23 @@
+// Versus attack: how many garbage lines a clear sends to the opponent.
+// Values follow the guideline attack table.
+
+// Indexed by lines cleared at once
+export const LINE_ATTACK = [0, 0, 1, 2, 4];
+export const T_SPIN_ATTACK = { single: 2, double: 4, triple: 6 };
+export const BACK_TO_BACK_ATTACK = 1;
+export const PERFECT_CLEAR_ATTACK = 10;
+
+// Indexed by the combo count of the clear (0 for the first clear in a row);
+// longer combos keep the last value
+export const COMBO_ATTACK = [0, 1, 1, 2, 2, 3, 3, 4, 4, 4, 5];
+
+// Attack for a linesCleared event
+export const getAttack = (clear) => {
+  if (clear.count === 0) return 0;
+  
+  let attack = clear.tSpin ? T_SPIN_ATTACK[clear.tSpinType] : LINE_ATTACK[clear.count];
+  if (clear.backToBack) attack += BACK_TO_BACK_ATTACK;
+  attack += COMBO_ATTACK[Math.min(clear.combo, COMBO_ATTACK.length - 1)];
+  if (clear.perfectClear) attack += PERFECT_CLEAR_ATTACK;
+  return attack;
+};
@@ -0,0 +1,70 @@
+import { BOARD_WIDTH, BOARD_HEIGHT } from './constants.js';
+
+export const createEmptyBoard = () =>
+  Array(BOARD_HEIGHT).fill().map(() => Array(BOARD_WIDTH).fill(0));
+
+export const isValidMove = (board, piece, pos) => {
+  for (let y = 0; y < piece.shape.length; y++) {
+    for (let x = 0; x < piece.shape[y].length; x++) {
+      if (piece.shape[y][x] !== 0) {
+        const newX = pos.x + x;
+        const newY = pos.y + y;
+        
+        if (newX < 0 || newX >= BOARD_WIDTH || newY >= BOARD_HEIGHT) {
+          return false;
+        }
+        if (newY >= 0 && board[newY][newX] !== 0) {
+          return false;
+        }
+      }
+    }
+  }
+  return true;
+};
+
+export const placePiece = (board, piece, pos) => {
+  const newBoard = board.map(row => [...row]);
+  for (let y = 0; y < piece.shape.length; y++) {
+    for (let x = 0; x < piece.shape[y].length; x++) {
+      if (piece.shape[y][x] !== 0) {
+        const boardY = pos.y + y;
+        const boardX = pos.x + x;
+        if (boardY >= 0) {
+          newBoard[boardY][boardX] = piece.type;
+        }
+      }
+    }
+  }
+  return newBoard;
+};
+
+// Remove full rows and shift everything above them down
+export const clearLines = (board) => {
+  const rows = [];
+  
+  for (let y = BOARD_HEIGHT - 1; y >= 0; y--) {
+    if (board[y].every(cell => cell !== 0)) {
+      rows.push(y);
+    }
+  }
+  
+  if (rows.length === 0) {
+    return { board, rows };
+  }
+  
+  const newBoard = board.filter((_, y) => !rows.includes(y));
+  while (newBoard.length < BOARD_HEIGHT) {
+    newBoard.unshift(Array(BOARD_WIDTH).fill(0));
+  }
+  
+  return { board: newBoard, rows };
+};
+
+// Lowest position the piece can fall to from pos (used for ghost and hard drop)
+export const getDropPosition = (board, piece, pos) => {
+  let y = pos.y;
+  while (isValidMove(board, piece, { x: pos.x, y: y + 1 })) {
+    y++;
+  }
+  return { x: pos.x, y };
+};
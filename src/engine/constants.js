@@ -0,0 +1,102 @@
+export const BOARD_WIDTH = 10;
+export const BOARD_HEIGHT = 20;
+export const INITIAL_FALL_TIME = 1000;
+
+// Length of one game tick. The clock advances in whole ticks so a game can be
+// re-simulated exactly from its inputs.
+export const FRAME_MS = 1000 / 60;
+
+// Fastest gravity, in rows per tick: 20G takes a piece from the top of the
+// board to the bottom within a single tick
+export const MAX_GRAVITY = 20;
+
+// Most upcoming pieces the next queue can show
+export const MAX_PREVIEWS = 6;
+
+// Modern lock delay: time a grounded piece waits before locking, and how many
+// moves/rotations may restart that wait for one piece
+export const LOCK_DELAY = 500;
+export const MAX_LOCK_RESETS = 15;
+
+// Tetromino shapes
+export const TETROMINOES = {
+  I: [
+    [0, 0, 0, 0],
+    [1, 1, 1, 1],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0]
+  ],
+  O: [
+    [1, 1],
+    [1, 1]
+  ],
+  T: [
+    [0, 1, 0],
+    [1, 1, 1],
+    [0, 0, 0]
+  ],
+  S: [
+    [0, 1, 1],
+    [1, 1, 0],
+    [0, 0, 0]
+  ],
+  Z: [
+    [1, 1, 0],
+    [0, 1, 1],
+    [0, 0, 0]
+  ],
+  J: [
+    [1, 0, 0],
+    [1, 1, 1],
+    [0, 0, 0]
+  ],
+  L: [
+    [0, 0, 1],
+    [1, 1, 1],
+    [0, 0, 0]
+  ]
+};
+
+export const TETROMINO_TYPES = Object.keys(TETROMINOES);
+
+// SRS Wall Kick Data - Modern Tetris rotation system
+export const SRS_WALL_KICKS = {
+  // Standard pieces (J, L, S, T, Z)
+  JLSTZ: {
+    '0->1': [[-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '1->0': [[1, 0], [1, -1], [0, 2], [1, 2]],
+    '1->2': [[1, 0], [1, -1], [0, 2], [1, 2]],
+    '2->1': [[-1, 0], [-1, 1], [0, -2], [-1, -2]],
+    '2->3': [[1, 0], [1, 1], [0, -2], [1, -2]],
+    '3->2': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '3->0': [[-1, 0], [-1, -1], [0, 2], [-1, 2]],
+    '0->3': [[1, 0], [1, 1], [0, -2], [1, -2]]
+  },
+  // I piece has different kick data
+  I: {
+    '0->1': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '1->0': [[2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '1->2': [[-1, 0], [2, 0], [-1, 2], [2, -1]],
+    '2->1': [[1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '2->3': [[2, 0], [-1, 0], [2, 1], [-1, -2]],
+    '3->2': [[-2, 0], [1, 0], [-2, -1], [1, 2]],
+    '3->0': [[1, 0], [-2, 0], [1, -2], [-2, 1]],
+    '0->3': [[-1, 0], [2, 0], [-1, 2], [2, -1]]
+  }
+};
+
+// 180° kicks (SRS+ style), same y-up convention as SRS_WALL_KICKS
+export const SRS_180_KICKS = {
+  JLSTZ: {
+    '0->2': [[0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+    '1->3': [[1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+    '2->0': [[0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+    '3->1': [[-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+  },
+  I: {
+    '0->2': [[0, 1]],
+    '1->3': [[1, 0]],
+    '2->0': [[0, -1]],
+    '3->1': [[-1, 0]]
+  }
+};
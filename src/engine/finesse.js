@@ -0,0 +1,130 @@
+// Finesse: placing each piece with as few key presses as possible. A press
+// is a tap, a held direction (however far it slides) or a rotation. The
+// minimum is found by searching those same presses from the spawn position on
+// an empty board, with the real rotation and kick rules.
+import { BOARD_WIDTH } from './constants.js';
+import { createEmptyBoard, isValidMove, getDropPosition } from './board.js';
+import { tryRotateWithKicks } from './rotation.js';
+
+const slide = (dir) => [
+  { type: 'move', dir },
+  ...Array(BOARD_WIDTH - 1).fill({ type: 'move', dir, repeat: true })
+];
+
+// Search order doubles as the tie-break: rotate first, then shift
+export const FINESSE_INPUTS = {
+  cw: { label: 'CW', actions: [{ type: 'rotate', direction: 1 }] },
+  ccw: { label: 'CCW', actions: [{ type: 'rotate', direction: -1 }] },
+  rotate180: { label: '180', actions: [{ type: 'rotate', direction: 2 }] },
+  left: { label: '←', actions: [{ type: 'move', dir: -1 }] },
+  right: { label: '→', actions: [{ type: 'move', dir: 1 }] },
+  dasLeft: { label: 'DAS ←', actions: slide(-1) },
+  dasRight: { label: 'DAS →', actions: slide(1) }
+};
+
+// Auto-repeat moves are marked `repeat` by the input handler and cost nothing
+export const isFinesseInput = (action) =>
+  action.type === 'rotate' || (action.type === 'move' && !action.repeat);
+
+// Where a piece ends up, ignoring height: which cells of which columns.
+// Equal keys are the same placement on an empty board.
+export const getShapeKey = (piece, position) => {
+  const cells = [];
+  piece.shape.forEach((row, y) => row.forEach((cell, x) => {
+    if (cell !== 0) cells.push({ x: position.x + x, y: position.y + y });
+  }));
+  const top = Math.min(...cells.map(cell => cell.y));
+  return cells.map(cell => `${cell.x},${cell.y - top}`).sort().join(' ');
+};
+
+const applyInput = (board, node, input, { mode, allow180 }) => {
+  let { piece, position } = node;
+  let changed = false;
+  FINESSE_INPUTS[input].actions.forEach(action => {
+    if (action.type === 'move') {
+      const next = { x: position.x + action.dir, y: position.y };
+      if (isValidMove(board, piece, next)) {
+        position = next;
+        changed = true;
+      }
+    } else if (action.direction !== 2 || allow180) {
+      const result = tryRotateWithKicks(board, piece, position, mode, action.direction);
+      if (result) {
+        piece = result.piece;
+        position = result.position;
+        changed = true;
+      }
+    }
+  });
+  return changed ? { piece, position } : null;
+};
+
+// Breadth-first over presses from `start` ({ piece, position }) on an empty
+// board. Calls visit({ piece, position, path }) for each spot, fewest presses
+// first, until it returns true.
+const searchPresses = (start, { mode = 'modern', allow180 = mode !== 'classic' }, visit) => {
+  const board = createEmptyBoard();
+  const getKey = ({ piece, position }) => `${piece.rotation}:${position.x}:${position.y}`;
+  
+  let frontier = [{ ...start, path: [] }];
+  const seen = new Set([getKey(start)]);
+  while (frontier.length > 0) {
+    const next = [];
+    for (const node of frontier) {
+      if (visit(node)) return;
+      
+      Object.keys(FINESSE_INPUTS).forEach(input => {
+        const moved = applyInput(board, node, input, { mode, allow180 });
+        if (moved && !seen.has(getKey(moved))) {
+          seen.add(getKey(moved));
+          next.push({ ...moved, path: [...node.path, input] });
+        }
+      });
+    }
+    frontier = next;
+  }
+};
+
+// The fewest presses taking `start` to the same columns and orientation as
+// `target`, as a list of FINESSE_INPUTS keys; null if no sequence gets there
+export const findFinessePath = (start, target, settings = {}) => {
+  const goal = getShapeKey(target.piece, target.position);
+  let found = null;
+  searchPresses(start, settings, (node) => {
+    if (getShapeKey(node.piece, node.position) !== goal) return false;
+    found = node.path;
+    return true;
+  });
+  return found;
+};
+
+// Every distinct spot the piece can be dropped into on an empty board, as
+// [{ piece, position, path }] with the resting position and fewest presses
+export const getFinesseTargets = (start, settings = {}) => {
+  const board = createEmptyBoard();
+  const targets = new Map();
+  searchPresses(start, settings, (node) => {
+    const key = getShapeKey(node.piece, node.position);
+    if (!targets.has(key)) {
+      targets.set(key, {
+        piece: node.piece,
+        position: getDropPosition(board, node.piece, node.position),
+        path: node.path
+      });
+    }
+    return false;
+  });
+  return [...targets.values()];
+};
+
+// Finesse only judges pieces dropped straight down into place; tucks and
+// spins need extra inputs by design
+export const canDropStraight = (board, piece, position, fromY) => {
+  for (let y = Math.min(fromY, position.y); y <= position.y; y++) {
+    if (!isValidMove(board, piece, { x: position.x, y })) return false;
+  }
+  return true;
+};
+
+export const getFinessePercent = (state) =>
+  state.finessePieces > 0 ? ((state.finessePieces - state.finesseFaults) / state.finessePieces) * 100 : null;
@@ -0,0 +1,541 @@
+// Headless game engine. A game is a plain state object; step() applies one
+// input action and returns the next state plus the events it produced.
+// Nothing here touches React, timers or the DOM.
+import {
+  BOARD_WIDTH,
+  FRAME_MS,
+  MAX_GRAVITY,
+  INITIAL_FALL_TIME,
+  LOCK_DELAY,
+  MAX_LOCK_RESETS,
+  MAX_PREVIEWS,
+  TETROMINO_TYPES
+} from './constants.js';
+import { createEmptyBoard, isValidMove, placePiece, clearLines, getDropPosition } from './board.js';
+import { tryRotateWithKicks, detectTSpin } from './rotation.js';
+import { fillQueue, createPiece } from './randomizer.js';
+import { hashSeed, createSeed } from './random.js';
+import {
+  getGameTime,
+  getTimeRemaining,
+  hasLevelProgression,
+  hasReachedGoal,
+  getNewSplits,
+  getGarbageDue,
+  getFirstLevel,
+  TIME_WARNING_SECONDS,
+  DIG_INITIAL_ROWS
+} from './modes.js';
+import { GARBAGE_CELL, createGarbageRows, pushGarbage } from './garbage.js';
+import { calculateAdvancedScore, T_SPIN_TYPES, CLEAR_NAMES } from './scoring.js';
+import { getNesFallTime, getNesLevel, calculateNesScore } from './nes.js';
+import { findFinessePath, canDropStraight, isFinesseInput } from './finesse.js';
+import { getAttack } from './attack.js';
+
+export const getLevelForLines = (lines) => Math.floor(lines / 10) + 1;
+
+export const getFallTime = (level, mode = 'modern') =>
+  mode === 'classic' ? getNesFallTime(level) : Math.max(50, INITIAL_FALL_TIME - (level - 1) * 75);
+
+// Fixed gravity in G (rows per tick, fractions allowed) as ms per row
+export const getGravityFallTime = (gravity) => FRAME_MS / Math.min(gravity, MAX_GRAVITY);
+
+// The other way round: 1000ms per row is 1/60G
+export const getGravity = (fallTime) => FRAME_MS / fallTime;
+
+// Classic pieces spawn with their top row of cells on the top row of the board
+export const getSpawnPosition = (piece, mode = 'modern') => ({
+  x: Math.floor(BOARD_WIDTH / 2) - Math.floor(piece.shape[0].length / 2),
+  y: mode === 'classic' ? -piece.shape.findIndex(row => row.some(cell => cell !== 0)) : 0
+});
+
+// Guideline-style scoring for modern mode, NES scoring for classic
+const scoreClear = (state, linesCleared, isTSpin, tSpinType, isBackToBack) => {
+  if (state.mode === 'classic') {
+    const total = calculateNesScore(linesCleared, state.level);
+    return { total, base: total, comboBonus: 0, label: CLEAR_NAMES[linesCleared] };
+  }
+  return calculateAdvancedScore(
+    linesCleared,
+    state.level,
+    isTSpin,
+    tSpinType,
+    state.combo,
+    isBackToBack
+  );
+};
+
+const getNextLevel = (state, lines) => {
+  if (!hasLevelProgression(state)) return state.level;
+  if (state.mode === 'classic') return getNesLevel(state.startLevel, lines);
+  return Math.max(state.level, getLevelForLines(lines));
+};
+
+// Put a piece at the top of the board, or end the game if it doesn't fit
+const spawnPiece = (state, piece, events) => {
+  const position = getSpawnPosition(piece, state.mode);
+  
+  if (!isValidMove(state.board, piece, position)) {
+    events.push({ type: 'topOut' });
+    return { ...state, piece: null, gameOver: true };
+  }
+  
+  return {
+    ...state,
+    piece,
+    position,
+    lastRotationKicked: false,
+    lockTimer: 0,
+    lockResets: 0,
+    lowestY: position.y,
+    pieceInputs: 0
+  };
+};
+
+const spawnNextPiece = (state, events) => {
+  const [type, ...rest] = state.queue;
+  const { queue, rngState } = fillQueue(rest, state.mode, state.queueSize, state.rngState);
+  return spawnPiece({ ...state, queue, rngState, holdUsed: false }, createPiece(type, state.mode), events);
+};
+
+// The next `count` pieces, in the order they will spawn
+export const getNextPieces = (state, count = 1) =>
+  state.queue.slice(0, count).map(type => createPiece(type, state.mode));
+
+// Swap the active piece into the hold slot. Allowed once per piece until it locks.
+const holdPiece = (state, events) => {
+  if (!state.allowHold || state.holdUsed) return state;
+  
+  const held = createPiece(state.piece.type, state.mode);
+  events.push({ type: 'hold', piece: held.type });
+  
+  if (!state.hold) {
+    return { ...spawnNextPiece({ ...state, hold: held }, events), holdUsed: true };
+  }
+  return spawnPiece({ ...state, hold: held, holdUsed: true }, state.hold, events);
+};
+
+// Push garbage rows up under the stack. The active piece rides up with them
+// if they would overlap it; anything pushed off the top ends the game.
+// Garbage draws from its own generator so it never changes the piece sequence.
+const addGarbage = (state, count, events, messiness = state.messiness) => {
+  if (count === 0) return state;
+  
+  const { rows, hole, rngState } = createGarbageRows(count, state.garbageHole, messiness, state.garbageRngState);
+  const { board, overflow } = pushGarbage(state.board, rows);
+  let next = {
+    ...state,
+    board,
+    garbageHole: hole,
+    garbageRngState: rngState,
+    garbageSpawned: state.garbageSpawned + count
+  };
+  events.push({ type: 'garbageAdded', count });
+  
+  if (next.piece && !isValidMove(board, next.piece, next.position)) {
+    const lifted = { x: next.position.x, y: next.position.y - count };
+    next = isValidMove(board, next.piece, lifted) ? { ...next, position: lifted } : { ...next, piece: null };
+  }
+  
+  if (overflow || (state.piece && !next.piece)) {
+    events.push({ type: 'topOut' });
+    return { ...next, piece: null, gameOver: true };
+  }
+  return next;
+};
+
+// Versus garbage waiting in state.incomingGarbage rises once a piece locks
+// without clearing. Each attack arrives as a clean chunk with its own hole.
+const receiveGarbage = (state, events) => {
+  let next = { ...state, incomingGarbage: [] };
+  for (const lines of state.incomingGarbage) {
+    next = addGarbage({ ...next, garbageHole: null }, lines, events, 0);
+    if (next.gameOver) break;
+  }
+  return next;
+};
+
+// After a lock: end the game if its goal was reached, otherwise bring in the next piece
+const finishOrSpawn = (state, events) => {
+  if (hasReachedGoal(state)) {
+    events.push({ type: 'finished', time: getGameTime(state) });
+    return { ...state, piece: null, gameOver: true, finished: true };
+  }
+  
+  // The locked piece is part of the board now, so garbage must not try to lift it
+  let next = { ...state, piece: null };
+  if (state.garbageTrigger === 'pieces' && state.piecesPlaced % state.garbageEvery === 0) {
+    next = addGarbage(next, getGarbageDue(state, 1), events);
+    if (next.gameOver) return next;
+  }
+  return spawnNextPiece(next, events);
+};
+
+// Compare the presses spent on the piece about to lock with the fewest that
+// reach the same spot from spawn. Null when the spot isn't judged.
+const judgeFinesse = (state) => {
+  const { board, piece, position } = state;
+  const spawned = createPiece(piece.type, state.mode);
+  const spawn = getSpawnPosition(spawned, state.mode);
+  if (!canDropStraight(board, piece, position, spawn.y)) return null;
+  
+  const path = findFinessePath({ piece: spawned, position: spawn }, { piece, position }, state);
+  return path && { inputs: state.pieceInputs, optimal: path.length, path };
+};
+
+const lockPiece = (state, events) => {
+  const { board, piece, position } = state;
+  const placed = placePiece(board, piece, position);
+  const { board: newBoard, rows } = clearLines(placed);
+  const linesCleared = rows.length;
+  const piecesPlaced = state.piecesPlaced + 1;
+  
+  events.push({ type: 'pieceLocked', piece: piece.type, position });
+  
+  const finesse = judgeFinesse(state);
+  const finesseFault = !!finesse && finesse.inputs > finesse.optimal;
+  if (finesseFault) {
+    events.push({ type: 'finesseFault', piece: piece.type, ...finesse });
+  }
+  const lockCounts = {
+    finessePieces: state.finessePieces + (finesse ? 1 : 0),
+    finesseFaults: state.finesseFaults + (finesseFault ? 1 : 0),
+    pieceCounts: { ...state.pieceCounts, [piece.type]: state.pieceCounts[piece.type] + 1 }
+  };
+  
+  if (linesCleared === 0) {
+    // Reset combo and back-to-back on a lock without a clear
+    let next = { ...state, ...lockCounts, board: newBoard, piece: null, piecesPlaced, combo: 0, backToBack: false };
+    if (next.incomingGarbage.length > 0) {
+      next = receiveGarbage(next, events);
+      if (next.gameOver) return next;
+    }
+    return finishOrSpawn(next, events);
+  }
+  
+  const isTSpin = detectTSpin(piece, position, board, state.lastRotationKicked, state.mode);
+  const tSpinType = isTSpin ? T_SPIN_TYPES[linesCleared] : '';
+  const isBackToBack = state.mode !== 'classic' && state.backToBack && (linesCleared === 4 || isTSpin);
+  const result = scoreClear(state, linesCleared, isTSpin, tSpinType, isBackToBack);
+  
+  const lines = state.lines + linesCleared;
+  const level = getNextLevel(state, lines);
+  const splits = getNewSplits({ ...state, lines }, state.lines);
+  const clearCounts = [...state.clearCounts];
+  clearCounts[linesCleared]++;
+  
+  const clear = {
+    type: 'linesCleared',
+    rows,
+    count: linesCleared,
+    tSpin: isTSpin,
+    tSpinType,
+    backToBack: isBackToBack,
+    combo: state.combo,
+    perfectClear: newBoard.every(row => row.every(cell => cell === 0)),
+    score: result.total,
+    base: result.base,
+    comboBonus: result.comboBonus,
+    label: result.label
+  };
+  events.push(clear);
+  if (isTSpin) {
+    events.push({ type: 'tSpin', tSpinType });
+  }
+  if (level > state.level) {
+    events.push({ type: 'levelUp', level });
+  }
+  splits.forEach(split => events.push({ type: 'split', ...split }));
+  
+  return finishOrSpawn({
+    ...state,
+    ...lockCounts,
+    board: newBoard,
+    piecesPlaced,
+    garbageCleared: state.garbageCleared + rows.filter(y => placed[y].includes(GARBAGE_CELL)).length,
+    clearCounts,
+    tSpinCount: state.tSpinCount + (isTSpin ? 1 : 0),
+    tSpinCounts: isTSpin ? { ...state.tSpinCounts, [tSpinType]: state.tSpinCounts[tSpinType] + 1 } : state.tSpinCounts,
+    attack: state.attack + getAttack(clear),
+    maxCombo: Math.max(state.maxCombo, state.combo + 1),
+    splits: [...state.splits, ...splits],
+    score: state.score + result.total,
+    lines,
+    level,
+    fallTime: state.gravity ? state.fallTime : getFallTime(level, state.mode),
+    combo: state.combo + 1,
+    backToBack: linesCleared === 4 || isTSpin,
+    tSpinType
+  }, events);
+};
+
+export const isGrounded = (state) =>
+  !!state.piece && !isValidMove(state.board, state.piece, { x: state.position.x, y: state.position.y + 1 });
+
+// Fraction (0-1) of the lock delay already spent by the active piece
+export const getLockProgress = (state) =>
+  state.lockDelay > 0 && isGrounded(state) ? Math.min(1, state.lockTimer / state.lockDelay) : 0;
+
+// A successful move or rotation on the ground restarts the lock delay,
+// up to MAX_LOCK_RESETS times per piece
+const applyLockReset = (before, after) => {
+  if (before.lockDelay === 0 || !isGrounded(before) || before.lockResets >= MAX_LOCK_RESETS) {
+    return after;
+  }
+  return { ...after, lockTimer: 0, lockResets: before.lockResets + 1 };
+};
+
+// Move the piece down one row. Returns null when it is already resting on the stack.
+const fall = (state) => {
+  const newPos = { x: state.position.x, y: state.position.y + 1 };
+  if (!isValidMove(state.board, state.piece, newPos)) return null;
+  
+  // Reaching a new lowest row gives the piece a fresh lock delay and set of
+  // lock resets. Falling back to a row it already reached (after a kick up)
+  // keeps both, so a piece out of resets can't be kept in play forever.
+  const lowest = newPos.y > state.lowestY;
+  return {
+    ...state,
+    position: newPos,
+    lockTimer: lowest ? 0 : state.lockTimer,
+    lockResets: lowest ? 0 : state.lockResets,
+    lowestY: Math.max(state.lowestY, newPos.y)
+  };
+};
+
+// Advance the clock: apply gravity and, in modern mode, run the lock delay
+const tick = (state, ms, events) => {
+  let next = { ...state, frame: state.frame + 1, gravityTimer: state.gravityTimer + ms };
+  
+  if (next.garbageTrigger === 'time' && getGarbageDue(next, 1) > 0) {
+    const garbageTimer = next.garbageTimer + ms;
+    if (garbageTimer >= next.garbageEvery * 1000) {
+      next = addGarbage({ ...next, garbageTimer: garbageTimer - next.garbageEvery * 1000 }, 1, events);
+      if (next.gameOver) return next;
+    } else {
+      next = { ...next, garbageTimer };
+    }
+  }
+  
+  const remaining = getTimeRemaining(next);
+  if (remaining !== null) {
+    if (remaining === 0) {
+      // Time up ends the game cleanly, with the active piece left unplaced
+      events.push({ type: 'finished', time: getGameTime(next) });
+      return { ...next, piece: null, gameOver: true, finished: true };
+    }
+    
+    const secondsLeft = Math.ceil(remaining / 1000);
+    if (secondsLeft <= TIME_WARNING_SECONDS && secondsLeft < Math.ceil(getTimeRemaining(state) / 1000)) {
+      events.push({ type: 'timeWarning', secondsLeft });
+    }
+  }
+  
+  // Up to 1G a tick drops at most one row, which keeps older replays exact;
+  // faster gravity can owe several. Small tolerance so frame-based gravity
+  // isn't thrown off by float rounding.
+  const maxRows = next.fallTime < FRAME_MS ? MAX_GRAVITY : 1;
+  for (let rows = 0; rows < maxRows && next.gravityTimer >= next.fallTime - 1e-6; rows++) {
+    next = { ...next, gravityTimer: next.gravityTimer - next.fallTime };
+    const fallen = fall(next);
+    if (fallen) {
+      next = fallen;
+      continue;
+    }
+    if (next.lockDelay === 0) {
+      // Classic mode locks in the same gravity step the piece lands
+      return lockPiece(next, events);
+    }
+    // Above 1G, rows a landed piece can't fall aren't saved up for later
+    if (maxRows > 1) next = { ...next, gravityTimer: next.gravityTimer % next.fallTime };
+    break;
+  }
+  
+  if (next.lockDelay > 0 && isGrounded(next)) {
+    const lockTimer = next.lockTimer + ms;
+    if (lockTimer >= next.lockDelay) {
+      return lockPiece(next, events);
+    }
+    next = { ...next, lockTimer };
+  }
+  
+  return next;
+};
+
+export const createGame = ({
+  mode = 'modern',
+  allowHold = mode !== 'classic', // the NES had no hold
+  allow180 = mode !== 'classic',
+  allowHardDrop = mode !== 'classic',
+  lockDelay = mode === 'classic' ? 0 : LOCK_DELAY,
+  queueSize = MAX_PREVIEWS,
+  startLevel = getFirstLevel(mode),
+  gameType = 'marathon',
+  targetLines = 40,
+  timeLimit = 120000,
+  garbageTrigger = 'pieces', // dig only: add a row every N 'pieces' or N seconds ('time')
+  garbageEvery = 3,
+  messiness = 0.3,
+  initialGarbage = DIG_INITIAL_ROWS,
+  gravity = null, // fixed gravity in G, instead of the level's
+  seed = createSeed()
+} = {}) => {
+  // One extra piece, because spawning the first piece takes it off the queue
+  const { queue, rngState } = fillQueue([], mode, queueSize + 1, hashSeed(seed));
+  
+  let state = {
+    mode,
+    gameType,
+    targetLines,
+    timeLimit,
+    board: createEmptyBoard(),
+    piece: null,
+    position: { x: 0, y: 0 },
+    queue,
+    queueSize,
+    seed: String(seed),
+    rngState,
+    hold: null,
+    holdUsed: false,
+    allowHold,
+    allow180,
+    allowHardDrop,
+    lockDelay,
+    lockTimer: 0,
+    lockResets: 0,
+    lowestY: 0,
+    gravityTimer: 0,
+    frame: 0,
+    score: 0,
+    startLevel,
+    level: startLevel,
+    lines: 0,
+    gravity,
+    fallTime: gravity ? getGravityFallTime(gravity) : getFallTime(startLevel, mode),
+    combo: 0,
+    backToBack: false,
+    tSpinType: '',
+    lastRotationKicked: false,
+    piecesPlaced: 0,
+    clearCounts: [0, 0, 0, 0, 0], // indexed by lines cleared at once
+    tSpinCount: 0,
+    tSpinCounts: { single: 0, double: 0, triple: 0 },
+    maxCombo: 0,
+    attack: 0, // garbage the clears would send in versus
+    pieceCounts: Object.fromEntries(TETROMINO_TYPES.map(type => [type, 0])),
+    keyPresses: 0, // every press, including drops and holds
+    pieceInputs: 0, // finesse: presses spent on the piece in play
+    finessePieces: 0, // pieces finesse was judged on
+    finesseFaults: 0,
+    splits: [],
+    garbageTrigger: gameType === 'dig' ? garbageTrigger : null,
+    garbageEvery,
+    messiness,
+    garbageHole: null,
+    garbageRngState: hashSeed(`${seed}:garbage`),
+    garbageTimer: 0,
+    garbageSpawned: 0,
+    garbageCleared: 0,
+    incomingGarbage: [], // versus: attack chunks waiting to rise, oldest first
+    gameOver: false,
+    finished: false
+  };
+  
+  if (gameType === 'dig') {
+    state = addGarbage(state, getGarbageDue(state, initialGarbage), []);
+  }
+  return spawnNextPiece(state, []);
+};
+
+// A game with just one piece of `type` in play on an empty board, for drills.
+// Without ticks nothing falls.
+export const createDrill = (type, settings) => {
+  const game = createGame({ ...settings, gameType: 'marathon', allowHold: false });
+  const piece = createPiece(type, game.mode);
+  return { ...game, piece, position: getSpawnPosition(piece, game.mode) };
+};
+
+// Actions: { type: 'move', dir } and { type: 'softDrop' } (with repeat: true
+// when auto-repeated), { type: 'rotate', direction }, { type: 'hardDrop' },
+// { type: 'hold' }, { type: 'gravity' } for a single gravity step and
+// { type: 'tick', ms } to advance the game clock. Moves, rotations and soft
+// drops that succeed report an event of the same type.
+// Presses for keys-per-piece; held soft drop repeats, like held moves, are free
+const isKeyPress = (action) =>
+  action.type === 'hardDrop' || action.type === 'hold' || (action.type === 'softDrop' && !action.repeat);
+
+export const step = (previous, action) => {
+  const events = [];
+  if (previous.gameOver || !previous.piece) return { state: previous, events };
+  
+  // Every press counts, even one that doesn't move the piece
+  let state = previous;
+  if (isFinesseInput(action)) {
+    state = { ...state, pieceInputs: state.pieceInputs + 1, keyPresses: state.keyPresses + 1 };
+  } else if (isKeyPress(action)) {
+    state = { ...state, keyPresses: state.keyPresses + 1 };
+  }
+  const { board, piece, position } = state;
+  
+  switch (action.type) {
+    case 'move': {
+      const newPos = { x: position.x + action.dir, y: position.y };
+      if (!isValidMove(board, piece, newPos)) return { state, events };
+      events.push({ type: 'move', dir: action.dir });
+      return { state: applyLockReset(state, { ...state, position: newPos }), events };
+    }
+    
+    case 'rotate': {
+      const direction = action.direction || 1;
+      if (direction === 2 && !state.allow180) return { state, events };
+      
+      const result = tryRotateWithKicks(board, piece, position, state.mode, direction);
+      if (!result) return { state, events };
+      events.push({ type: 'rotate', direction, kicked: result.wasKicked });
+      return {
+        state: applyLockReset(state, {
+          ...state,
+          piece: result.piece,
+          position: result.position,
+          lastRotationKicked: result.wasKicked,
+          lowestY: Math.max(state.lowestY, result.position.y)
+        }),
+        events
+      };
+    }
+    
+    case 'softDrop':
+    case 'gravity': {
+      const fallen = fall(state);
+      if (fallen) {
+        if (action.type === 'gravity') return { state: fallen, events };
+        events.push({ type: 'softDrop' });
+        return { state: { ...fallen, score: state.score + 1 }, events };
+      }
+      // With a lock delay, the tick clock decides when a landed piece locks
+      if (state.lockDelay > 0) return { state, events };
+      return { state: lockPiece(state, events), events };
+    }
+    
+    case 'tick':
+      return { state: tick(state, action.ms, events), events };
+    
+    case 'hardDrop': {
+      if (!state.allowHardDrop) return { state, events };
+      
+      const dropPos = getDropPosition(board, piece, position);
+      const distance = dropPos.y - position.y;
+      events.push({ type: 'hardDrop', distance });
+      return {
+        state: lockPiece({ ...state, position: dropPos, score: state.score + distance * 2 }, events),
+        events
+      };
+    }
+    
+    case 'hold':
+      return { state: holdPiece(state, events), events };
+    
+    default:
+      return { state, events };
+  }
+};
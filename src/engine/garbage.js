@@ -0,0 +1,39 @@
+// Garbage rows: full rows with a single hole, pushed up from the bottom
+import { BOARD_WIDTH } from './constants.js';
+import { nextRandom, randomInt } from './random.js';
+
+// Cell value for garbage. Kept apart from the piece types so it has its own colour.
+export const GARBAGE_CELL = 'G';
+
+// Build `count` garbage rows. messiness (0-1) is the chance the hole moves to a
+// different column from one row to the next; previousHole may be null.
+// Returns { rows, hole, rngState } with rows in the order they are pushed in.
+export const createGarbageRows = (count, previousHole, messiness, rngState) => {
+  const rows = [];
+  let hole = previousHole;
+  let rng = rngState;
+  
+  for (let i = 0; i < count; i++) {
+    const change = nextRandom(rng);
+    rng = change.rngState;
+    if (hole === null || change.value < messiness) {
+      // Pick among the other columns so a change is always visible
+      const roll = randomInt(rng, hole === null ? BOARD_WIDTH : BOARD_WIDTH - 1);
+      rng = roll.rngState;
+      hole = hole === null || roll.value < hole ? roll.value : roll.value + 1;
+    }
+    rows.push(Array.from({ length: BOARD_WIDTH }, (_, x) => (x === hole ? 0 : GARBAGE_CELL)));
+  }
+  
+  return { rows, hole, rngState: rng };
+};
+
+// Push rows in from the bottom. overflow is true when filled cells were
+// pushed off the top of the board.
+export const pushGarbage = (board, rows) => ({
+  board: [...board.slice(rows.length), ...rows],
+  overflow: board.slice(0, rows.length).some(row => row.some(cell => cell !== 0))
+});
+
+export const countGarbageRows = (board) =>
+  board.filter(row => row.includes(GARBAGE_CELL)).length;
@@ -0,0 +1,16 @@
+export * from './constants.js';
+export * from './board.js';
+export * from './rotation.js';
+export * from './nes.js';
+export * from './random.js';
+export * from './randomizer.js';
+export * from './scoring.js';
+export * from './game.js';
+export * from './modes.js';
+export * from './garbage.js';
+export * from './attack.js';
+export * from './finesse.js';
+export * from './versus.js';
+export * from './replay.js';
+export * from './stats.js';
+export * from './analytics.js';
@@ -0,0 +1,59 @@
+// Game types (what ends a game) layered over the classic/modern rulesets
+import { FRAME_MS } from './constants.js';
+
+export const GAME_TYPES = ['marathon', 'sprint', 'ultra', 'dig'];
+
+// Every game type can be played under either ruleset. Classic counts levels
+// from 0 like the NES.
+export const RULESETS = ['modern', 'classic'];
+export const getOtherRuleset = (mode) => (mode === 'classic' ? 'modern' : 'classic');
+export const getFirstLevel = (mode) => (mode === 'classic' ? 0 : 1);
+
+// Sprint: clear a set number of lines as fast as possible at fixed gravity
+export const SPRINT_TARGETS = [20, 40, 100];
+export const SPLIT_INTERVAL = 10;
+
+// Ultra: score as much as possible before the time budget runs out
+export const ULTRA_DURATIONS = [120000, 180000];
+export const TIME_WARNING_SECONDS = 10;
+
+// Dig: clear a number of garbage lines as fast as possible. The board starts
+// with DIG_INITIAL_ROWS of garbage and more rises every few pieces or seconds.
+export const DIG_TARGETS = [10, 18, 40, 100];
+export const DIG_INITIAL_ROWS = 10;
+
+// Fixed gravity any modern game can be played at, in G, in place of the level's
+export const FIXED_GRAVITIES = [1, 2, 5, 10, 20];
+
+// Versus ('versus') has no goal of its own: the match ends when all but one
+// player has topped out (see versus.js).
+
+// Game time in ms, counted in whole ticks so it is identical on replay
+export const getGameTime = (state) => state.frame * FRAME_MS;
+
+// Only marathon speeds up; timed and goal modes keep their starting gravity
+export const hasLevelProgression = (state) => state.gameType === 'marathon';
+
+export const hasReachedGoal = (state) =>
+  (state.gameType === 'sprint' && state.lines >= state.targetLines) ||
+  (state.gameType === 'dig' && state.garbageCleared >= state.targetLines);
+
+// How many garbage rows a dig game may still add, never more than its target
+export const getGarbageDue = (state, count) =>
+  state.gameType === 'dig' ? Math.max(0, Math.min(count, state.targetLines - state.garbageSpawned)) : 0;
+
+// Time left in a timed game, or null for untimed game types
+export const getTimeRemaining = (state) =>
+  state.gameType === 'ultra' ? Math.max(0, state.timeLimit - getGameTime(state)) : null;
+
+// Split times for every SPLIT_INTERVAL lines crossed between two line counts
+export const getNewSplits = (state, previousLines) => {
+  if (state.gameType !== 'sprint') return [];
+  
+  const splits = [];
+  const time = getGameTime(state);
+  for (let mark = (Math.floor(previousLines / SPLIT_INTERVAL) + 1) * SPLIT_INTERVAL; mark <= state.lines; mark += SPLIT_INTERVAL) {
+    splits.push({ lines: mark, time });
+  }
+  return splits;
+};
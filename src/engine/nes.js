@@ -0,0 +1,84 @@
+// NES ruleset used by classic mode: Nintendo Rotation System shapes, the
+// frame-based gravity table, level transitions, scoring and randomizer.
+import { FRAME_MS, TETROMINO_TYPES } from './constants.js';
+import { randomInt } from './random.js';
+
+export const NES_MAX_START_LEVEL = 19;
+
+// Rotation states in clockwise order, each drawn around the piece's pivot.
+// I, S and Z only have two states and O never rotates.
+export const NRS_SHAPES = {
+  I: [
+    [[0, 0, 0, 0], [0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0]],
+    [[0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0]]
+  ],
+  O: [
+    [[1, 1], [1, 1]]
+  ],
+  T: [
+    [[0, 0, 0], [1, 1, 1], [0, 1, 0]],
+    [[0, 1, 0], [1, 1, 0], [0, 1, 0]],
+    [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+    [[0, 1, 0], [0, 1, 1], [0, 1, 0]]
+  ],
+  S: [
+    [[0, 0, 0], [0, 1, 1], [1, 1, 0]],
+    [[0, 1, 0], [0, 1, 1], [0, 0, 1]]
+  ],
+  Z: [
+    [[0, 0, 0], [1, 1, 0], [0, 1, 1]],
+    [[0, 0, 1], [0, 1, 1], [0, 1, 0]]
+  ],
+  J: [
+    [[0, 0, 0], [1, 1, 1], [0, 0, 1]],
+    [[0, 1, 0], [0, 1, 0], [1, 1, 0]],
+    [[1, 0, 0], [1, 1, 1], [0, 0, 0]],
+    [[0, 1, 1], [0, 1, 0], [0, 1, 0]]
+  ],
+  L: [
+    [[0, 0, 0], [1, 1, 1], [1, 0, 0]],
+    [[1, 1, 0], [0, 1, 0], [0, 1, 0]],
+    [[0, 0, 1], [1, 1, 1], [0, 0, 0]],
+    [[0, 1, 0], [0, 1, 0], [0, 1, 1]]
+  ]
+};
+
+export const rotateNrs = (piece, direction = 1) => {
+  const states = NRS_SHAPES[piece.type];
+  const rotation = ((piece.rotation + direction) % states.length + states.length) % states.length;
+  return { ...piece, shape: states[rotation], rotation };
+};
+
+// Frames per row of gravity, by level (29 and above is one row per frame)
+const NES_GRAVITY_FRAMES = [48, 43, 38, 33, 28, 23, 18, 13, 8, 6, 5, 5, 5, 4, 4, 4, 3, 3, 3];
+
+export const getNesFallTime = (level) => {
+  if (level < NES_GRAVITY_FRAMES.length) return NES_GRAVITY_FRAMES[level] * FRAME_MS;
+  return (level < 29 ? 2 : 1) * FRAME_MS;
+};
+
+// Lines needed for the first level-up from a given starting level; after
+// that the level goes up every 10 lines.
+export const getNesTransitionLines = (startLevel) =>
+  Math.min(startLevel * 10 + 10, Math.max(100, startLevel * 10 - 50));
+
+export const getNesLevel = (startLevel, lines) => {
+  const transition = getNesTransitionLines(startLevel);
+  if (lines < transition) return startLevel;
+  return startLevel + 1 + Math.floor((lines - transition) / 10);
+};
+
+const NES_LINE_SCORES = [0, 40, 100, 300, 1200];
+
+export const calculateNesScore = (linesCleared, level) =>
+  NES_LINE_SCORES[linesCleared] * (level + 1);
+
+// Roll one of 8 outcomes; on the spare outcome or a repeat of the previous
+// piece, reroll once among the 7 pieces and take whatever comes up.
+export const createNesType = (rngState, previous) => {
+  let roll = randomInt(rngState, TETROMINO_TYPES.length + 1);
+  if (roll.value === TETROMINO_TYPES.length || TETROMINO_TYPES[roll.value] === previous) {
+    roll = randomInt(roll.rngState, TETROMINO_TYPES.length);
+  }
+  return { type: TETROMINO_TYPES[roll.value], rngState: roll.rngState };
+};
@@ -0,0 +1,35 @@
+// Seedable PRNG (mulberry32). The generator state is a plain 32-bit integer
+// kept in the game state, so stepping a game stays pure and reproducible.
+
+// Turn any seed (number or string) into a 32-bit generator state (FNV-1a)
+export const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Returns { value, rngState } with value in [0, 1)
+export const nextRandom = (rngState) => {
+  const state = (rngState + 0x6d2b79f5) | 0;
+  let r = Math.imul(state ^ (state >>> 15), 1 | state);
+  r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+  return {
+    value: ((r ^ (r >>> 14)) >>> 0) / 4294967296,
+    rngState: state >>> 0
+  };
+};
+
+// Returns { value, rngState } with an integer value in [0, max)
+export const randomInt = (rngState, max) => {
+  const { value, rngState: next } = nextRandom(rngState);
+  return { value: Math.floor(value * max), rngState: next };
+};
+
+// A fresh, human-friendly seed for games started without one. This is the
+// only place entropy enters the game; everything else derives from the seed.
+export const createSeed = () =>
+  Math.floor(Math.random() * 0x100000000).toString(36).toUpperCase().padStart(7, '0');
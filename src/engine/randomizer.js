@@ -0,0 +1,45 @@
+import { TETROMINOES, TETROMINO_TYPES } from './constants.js';
+import { randomInt } from './random.js';
+import { NRS_SHAPES, createNesType } from './nes.js';
+
+// A piece in its spawn orientation for the given ruleset
+export const createPiece = (type, mode = 'modern') => ({
+  shape: mode === 'classic' ? NRS_SHAPES[type][0] : TETROMINOES[type],
+  type,
+  rotation: 0
+});
+
+// Create a new 7-bag (contains all 7 pieces in random order).
+// Returns the bag and the advanced generator state.
+export const createNewBag = (rngState) => {
+  const bag = [...TETROMINO_TYPES];
+  let rng = rngState;
+  // Fisher-Yates shuffle
+  for (let i = bag.length - 1; i > 0; i--) {
+    const roll = randomInt(rng, i + 1);
+    rng = roll.rngState;
+    const j = roll.value;
+    [bag[i], bag[j]] = [bag[j], bag[i]];
+  }
+  return { bag, rngState: rng };
+};
+
+// Top up the upcoming-piece queue (piece types) to at least minLength.
+// Modern mode appends whole 7-bags so the queue never splits a bag; classic
+// mode uses the NES randomizer.
+export const fillQueue = (queue, mode, minLength, rngState) => {
+  let filled = queue;
+  let rng = rngState;
+  while (filled.length < minLength) {
+    if (mode === 'classic') {
+      const { type, rngState: next } = createNesType(rng, filled[filled.length - 1]);
+      filled = [...filled, type];
+      rng = next;
+    } else {
+      const { bag, rngState: next } = createNewBag(rng);
+      filled = [...filled, ...bag];
+      rng = next;
+    }
+  }
+  return { queue: filled, rngState: rng };
+};
@@ -0,0 +1,111 @@
+// Replays: the seed and settings a game was created with, plus every input
+// stamped with the game tick it happened on. Re-running the inputs against a
+// fresh game reproduces it exactly.
+import { FRAME_MS } from './constants.js';
+import { createGame, step } from './game.js';
+
+export const REPLAY_FORMAT = 'tetromaster-replay';
+export const REPLAY_VERSION = 1;
+
+// Keep a snapshot every few seconds of game time so seeking stays fast
+const SNAPSHOT_INTERVAL = 300;
+
+// Collects inputs while a game is played. settings are the createGame
+// options (mode, startLevel, ...) without the seed.
+export const createRecorder = (seed, settings) => {
+  const inputs = [];
+
+  // frame is the number of ticks the game had run when the input arrived and
+  // events are what stepping it returned. Auto-repeats aren't presses, so one
+  // with no events left the state as it was and isn't kept.
+  const record = (frame, action, events) => {
+    if (action.type === 'tick' || (action.repeat && events.length === 0)) return;
+    inputs.push([frame, action]);
+  };
+
+  const finish = (state) => ({
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    seed: String(seed),
+    settings,
+    frameMs: FRAME_MS,
+    // Inputs on the last frame (e.g. the hard drop that topped out) still need
+    // a frame of their own to be played back
+    frames: inputs.length > 0 ? Math.max(state.frame, inputs[inputs.length - 1][0] + 1) : state.frame,
+    inputs: [...inputs],
+    result: { score: state.score, lines: state.lines, level: state.level },
+    recordedAt: new Date().toISOString()
+  });
+
+  return { record, finish };
+};
+
+export const serializeReplay = (replay) => JSON.stringify(replay);
+
+export const parseReplay = (text) => {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Replay file is not valid JSON');
+  }
+  
+  if (!replay || replay.format !== REPLAY_FORMAT) {
+    throw new Error('Not a TetroMaster replay file');
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version}`);
+  }
+  if (typeof replay.seed !== 'string' || !Array.isArray(replay.inputs) || !Number.isInteger(replay.frames)) {
+    throw new Error('Replay file is missing required fields');
+  }
+  return replay;
+};
+
+// Re-simulates a replay one tick at a time. seek() jumps to any frame,
+// restarting from the nearest earlier snapshot.
+export const createReplayPlayer = (replay) => {
+  const initial = { state: createGame({ ...replay.settings, seed: replay.seed }), frame: 0, inputIndex: 0 };
+  const snapshots = [initial];
+  let current = initial;
+
+  const stepFrame = () => {
+    if (current.frame >= replay.frames) return [];
+    
+    let { state, inputIndex } = current;
+    const events = [];
+    while (inputIndex < replay.inputs.length && replay.inputs[inputIndex][0] <= current.frame) {
+      const result = step(state, replay.inputs[inputIndex][1]);
+      state = result.state;
+      events.push(...result.events);
+      inputIndex++;
+    }
+    
+    const result = step(state, { type: 'tick', ms: replay.frameMs });
+    events.push(...result.events);
+    current = { state: result.state, frame: current.frame + 1, inputIndex };
+    
+    if (current.frame % SNAPSHOT_INTERVAL === 0 && current.frame > snapshots[snapshots.length - 1].frame) {
+      snapshots.push(current);
+    }
+    return events;
+  };
+
+  const seek = (frame) => {
+    const target = Math.max(0, Math.min(replay.frames, frame));
+    if (target < current.frame) {
+      current = snapshots.filter(snapshot => snapshot.frame <= target).pop();
+    }
+    while (current.frame < target) {
+      stepFrame();
+    }
+  };
+
+  return {
+    stepFrame,
+    seek,
+    get state() { return current.state; },
+    get frame() { return current.frame; },
+    totalFrames: replay.frames
+  };
+};
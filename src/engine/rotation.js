@@ -0,0 +1,97 @@
+import { BOARD_WIDTH, BOARD_HEIGHT, SRS_WALL_KICKS, SRS_180_KICKS } from './constants.js';
+import { isValidMove } from './board.js';
+import { rotateNrs } from './nes.js';
+
+// T-spin detection patterns
+export const T_SPIN_PATTERNS = {
+  // Check corners around T piece center
+  checkCorners: (board, centerX, centerY) => {
+    const corners = [
+      { x: centerX - 1, y: centerY - 1 }, // Top-left
+      { x: centerX + 1, y: centerY - 1 }, // Top-right
+      { x: centerX - 1, y: centerY + 1 }, // Bottom-left
+      { x: centerX + 1, y: centerY + 1 }  // Bottom-right
+    ];
+    
+    let filledCorners = 0;
+    let frontCorners = 0; // Top corners
+    let backCorners = 0;  // Bottom corners
+    
+    corners.forEach((corner, index) => {
+      const isFilled = corner.x < 0 || corner.x >= BOARD_WIDTH || 
+                      corner.y < 0 || corner.y >= BOARD_HEIGHT ||
+                      (corner.y >= 0 && board[corner.y][corner.x] !== 0);
+      
+      if (isFilled) {
+        filledCorners++;
+        if (index < 2) frontCorners++;
+        else backCorners++;
+      }
+    });
+    
+    return { filledCorners, frontCorners, backCorners };
+  }
+};
+
+// Rotation directions: 1 = clockwise, -1 = counter-clockwise, 2 = 180°
+export const rotatePiece = (piece, direction = 1) => {
+  let rotated;
+  if (direction === 2) {
+    rotated = piece.shape.map(row => [...row].reverse()).reverse();
+  } else if (direction === -1) {
+    rotated = piece.shape[0].map((_, index) =>
+      piece.shape.map(row => row[row.length - 1 - index])
+    );
+  } else {
+    rotated = piece.shape[0].map((_, index) =>
+      piece.shape.map(row => row[index]).reverse()
+    );
+  }
+  return { ...piece, shape: rotated, rotation: (piece.rotation + direction + 4) % 4 };
+};
+
+export const detectTSpin = (piece, pos, boardBeforePlacement, wasKicked, mode) => {
+  if (piece.type !== 'T' || mode === 'classic') return false;
+  
+  // Must have used wall kicks to be a T-spin
+  if (!wasKicked) return false;
+  
+  // Find the T piece center (the stem of the T)
+  const centerX = pos.x + 1; // T piece center is always at x+1
+  const centerY = pos.y + 1; // T piece center is always at y+1
+  
+  const { filledCorners } = T_SPIN_PATTERNS.checkCorners(
+    boardBeforePlacement, centerX, centerY
+  );
+  
+  // T-spin requires at least 3 corners to be filled
+  return filledCorners >= 3;
+};
+
+// Returns { piece, position, wasKicked } or null when no rotation fits
+export const tryRotateWithKicks = (board, piece, pos, mode, direction = 1) => {
+  const rotated = mode === 'classic' ? rotateNrs(piece, direction) : rotatePiece(piece, direction);
+  
+  // First try basic rotation
+  if (isValidMove(board, rotated, pos)) {
+    return { piece: rotated, position: pos, wasKicked: false };
+  }
+  
+  // Classic mode - NES rotation without kicks
+  if (mode === 'classic') return null;
+  
+  // If basic rotation fails, try wall kicks
+  const kickTable = direction === 2 ? SRS_180_KICKS : SRS_WALL_KICKS;
+  const kickData = (piece.type === 'I') ? kickTable.I : kickTable.JLSTZ;
+  const kicks = kickData[`${piece.rotation}->${rotated.rotation}`] || [];
+  
+  for (const [dx, dy] of kicks) {
+    // Kick tables use y-up offsets; the board's y axis points down
+    const testPos = { x: pos.x + dx, y: pos.y - dy };
+    if (isValidMove(board, rotated, testPos)) {
+      return { piece: rotated, position: testPos, wasKicked: true };
+    }
+  }
+  
+  return null;
+};
@@ -0,0 +1,44 @@
+export const T_SPIN_TYPES = ['', 'single', 'double', 'triple'];
+
+export const CLEAR_NAMES = ['', 'SINGLE', 'DOUBLE', 'TRIPLE', 'TETRIS'];
+
+// Score a line clear. Returns the total along with the pieces the view
+// needs to describe it (label, base points and combo bonus).
+export const calculateAdvancedScore = (linesCleared, level, isTSpin = false, tSpinType = '', comboCount = 0, isBackToBack = false) => {
+  if (linesCleared === 0) return { total: 0, base: 0, comboBonus: 0, label: '' };
+  
+  let baseScore = 0;
+  let label = '';
+  
+  if (isTSpin) {
+    // T-spin scoring
+    const tSpinScores = {
+      single: 800,
+      double: 1200,
+      triple: 1600
+    };
+    baseScore = tSpinScores[tSpinType] || 400;
+    label = `T-SPIN ${tSpinType.toUpperCase()}`;
+  } else {
+    // Regular line clear scoring
+    const baseScores = [0, 100, 300, 500, 800]; // Single, Double, Triple, Tetris
+    baseScore = baseScores[linesCleared];
+    label = CLEAR_NAMES[linesCleared];
+  }
+  
+  // Back-to-back bonus (50% more points)
+  if (isBackToBack && (linesCleared === 4 || isTSpin)) {
+    baseScore = Math.floor(baseScore * 1.5);
+    label = 'B2B ' + label;
+  }
+  
+  // Combo bonus
+  const comboBonus = comboCount > 0 ? 50 * comboCount * level : 0;
+  
+  return {
+    total: (baseScore * level) + comboBonus,
+    base: baseScore * level,
+    comboBonus,
+    label
+  };
+};
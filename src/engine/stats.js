@@ -0,0 +1,27 @@
+// Derived statistics for a game in progress or finished
+import { getGameTime } from './modes.js';
+import { getFinessePercent } from './finesse.js';
+
+export const getRunStats = (state) => {
+  const time = getGameTime(state);
+  const minutes = time / 60000;
+  return {
+    time,
+    pieces: state.piecesPlaced,
+    lines: state.lines,
+    pps: time > 0 ? state.piecesPlaced / (time / 1000) : 0,
+    lpm: minutes > 0 ? state.lines / minutes : 0,
+    kpp: state.piecesPlaced > 0 ? state.keyPresses / state.piecesPlaced : 0,
+    attack: state.attack,
+    apm: minutes > 0 ? state.attack / minutes : 0,
+    maxCombo: state.maxCombo,
+    clearCounts: state.clearCounts,
+    tSpins: state.tSpinCount,
+    tSpinCounts: state.tSpinCounts,
+    // Share of cleared lines that came from tetrises; null before any clear
+    tetrisRate: state.lines > 0 ? ((state.clearCounts[4] * 4) / state.lines) * 100 : null,
+    pieceCounts: state.pieceCounts,
+    finesse: getFinessePercent(state), // null until a piece is judged
+    finesseFaults: state.finesseFaults
+  };
+};
@@ -0,0 +1,102 @@
+// Versus match: one independent game per player, all dealt the same piece
+// sequence, with line clears sent across as garbage. Like step(), stepMatch()
+// is pure and returns the next match plus the events it produced.
+import { createGame, step } from './game.js';
+import { createSeed } from './random.js';
+import { getAttack } from './attack.js';
+
+export const VERSUS_PLAYERS = 2;
+
+// Queue an attack on a game; it rises the next time that player locks without clearing
+export const queueGarbage = (state, lines) => ({
+  ...state,
+  incomingGarbage: [...state.incomingGarbage, lines]
+});
+
+// Spend an outgoing attack on the player's own incoming garbage, oldest first.
+// Returns the game with what is left incoming and the attack left to send.
+export const cancelGarbage = (state, attack) => {
+  let remaining = attack;
+  const incomingGarbage = [];
+  for (const lines of state.incomingGarbage) {
+    const cancelled = Math.min(lines, remaining);
+    remaining -= cancelled;
+    if (lines > cancelled) incomingGarbage.push(lines - cancelled);
+  }
+  return { state: { ...state, incomingGarbage }, remaining };
+};
+
+// Resolve one linesCleared event for the player who made it: the attack first
+// cancels their own incoming garbage. Returns { state, sent, cancelled }.
+export const spendAttack = (state, clear) => {
+  const attack = getAttack(clear);
+  const { state: next, remaining } = cancelGarbage(state, attack);
+  return { state: next, sent: remaining, cancelled: attack - remaining };
+};
+
+export const getIncomingGarbage = (state) =>
+  state.incomingGarbage.reduce((total, lines) => total + lines, 0);
+
+// Settings are the usual createGame options, shared by every player
+export const createMatch = ({ players = VERSUS_PLAYERS, seed = createSeed(), ...settings } = {}) => ({
+  seed: String(seed),
+  games: Array.from({ length: players }, () => createGame({ ...settings, seed, gameType: 'versus' })),
+  attackSent: Array(players).fill(0),
+  winner: null // index of the last player standing once the match is over
+});
+
+// The next player still in the game after `player`, who receives their attacks
+const getTarget = (games, player) => {
+  for (let i = 1; i < games.length; i++) {
+    const target = (player + i) % games.length;
+    if (!games[target].gameOver) return target;
+  }
+  return null;
+};
+
+// Apply one player's action. Events carry the index of the player they belong to.
+export const stepMatch = (match, player, action) => {
+  if (match.winner !== null) return { match, events: [] };
+  
+  const result = step(match.games[player], action);
+  const games = match.games.map((game, i) => (i === player ? result.state : game));
+  const attackSent = [...match.attackSent];
+  const events = result.events.map(event => ({ ...event, player }));
+  
+  result.events.filter(event => event.type === 'linesCleared').forEach(clear => {
+    const { state, sent, cancelled } = spendAttack(games[player], clear);
+    games[player] = state;
+    if (cancelled > 0) {
+      events.push({ type: 'garbageCancelled', player, lines: cancelled });
+    }
+    
+    const target = getTarget(games, player);
+    if (sent > 0 && target !== null) {
+      games[target] = queueGarbage(games[target], sent);
+      attackSent[player] += sent;
+      events.push({ type: 'attack', player, target, lines: sent });
+    }
+  });
+  
+  let winner = null;
+  const standing = games.map((game, i) => (game.gameOver ? null : i)).filter(i => i !== null);
+  if (standing.length === 1) {
+    winner = standing[0];
+    events.push({ type: 'matchOver', winner });
+  }
+  
+  return { match: { ...match, games, attackSent, winner }, events };
+};
+
+// One game tick for every player still in the match
+export const tickMatch = (match, ms) => {
+  let next = match;
+  const events = [];
+  for (let player = 0; player < match.games.length && next.winner === null; player++) {
+    if (next.games[player].gameOver) continue;
+    const result = stepMatch(next, player, { type: 'tick', ms });
+    next = result.match;
+    events.push(...result.events);
+  }
+  return { match: next, events };
+};
@@ -0,0 +1,30 @@
+// Display helpers shared by the game panels
+import { FINESSE_INPUTS, FRAME_MS, getGravity } from './engine/index.js';
+
+// 83456 -> '1:23' or, with millis, '1:23.456'
+export const formatDuration = (ms, withMillis = false) => {
+  const totalMs = Math.max(0, Math.floor(ms));
+  const minutes = Math.floor(totalMs / 60000);
+  const seconds = Math.floor(totalMs / 1000) % 60;
+  const base = `${minutes}:${String(seconds).padStart(2, '0')}`;
+  return withMillis ? `${base}.${String(totalMs % 1000).padStart(3, '0')}` : base;
+};
+
+// Signed split difference: '-0.512' ahead of the record, '+1.204' behind it
+export const formatSplitDelta = (ms) =>
+  `${ms < 0 ? '-' : '+'}${(Math.abs(ms) / 1000).toFixed(3)}`;
+
+// A rounded percentage, or a dash when there is nothing to measure yet
+export const formatPercent = (percent) =>
+  percent === null ? '—' : `${Math.round(percent)}%`;
+
+// Finesse percentage, or a dash before any piece has been judged
+export const formatFinesse = formatPercent;
+
+// Gravity as ms per row, or in G once a row takes a tick or less: '250ms', '20G'
+export const formatSpeed = (fallTime) =>
+  fallTime <= FRAME_MS + 1e-6 ? `${Number(getGravity(fallTime).toFixed(2))}G` : `${Math.round(fallTime)}ms`;
+
+// ['dasLeft', 'cw'] -> 'DAS ← · CW'
+export const formatFinessePath = (path) =>
+  path.length > 0 ? path.map(input => FINESSE_INPUTS[input].label).join(' · ') : 'drop';
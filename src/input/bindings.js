@@ -0,0 +1,92 @@
+// Single-player key bindings: each action has a list of keys (KeyboardEvent.key
+// values). Letters are stored lower case so Shift or Caps Lock don't matter.
+
+// In settings-menu order. `hint` is the word on the instructions bar.
+export const BOUND_ACTIONS = [
+  { id: 'left', label: 'Move left', hint: 'Left' },
+  { id: 'right', label: 'Move right', hint: 'Right' },
+  { id: 'softDrop', label: 'Soft drop', hint: 'Soft Drop' },
+  { id: 'hardDrop', label: 'Hard drop', hint: 'Hard Drop' },
+  { id: 'rotateCw', label: 'Rotate clockwise', hint: 'Rotate' },
+  { id: 'rotateCcw', label: 'Rotate counter-clockwise', hint: 'CCW' },
+  { id: 'rotate180', label: 'Rotate 180°', hint: '180°' },
+  { id: 'hold', label: 'Hold', hint: 'Hold' },
+  { id: 'pause', label: 'Pause', hint: 'Pause' },
+  { id: 'ghost', label: 'Toggle ghost', hint: 'Ghost' },
+  { id: 'mode', label: 'Toggle Classic/Modern', hint: 'Mode' },
+  { id: 'ai', label: 'Watch the AI', hint: 'AI' },
+  { id: 'hint', label: 'Toggle hints', hint: 'Hint' },
+  { id: 'mute', label: 'Mute sound', hint: 'Mute' },
+  { id: 'fps', label: 'Toggle FPS overlay', hint: 'FPS' }
+];
+
+export const DEFAULT_BINDINGS = {
+  left: ['ArrowLeft'],
+  right: ['ArrowRight'],
+  softDrop: ['ArrowDown'],
+  hardDrop: [' '],
+  rotateCw: ['ArrowUp', 'x'],
+  rotateCcw: ['z', 'Control'],
+  rotate180: ['a'],
+  hold: ['c', 'Shift'],
+  pause: ['p'],
+  ghost: ['g'],
+  mode: ['m'],
+  ai: ['i'],
+  hint: ['h'],
+  mute: ['n'],
+  fps: ['f']
+};
+
+// Keys that can't be bound: Escape cancels listening for a key
+export const RESERVED_KEYS = ['Escape'];
+
+export const normalizeKey = (key) => (key.length === 1 ? key.toLowerCase() : key);
+
+// The action bound to a key, or null
+export const getBoundAction = (bindings, key) => {
+  const normalized = normalizeKey(key);
+  const action = BOUND_ACTIONS.find(({ id }) => bindings[id].includes(normalized));
+  return action ? action.id : null;
+};
+
+// Adds a key to an action. A key belongs to one action at a time, so it is
+// taken off any other action first; that action's id comes back as `movedFrom`.
+export const bindKey = (bindings, action, key) => {
+  const normalized = normalizeKey(key);
+  const movedFrom = getBoundAction(bindings, normalized);
+  if (movedFrom === action) return { bindings, movedFrom: null };
+  
+  const next = { ...bindings, [action]: [...bindings[action], normalized] };
+  if (movedFrom) next[movedFrom] = bindings[movedFrom].filter(bound => bound !== normalized);
+  return { bindings: next, movedFrom };
+};
+
+export const unbindKey = (bindings, action, key) => ({
+  ...bindings,
+  [action]: bindings[action].filter(bound => bound !== key)
+});
+
+// Saved bindings from an older version may lack newer actions
+export const mergeBindings = (saved) => {
+  const bindings = { ...DEFAULT_BINDINGS };
+  BOUND_ACTIONS.forEach(({ id }) => {
+    if (saved && Array.isArray(saved[id])) bindings[id] = saved[id].filter(key => typeof key === 'string');
+  });
+  return bindings;
+};
+
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Control: 'Ctrl'
+};
+
+// 'ArrowLeft' -> '←', 'x' -> 'X'
+export const formatKey = (key) => KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+
+// 'ArrowUp', 'x' -> '↑/X'; a dash when nothing is bound
+export const formatKeys = (keys) => (keys.length > 0 ? keys.map(formatKey).join('/') : '—');
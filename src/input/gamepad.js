@@ -0,0 +1,89 @@
+// Gamepad API input. Browsers don't send gamepad events for buttons, so pads
+// are polled once per frame and compared with the previous poll. Buttons are
+// numbered as in the W3C "standard" mapping, which most controllers report.
+
+// The actions a pad can drive, a subset of the keyboard's
+export const PAD_ACTIONS = [
+  'left',
+  'right',
+  'softDrop',
+  'hardDrop',
+  'rotateCw',
+  'rotateCcw',
+  'rotate180',
+  'hold',
+  'pause'
+];
+
+// D-pad to move and soft drop, face buttons to rotate and drop, shoulders to hold
+export const DEFAULT_PAD_BINDINGS = {
+  left: [14],
+  right: [15],
+  softDrop: [13],
+  hardDrop: [3, 12],
+  rotateCw: [0],
+  rotateCcw: [1],
+  rotate180: [2],
+  hold: [4, 5],
+  pause: [9]
+};
+
+// Pad slot for each player (navigator.getGamepads() index), or null for none.
+// Single player uses player 1's pad.
+export const DEFAULT_PAD_ASSIGNMENT = [0, 1];
+
+const BUTTON_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'
+];
+
+export const formatButton = (button) => BUTTON_NAMES[button] || `Button ${button}`;
+
+// Connected pads, by slot. Empty where the API is missing.
+export const getGamepads = () =>
+  typeof navigator !== 'undefined' && navigator.getGamepads ? [...navigator.getGamepads()] : [];
+
+export const getPressedButtons = (gamepad) =>
+  gamepad ? gamepad.buttons.map(button => button.pressed) : [];
+
+// Like bindKey for the keyboard: a button belongs to one action at a time
+export const bindButton = (bindings, action, button) => {
+  const movedFrom = PAD_ACTIONS.find(id => bindings[id].includes(button)) || null;
+  if (movedFrom === action) return { bindings, movedFrom: null };
+  
+  const next = { ...bindings, [action]: [...bindings[action], button] };
+  if (movedFrom) next[movedFrom] = bindings[movedFrom].filter(bound => bound !== button);
+  return { bindings: next, movedFrom };
+};
+
+export const unbindButton = (bindings, action, button) => ({
+  ...bindings,
+  [action]: bindings[action].filter(bound => bound !== button)
+});
+
+export const mergePadBindings = (saved) => {
+  const bindings = { ...DEFAULT_PAD_BINDINGS };
+  PAD_ACTIONS.forEach(id => {
+    if (saved && Array.isArray(saved[id])) bindings[id] = saved[id].filter(Number.isInteger);
+  });
+  return bindings;
+};
+
+// Edge detection for one player's pad. poll() returns the actions that went
+// down and came up since the last poll; an action is down while any of its
+// buttons is. Keep one per player for the whole session, so a button held
+// across a pause isn't seen as a fresh press.
+export const createPadReader = () => {
+  let down = new Set();
+  
+  const poll = (gamepad, bindings) => {
+    const buttons = getPressedButtons(gamepad);
+    const next = new Set(PAD_ACTIONS.filter(action => bindings[action].some(button => buttons[button])));
+    const pressed = [...next].filter(action => !down.has(action));
+    const released = [...down].filter(action => !next.has(action));
+    down = next;
+    return { pressed, released };
+  };
+  
+  return { poll };
+};
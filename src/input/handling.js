@@ -0,0 +1,138 @@
+// Auto-repeat for held movement keys, polled once per animation frame.
+//   das - delayed auto shift: ms a direction is held before it starts repeating
+//   arr - auto repeat rate: ms between repeats once charged (0 = slide to the wall)
+//   sdf - soft drop factor: soft drop speed as a multiple of gravity (Infinity = instant)
+//   dcd - DAS cut delay: ms auto-shift pauses after a rotation
+import { BOARD_WIDTH, BOARD_HEIGHT } from '../engine/index.js';
+
+export const DEFAULT_HANDLING = {
+  das: 167,
+  arr: 33,
+  sdf: 20,
+  dcd: 17
+};
+
+const DIRECTIONS = { left: -1, right: 1 };
+
+// dispatch(action) must return the engine events for that action, so soft drop
+// can stop at the piece that locked instead of running into the next one.
+// getPiece() returns the game's current { piece, position }: a repeat that
+// was blocked waits for those to change instead of dispatching every frame.
+export const createInputHandler = ({ dispatch, getFallTime, getPiece, handling = DEFAULT_HANDLING }) => {
+  let settings = { ...DEFAULT_HANDLING, ...handling };
+  let heldDirections = []; // most recently pressed last
+  let shift = null; // { dir, nextAt, blockedAt }
+  let softDrop = null; // { nextAt, blockedAt }
+  let dasCutUntil = 0;
+
+  // The engine never changes state in place, so the piece is where it was
+  // blocked for as long as getPiece() hands back the same objects
+  const isBlocked = (blockedAt) => {
+    const current = getPiece();
+    return !!blockedAt && !!current && current.piece === blockedAt.piece && current.position === blockedAt.position;
+  };
+
+  // Auto-repeated moves and drops are marked so they don't count as presses.
+  // Both stop at the first one the piece can't make.
+  const move = (dir, times, repeat = false) => {
+    shift.blockedAt = null;
+    for (let i = 0; i < times; i++) {
+      const events = dispatch(repeat ? { type: 'move', dir, repeat } : { type: 'move', dir }) || [];
+      if (!events.some(event => event.type === 'move')) {
+        shift.blockedAt = getPiece();
+        return;
+      }
+    }
+  };
+
+  const dropSoft = (times, repeat = false) => {
+    softDrop.blockedAt = null;
+    for (let i = 0; i < times; i++) {
+      const events = dispatch(repeat ? { type: 'softDrop', repeat } : { type: 'softDrop' }) || [];
+      if (events.some(event => event.type === 'pieceLocked')) {
+        // Holding down shouldn't carry into the next piece; re-press to continue
+        softDrop = null;
+        return;
+      }
+      if (!events.some(event => event.type === 'softDrop')) {
+        // Landed: the lock delay runs out without help
+        softDrop.blockedAt = getPiece();
+        return;
+      }
+    }
+  };
+
+  const press = (action, now) => {
+    if (action in DIRECTIONS) {
+      const dir = DIRECTIONS[action];
+      heldDirections = [...heldDirections.filter(d => d !== dir), dir];
+      shift = { dir, nextAt: now + settings.das, blockedAt: null };
+      move(dir, 1);
+    } else if (action === 'softDrop') {
+      softDrop = { nextAt: now + getFallTime() / settings.sdf, blockedAt: null };
+      dropSoft(1);
+    }
+  };
+
+  const release = (action, now) => {
+    if (action in DIRECTIONS) {
+      const dir = DIRECTIONS[action];
+      heldDirections = heldDirections.filter(d => d !== dir);
+      if (shift && shift.dir === dir) {
+        // Fall back to the other direction if it is still held, charging DAS again
+        const other = heldDirections[heldDirections.length - 1];
+        shift = other ? { dir: other, nextAt: now + settings.das, blockedAt: null } : null;
+      }
+    } else if (action === 'softDrop') {
+      softDrop = null;
+    }
+  };
+
+  // Call after every successful rotation
+  const cutDas = (now) => {
+    dasCutUntil = now + settings.dcd;
+  };
+
+  const update = (now) => {
+    if (shift && now >= shift.nextAt && now >= dasCutUntil) {
+      if (isBlocked(shift.blockedAt)) {
+        // Charged and waiting: it goes as soon as the piece turns, falls or respawns
+        shift.nextAt = now;
+      } else if (settings.arr === 0) {
+        move(shift.dir, BOARD_WIDTH, true);
+        shift.nextAt = now;
+      } else {
+        const repeats = Math.min(BOARD_WIDTH, Math.floor((now - shift.nextAt) / settings.arr) + 1);
+        move(shift.dir, repeats, true);
+        // Don't try to catch up on time spent paused or in a background tab
+        shift.nextAt = Math.max(shift.nextAt + repeats * settings.arr, now);
+      }
+    }
+
+    if (softDrop && now >= softDrop.nextAt) {
+      const interval = getFallTime() / settings.sdf;
+      if (isBlocked(softDrop.blockedAt)) {
+        softDrop.nextAt = now;
+      } else if (interval === 0) {
+        dropSoft(BOARD_HEIGHT, true);
+      } else {
+        const drops = Math.min(BOARD_HEIGHT, Math.floor((now - softDrop.nextAt) / interval) + 1);
+        dropSoft(drops, true);
+        if (softDrop) softDrop.nextAt = Math.max(softDrop.nextAt + drops * interval, now);
+      }
+    }
+  };
+
+  const reset = () => {
+    heldDirections = [];
+    shift = null;
+    softDrop = null;
+    dasCutUntil = 0;
+  };
+
+  const setHandling = (newHandling) => {
+    settings = { ...settings, ...newHandling };
+  };
+
+  return { press, release, cutDas, update, reset, setHandling };
+};
@@ -0,0 +1,92 @@
+// Touch input for phones and tablets: on-screen buttons, or gestures on the board.
+//   dragDistance - px a finger travels per cell moved or soft-dropped
+//   swipeSpeed - px/ms a vertical flick must reach to hard drop (down) or hold (up)
+
+export const TOUCH_CONTROLS = ['buttons', 'gestures', 'off'];
+
+export const DEFAULT_TOUCH = {
+  controls: 'buttons',
+  dragDistance: 28,
+  swipeSpeed: 1
+};
+
+// A press shorter than this that never moved a cell is a tap
+const TAP_MS = 250;
+// Swipe speed is measured over the last stretch of the gesture, so a slow
+// drag that ends in a flick still counts
+const SWIPE_WINDOW_MS = 80;
+
+// Phones and tablets report a coarse pointer; mice and trackpads don't
+export const hasTouchScreen = () =>
+  typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia('(pointer: coarse)').matches;
+
+export const mergeTouch = (saved) => {
+  const touch = { ...DEFAULT_TOUCH, ...saved };
+  return TOUCH_CONTROLS.includes(touch.controls) ? touch : { ...touch, controls: DEFAULT_TOUCH.controls };
+};
+
+// Turns one finger's path into actions, reported through onAction as they
+// happen. Drags lock to the axis they first move along: sideways moves the
+// piece a cell per dragDistance, downwards soft drops. Lifting the finger
+// after a fast vertical flick hard drops or holds; a short tap rotates,
+// clockwise on the right half of the board and counter-clockwise on the left.
+export const createGestureReader = ({ onAction }) => {
+  let gesture = null;
+  
+  // x and y are relative to the board, which is `width` px wide
+  const start = (x, y, now, width) => {
+    gesture = { startX: x, startY: y, anchorX: x, anchorY: y, startTime: now, width, axis: null, points: [{ y, now }] };
+  };
+  
+  const move = (x, y, now, settings) => {
+    if (!gesture) return;
+    const { dragDistance } = settings;
+    gesture.points = [...gesture.points.filter(point => now - point.now <= SWIPE_WINDOW_MS), { y, now }];
+    
+    if (!gesture.axis) {
+      if (Math.abs(x - gesture.startX) >= dragDistance) gesture.axis = 'x';
+      else if (Math.abs(y - gesture.startY) >= dragDistance) gesture.axis = 'y';
+    }
+    
+    if (gesture.axis === 'x') {
+      while (x - gesture.anchorX >= dragDistance) {
+        gesture.anchorX += dragDistance;
+        onAction('right');
+      }
+      while (gesture.anchorX - x >= dragDistance) {
+        gesture.anchorX -= dragDistance;
+        onAction('left');
+      }
+    } else if (gesture.axis === 'y') {
+      while (y - gesture.anchorY >= dragDistance) {
+        gesture.anchorY += dragDistance;
+        onAction('softDrop');
+      }
+    }
+  };
+  
+  const end = (x, y, now, settings) => {
+    if (!gesture) return;
+    move(x, y, now, settings);
+    const { axis, points, startTime, width } = gesture;
+    gesture = null;
+    
+    if (!axis) {
+      if (now - startTime <= TAP_MS) onAction(x < width / 2 ? 'rotateCcw' : 'rotateCw');
+      return;
+    }
+    if (axis !== 'y') return;
+    
+    const first = points[0];
+    const speed = (y - first.y) / Math.max(1, now - first.now);
+    if (speed >= settings.swipeSpeed) onAction('hardDrop');
+    else if (speed <= -settings.swipeSpeed) onAction('hold');
+  };
+  
+  // A cancelled touch (e.g. the browser took over the gesture) does nothing more
+  const cancel = () => {
+    gesture = null;
+  };
+  
+  return { start, move, end, cancel };
+};
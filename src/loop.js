@@ -0,0 +1,30 @@
+// Fixed-timestep game loop on requestAnimationFrame. Every display frame calls
+// onFrame(now) and then onTick() once per whole FRAME_MS tick that came due,
+// so the engine advances in identical ticks at any refresh rate and a
+// recorded game replays exactly.
+import { FRAME_MS } from './engine/index.js';
+
+// After a stall (a background tab, a debugger pause) run at most this much
+// game time at once instead of fast-forwarding through all of it
+const MAX_CATCH_UP_MS = 250;
+
+// Returns a function that stops the loop
+export const startGameLoop = ({ onFrame = () => {}, onTick }) => {
+  let frame;
+  let lastTime = performance.now();
+  let accumulator = 0;
+  
+  const loop = (now) => {
+    accumulator += Math.min(MAX_CATCH_UP_MS, Math.max(0, now - lastTime));
+    lastTime = now;
+    onFrame(now);
+    while (accumulator >= FRAME_MS) {
+      onTick();
+      accumulator -= FRAME_MS;
+    }
+    frame = requestAnimationFrame(loop);
+  };
+  frame = requestAnimationFrame(loop);
+  
+  return () => cancelAnimationFrame(frame);
+};
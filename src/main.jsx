@@ -1,10 +1,10 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import TetroMaster from './TetroMaster.jsx'
+import App from './App.jsx'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <TetroMaster />
+    <App />
   </React.StrictMode>,
 )
\ No newline at end of file
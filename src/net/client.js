@@ -0,0 +1,35 @@
+// Browser side of the relay connection: a WebSocket that speaks the protocol
+// in protocol.js. Messages sent before the socket opens are queued.
+import { DEFAULT_RELAY_PORT, encodeMessage, decodeMessage } from './protocol.js';
+
+// Same host as the page unless VITE_RELAY_URL says otherwise
+export const getDefaultRelayUrl = () =>
+  import.meta.env.VITE_RELAY_URL || `ws://${window.location.hostname || 'localhost'}:${DEFAULT_RELAY_PORT}`;
+
+// onClose(wasOpen) fires once, whether the relay was unreachable or the connection dropped
+export const connectToRelay = (url, { onMessage, onClose }) => {
+  const socket = new WebSocket(url);
+  const pending = [];
+  let wasOpen = false;
+  
+  socket.addEventListener('open', () => {
+    wasOpen = true;
+    pending.splice(0).forEach(data => socket.send(data));
+  });
+  socket.addEventListener('message', (event) => {
+    const message = decodeMessage(event.data);
+    if (message) onMessage(message);
+  });
+  socket.addEventListener('close', () => onClose(wasOpen));
+  
+  const send = (type, payload) => {
+    const data = encodeMessage(type, payload);
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(data);
+    } else if (socket.readyState === WebSocket.CONNECTING) {
+      pending.push(data);
+    }
+  };
+  
+  return { send, close: () => socket.close() };
+};
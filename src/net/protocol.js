@@ -0,0 +1,101 @@
+// Online versus protocol, shared by the browser client and the relay server
+// (server/relay.js). Every message is a JSON text frame with a `type` field.
+//
+// Client -> relay
+//   { type: 'create', version }        open a room; answered with 'created'
+//   { type: 'join', version, room }    join a room by code; answered with 'joined'
+//   { type: 'rematch' }                ask for another game in the same room
+//   { type: 'state', ... }             board snapshot (see createSnapshot), relayed
+//   { type: 'attack', lines }          garbage sent to the opponent, relayed
+//   { type: 'topOut' }                 this player lost, relayed
+//
+// Relay -> client
+//   { type: 'created', room, player }  room opened, waiting for an opponent
+//   { type: 'joined', room, player }   joined someone else's room
+//   { type: 'start', seed }            both players are in: start a game with this seed
+//   { type: 'opponentLeft' }           the other player disconnected
+//   { type: 'error', message }
+//
+// Relayed messages reach the other player unchanged, so the client checks
+// 'state' and 'attack' itself (parseSnapshot, parseAttack) and drops bad ones.
+import { BOARD_WIDTH, BOARD_HEIGHT, TETROMINO_TYPES } from '../engine/constants.js';
+import { GARBAGE_CELL } from '../engine/garbage.js';
+import { T_SPIN_ATTACK, BACK_TO_BACK_ATTACK, COMBO_ATTACK, PERFECT_CLEAR_ATTACK } from '../engine/attack.js';
+
+export const PROTOCOL_VERSION = 1;
+export const DEFAULT_RELAY_PORT = 8787;
+export const ROOM_CODE_LENGTH = 4;
+
+// No I or O, so codes read unambiguously aloud
+export const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+
+export const RELAYED_MESSAGES = ['state', 'attack', 'topOut'];
+
+export const encodeMessage = (type, payload = {}) => JSON.stringify({ ...payload, type });
+
+// Returns null for anything that isn't a well-formed message
+export const decodeMessage = (data) => {
+  try {
+    const message = JSON.parse(data);
+    return message && typeof message.type === 'string' ? message : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export const normalizeRoomCode = (code) => String(code).trim().toUpperCase();
+
+// Boards travel as one string per row, '.' for an empty cell
+const EMPTY_CELL = '.';
+
+export const encodeBoard = (board) =>
+  board.map(row => row.map(cell => (cell === 0 ? EMPTY_CELL : cell)).join(''));
+
+export const decodeBoard = (rows) =>
+  rows.map(row => Array.from(row, cell => (cell === EMPTY_CELL ? 0 : cell)));
+
+// What the opponent needs to draw this player's mini-board
+export const createSnapshot = (state, { incoming, sent }) => ({
+  board: encodeBoard(state.board),
+  piece: state.piece ? { type: state.piece.type, shape: state.piece.shape } : null,
+  position: state.position,
+  score: state.score,
+  lines: state.lines,
+  incoming,
+  sent
+});
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const BOARD_ROW = new RegExp(`^[${EMPTY_CELL}${TETROMINO_TYPES.join('')}${GARBAGE_CELL}]{${BOARD_WIDTH}}$`);
+
+const isBoard = (rows) =>
+  Array.isArray(rows) && rows.length === BOARD_HEIGHT && rows.every(row => typeof row === 'string' && BOARD_ROW.test(row));
+
+// The piece is optional, but one that is sent needs a shape of 0s and 1s and a place
+const isPiece = (piece, position) =>
+  piece === null || (
+    !!piece &&
+    TETROMINO_TYPES.includes(piece.type) &&
+    Array.isArray(piece.shape) && piece.shape.length <= 4 &&
+    piece.shape.every(row => Array.isArray(row) && row.length <= 4 && row.every(cell => cell === 0 || cell === 1)) &&
+    !!position && Number.isInteger(position.x) && Number.isInteger(position.y)
+  );
+
+// The opponent's snapshot ready to draw, or null when it is malformed
+export const parseSnapshot = (message) => {
+  const { board, piece, position, score, lines, incoming, sent } = message;
+  if (!isBoard(board) || !isPiece(piece, position) || ![score, lines, incoming, sent].every(isCount)) {
+    return null;
+  }
+  return { board: decodeBoard(board), piece, position, score, lines, incoming, sent };
+};
+
+// The most garbage one clear can send: a back-to-back T-spin triple perfect
+// clear at the top of a combo
+export const MAX_ATTACK_LINES =
+  T_SPIN_ATTACK.triple + BACK_TO_BACK_ATTACK + COMBO_ATTACK[COMBO_ATTACK.length - 1] + PERFECT_CLEAR_ATTACK;
+
+// Lines of an attack, or null when it isn't one a clear could have sent
+export const parseAttack = (message) =>
+  (Number.isInteger(message.lines) && message.lines > 0 && message.lines <= MAX_ATTACK_LINES ? message.lines : null);
@@ -0,0 +1,146 @@
+// Personal bests and leaderboards, kept in localStorage. When storage is
+// unavailable records simply aren't kept.
+import { GAME_TYPES, RULESETS, SPRINT_TARGETS, ULTRA_DURATIONS, DIG_TARGETS, getGameTime } from './engine/index.js';
+import { readStore, writeStore } from './storage.js';
+
+const SPRINT_BEST_KEY = 'tetromaster.sprintBest';
+const LEADERBOARD_KEY = 'tetromaster.leaderboards';
+const PLAYER_KEY = 'tetromaster.player';
+
+export const LEADERBOARD_SIZE = 10;
+export const NAME_MIN_LENGTH = 3;
+export const NAME_MAX_LENGTH = 10;
+export const LEADERBOARD_FORMAT = 'tetromaster-leaderboards';
+export const LEADERBOARD_VERSION = 1;
+
+// Best sprint per ruleset and line target: { time, splits, pieces, date }
+export const loadSprintBest = (mode, targetLines) =>
+  readStore(SPRINT_BEST_KEY)[`${mode}-${targetLines}`] || null;
+
+// Saves the run if it beats the stored best; returns true when it did
+export const saveSprintBest = (mode, targetLines, run) => {
+  const store = readStore(SPRINT_BEST_KEY);
+  const key = `${mode}-${targetLines}`;
+  if (store[key] && store[key].time <= run.time) return false;
+  
+  writeStore(SPRINT_BEST_KEY, { ...store, [key]: run });
+  return true;
+};
+
+// One table per game type, goal and ruleset, e.g. 'sprint-40-modern'
+export const getLeaderboardId = ({ gameType, mode, targetLines, timeLimit }) => {
+  if (gameType === 'ultra') return `ultra-${timeLimit / 1000}-${mode}`;
+  if (gameType === 'sprint' || gameType === 'dig') return `${gameType}-${targetLines}-${mode}`;
+  return `${gameType}-${mode}`;
+};
+
+// Every table there can be, for checking the ids in an imported file
+const GOALS = { marathon: [null], sprint: SPRINT_TARGETS, ultra: ULTRA_DURATIONS, dig: DIG_TARGETS };
+const LEADERBOARD_IDS = new Set(GAME_TYPES.flatMap(gameType => RULESETS.flatMap(mode =>
+  GOALS[gameType].map(goal => getLeaderboardId({ gameType, mode, targetLines: goal, timeLimit: goal })))));
+
+// Sprint and dig race to a goal, so they rank by time; the rest by score
+export const isRankedByTime = (id) => id.startsWith('sprint-') || id.startsWith('dig-');
+
+// Ties go to whoever got there first
+const compareEntries = (id) => (a, b) =>
+  (isRankedByTime(id) ? a.time - b.time : b.score - a.score) || a.date.localeCompare(b.date);
+
+// Goal modes only count runs that reached the goal
+export const canEnterLeaderboard = (state) =>
+  state.gameOver && !state.gravity && (state.finished || state.gameType === 'marathon' || state.gameType === 'ultra');
+
+export const createLeaderboardEntry = (state, name) => ({
+  name,
+  score: state.score,
+  lines: state.lines,
+  level: state.level,
+  time: getGameTime(state),
+  date: new Date().toISOString(),
+  seed: state.seed
+});
+
+// Entries best first: [{ name, score, lines, level, time, date, seed }]
+export const loadLeaderboard = (id) => readStore(LEADERBOARD_KEY)[id] || [];
+
+// Where the entry would place (0 = first), or -1 if it misses the table
+export const getLeaderboardRank = (id, entry) => {
+  const rank = [...loadLeaderboard(id), entry].sort(compareEntries(id)).indexOf(entry);
+  return rank < LEADERBOARD_SIZE ? rank : -1;
+};
+
+// Adds the entry if it makes the table; returns its rank or -1
+export const addLeaderboardEntry = (id, entry) => {
+  const store = readStore(LEADERBOARD_KEY);
+  const entries = [...(store[id] || []), entry].sort(compareEntries(id)).slice(0, LEADERBOARD_SIZE);
+  const rank = entries.indexOf(entry);
+  if (rank !== -1) writeStore(LEADERBOARD_KEY, { ...store, [id]: entries });
+  return rank;
+};
+
+export const isValidName = (name) =>
+  name.trim().length >= NAME_MIN_LENGTH && name.trim().length <= NAME_MAX_LENGTH;
+
+// The last name entered, to fill in next time
+export const loadPlayerName = () => readStore(PLAYER_KEY).name || '';
+
+export const savePlayerName = (name) => writeStore(PLAYER_KEY, { ...readStore(PLAYER_KEY), name });
+
+export const serializeLeaderboards = () => JSON.stringify({
+  format: LEADERBOARD_FORMAT,
+  version: LEADERBOARD_VERSION,
+  exportedAt: new Date().toISOString(),
+  leaderboards: readStore(LEADERBOARD_KEY)
+}, null, 2);
+
+// Names follow the same rule as name entry
+const isValidEntry = (entry) =>
+  !!entry &&
+  typeof entry.name === 'string' &&
+  isValidName(entry.name) &&
+  ['score', 'lines', 'level', 'time'].every(field => Number.isFinite(entry[field])) &&
+  typeof entry.date === 'string' &&
+  typeof entry.seed === 'string';
+
+// Merges an exported file into the stored tables, keeping the best of both.
+// Returns how many entries were new.
+export const importLeaderboards = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Leaderboard file is not valid JSON');
+  }
+  
+  if (!data || data.format !== LEADERBOARD_FORMAT) {
+    throw new Error('Not a TetroMaster leaderboard file');
+  }
+  if (data.version !== LEADERBOARD_VERSION) {
+    throw new Error(`Unsupported leaderboard version ${data.version}`);
+  }
+  const tables = data.leaderboards;
+  if (!tables || typeof tables !== 'object' || !Object.values(tables).every(entries =>
+    Array.isArray(entries) && entries.every(isValidEntry))) {
+    throw new Error('Leaderboard file has invalid entries');
+  }
+  if (!Object.keys(tables).every(id => LEADERBOARD_IDS.has(id))) {
+    throw new Error('Leaderboard file has unknown tables');
+  }
+  
+  const store = readStore(LEADERBOARD_KEY);
+  const getKey = (entry) => [entry.name, entry.date, entry.seed, entry.score, entry.time].join('|');
+  let added = 0;
+  Object.entries(tables).forEach(([id, entries]) => {
+    const current = store[id] || [];
+    const seen = new Set(current.map(getKey));
+    const incoming = entries.filter(entry => {
+      if (seen.has(getKey(entry))) return false;
+      seen.add(getKey(entry));
+      return true;
+    });
+    store[id] = [...current, ...incoming].sort(compareEntries(id)).slice(0, LEADERBOARD_SIZE);
+    added += incoming.filter(entry => store[id].includes(entry)).length;
+  });
+  writeStore(LEADERBOARD_KEY, store);
+  return added;
+};
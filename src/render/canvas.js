@@ -0,0 +1,173 @@
+// Canvas drawing for the board and the piece previews, in the colours and block
+// skin of a theme (see themes.js). Sizes are in CSS px; prepareCanvas scales
+// the backing store so it stays sharp on high-DPI screens.
+import { BOARD_WIDTH, BOARD_HEIGHT, GARBAGE_CELL } from '../engine/index.js';
+
+const CLEAR_COLOR = '#ffffff';
+const FLASH_COLOR = '#ff0000';
+const GHOST_DASH = [4, 3];
+
+// Sizes the canvas for `width` x `height` CSS px and returns a context that
+// draws in CSS px
+export const prepareCanvas = (canvas, width, height) => {
+  const ratio = window.devicePixelRatio || 1;
+  if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+  }
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+};
+
+// The board cells a piece covers at `position`, clipped to the board
+const getPieceCells = (piece, position) => {
+  const cells = [];
+  piece.shape.forEach((row, y) => row.forEach((value, x) => {
+    const boardX = position.x + x;
+    const boardY = position.y + y;
+    if (value !== 0 && boardY >= 0 && boardY < BOARD_HEIGHT && boardX >= 0 && boardX < BOARD_WIDTH) {
+      cells.push({ x: boardX, y: boardY });
+    }
+  }));
+  return cells;
+};
+
+// A filled cell in one of the theme skins:
+// flat: plain colour
+// beveled: light top-left edge and dark bottom-right one
+// outlined: see-through fill inside a solid border
+// pixel: NES-style block with a shine in the corner and a gap to its neighbours
+const drawBlock = (ctx, x, y, size, color, skin) => {
+  const edge = Math.max(2, Math.round(size / 8));
+  if (skin === 'outlined') {
+    ctx.fillStyle = `${color}40`;
+    ctx.fillRect(x, y, size, size);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(x + 1, y + 1, size - 2, size - 2);
+    return;
+  }
+  if (skin === 'pixel') {
+    const unit = Math.max(1, Math.round(size / 8));
+    ctx.fillStyle = color;
+    ctx.fillRect(x, y, size - unit, size - unit);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(x, y, unit, unit);
+    ctx.fillRect(x + unit, y + unit, unit * 2, unit);
+    ctx.fillRect(x + unit, y + unit * 2, unit, unit);
+    return;
+  }
+  
+  ctx.fillStyle = color;
+  ctx.fillRect(x, y, size, size);
+  if (skin === 'flat') return;
+  ctx.fillStyle = 'rgba(255,255,255,0.3)';
+  ctx.fillRect(x, y, size, edge);
+  ctx.fillRect(x, y, edge, size);
+  ctx.fillStyle = 'rgba(0,0,0,0.3)';
+  ctx.fillRect(x, y + size - edge, size, edge);
+  ctx.fillRect(x + size - edge, y, edge, size);
+};
+
+const drawGrid = (ctx, columns, rows, size, color) => {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let x = 0; x <= columns; x++) {
+    ctx.moveTo(x * size + 0.5, 0);
+    ctx.lineTo(x * size + 0.5, rows * size);
+  }
+  for (let y = 0; y <= rows; y++) {
+    ctx.moveTo(0, y * size + 0.5);
+    ctx.lineTo(columns * size, y * size + 0.5);
+  }
+  ctx.stroke();
+};
+
+const outlineCell = (ctx, { x, y }, size, color, dash) => {
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.setLineDash(dash);
+  ctx.strokeRect(x * size + 1, y * size + 1, size - 2, size - 2);
+  ctx.setLineDash([]);
+};
+
+// The stack, then the hint, the ghost and the active piece on top. Pass
+// piece as null to hide it and ghostPosition as null for no ghost. hint
+// ({ piece, position }) outlines a suggested placement.
+export const drawPlayfield = (ctx, {
+  board,
+  piece,
+  position,
+  ghostPosition = null,
+  hint = null,
+  theme,
+  clearedLines = [],
+  lockProgress = 0,
+  flash = false // game over: every filled cell turns red
+}, size) => {
+  const occupied = new Set();
+  board.forEach((row, y) => row.forEach((cell, x) => {
+    const left = x * size;
+    const top = y * size;
+    ctx.fillStyle = clearedLines.includes(y) ? CLEAR_COLOR : theme.background;
+    ctx.fillRect(left, top, size, size);
+    if (cell !== 0 && !clearedLines.includes(y)) {
+      drawBlock(ctx, left, top, size, flash ? FLASH_COLOR : cell === GARBAGE_CELL ? theme.garbage : theme.colors[cell], theme.skin);
+    }
+    if (cell !== 0) occupied.add(`${x},${y}`);
+  }));
+  drawGrid(ctx, BOARD_WIDTH, BOARD_HEIGHT, size, theme.grid);
+  
+  // The hint goes first so the ghost can't cover it
+  if (hint) {
+    const color = theme.colors[hint.piece.type];
+    getPieceCells(hint.piece, hint.position).forEach(cell => {
+      if (occupied.has(`${cell.x},${cell.y}`)) return;
+      occupied.add(`${cell.x},${cell.y}`);
+      ctx.fillStyle = `${color}55`;
+      ctx.fillRect(cell.x * size, cell.y * size, size, size);
+      outlineCell(ctx, cell, size, color, []);
+    });
+  }
+  
+  if (piece && ghostPosition && ghostPosition.y !== position.y) {
+    const color = theme.colors[piece.type];
+    getPieceCells(piece, ghostPosition).forEach(cell => {
+      if (occupied.has(`${cell.x},${cell.y}`)) return;
+      if (theme.ghost === 'filled') {
+        ctx.fillStyle = `${color}40`;
+        ctx.fillRect(cell.x * size, cell.y * size, size, size);
+      } else {
+        outlineCell(ctx, cell, size, color, theme.ghost === 'dashed' ? GHOST_DASH : []);
+      }
+    });
+  }
+  
+  // The active piece fades as its lock delay runs out
+  if (piece) {
+    ctx.globalAlpha = 1 - lockProgress * 0.6;
+    getPieceCells(piece, position).forEach(({ x, y }) => {
+      drawBlock(ctx, x * size, y * size, size, theme.colors[piece.type], theme.skin);
+    });
+    ctx.globalAlpha = 1;
+  }
+};
+
+// 4x2 preview grid used by the Next and Hold panels; an empty slot draws blank
+export const drawPreview = (ctx, piece, theme, size) => {
+  ctx.fillStyle = theme.background;
+  ctx.fillRect(0, 0, 4 * size, 2 * size);
+  
+  if (piece) {
+    // Drop empty rows so every spawn orientation fits in two rows, then center it
+    const shape = piece.shape.filter(row => row.some(cell => cell !== 0));
+    const top = Math.floor((2 - shape.length) / 2);
+    const left = Math.floor((4 - shape[0].length) / 2);
+    shape.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell !== 0) drawBlock(ctx, (left + x) * size, (top + y) * size, size, theme.colors[piece.type], theme.skin);
+    }));
+  }
+  drawGrid(ctx, 4, 2, size, theme.grid);
+};
@@ -0,0 +1,52 @@
+// Player preferences, kept in localStorage between visits
+import { DEFAULT_HANDLING } from './input/handling.js';
+import { DEFAULT_BINDINGS, mergeBindings } from './input/bindings.js';
+import { DEFAULT_PAD_BINDINGS, DEFAULT_PAD_ASSIGNMENT, mergePadBindings } from './input/gamepad.js';
+import { DEFAULT_TOUCH, mergeTouch } from './input/touch.js';
+import { DEFAULT_VOLUME } from './audio/mixer.js';
+import { DEFAULT_THEME } from './themes.js';
+import { readStore, writeStore } from './storage.js';
+
+const SETTINGS_KEY = 'tetromaster.settings';
+
+export const DEFAULT_SETTINGS = {
+  bindings: DEFAULT_BINDINGS,
+  padBindings: DEFAULT_PAD_BINDINGS,
+  padAssignment: DEFAULT_PAD_ASSIGNMENT,
+  showGhost: true,
+  showFps: false,
+  theme: DEFAULT_THEME, // { mode: 'level' or 'fixed', id }
+  gameMode: 'modern',
+  holdEnabled: true,
+  previewCount: 5,
+  handling: DEFAULT_HANDLING,
+  touch: DEFAULT_TOUCH,
+  sound: true, // off mutes everything
+  volume: DEFAULT_VOLUME
+};
+
+// JSON has no Infinity, so an instant soft drop comes back as null
+const loadHandling = (saved = {}) => ({
+  ...DEFAULT_HANDLING,
+  ...saved,
+  ...(saved.sdf === null ? { sdf: Infinity } : {})
+});
+
+// Saved values over the defaults, so settings added later get their default
+export const loadSettings = () => {
+  const saved = readStore(SETTINGS_KEY);
+  return {
+    ...DEFAULT_SETTINGS,
+    ...saved,
+    bindings: mergeBindings(saved.bindings),
+    padBindings: mergePadBindings(saved.padBindings),
+    padAssignment: DEFAULT_PAD_ASSIGNMENT.map((pad, player) =>
+      (Array.isArray(saved.padAssignment) && player in saved.padAssignment ? saved.padAssignment[player] : pad)),
+    handling: loadHandling(saved.handling),
+    touch: mergeTouch(saved.touch),
+    theme: { ...DEFAULT_THEME, ...saved.theme },
+    volume: { ...DEFAULT_VOLUME, ...saved.volume }
+  };
+};
+
+export const saveSettings = (settings) => writeStore(SETTINGS_KEY, settings);
@@ -0,0 +1,17 @@
+// JSON values in localStorage. Storage can be unavailable (private browsing,
+// disabled cookies), in which case reads come back empty and writes are dropped.
+export const readStore = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(key)) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+export const writeStore = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    // Ignore quota and availability errors
+  }
+};
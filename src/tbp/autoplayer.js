@@ -0,0 +1,92 @@
+// Plays a game with moves from a TBP bot, through dispatch(action) like the
+// built-in autoplayer and with the same act(state) / reset() interface. The
+// bot answers asynchronously, so act() does nothing while it is thinking.
+import { getPlacementKey } from '../ai/placements.js';
+import { createTbpSession } from './client.js';
+import { findMoveSteps } from './protocol.js';
+
+export const createTbpAutoplayer = ({ client, dispatch, previews, onError = () => {} }) => {
+  const session = createTbpSession(client, { previews });
+  let ready = false;
+  let failed = false;
+  let thinking = false;
+  let generation = 0; // bumped by reset() so late answers for an old game are dropped
+  let turn = null; // { placed, moves, move, steps, done } for the piece in play
+  
+  const fail = (error) => {
+    failed = true;
+    onError(error);
+  };
+  
+  client.handshake().then(() => {
+    ready = true;
+  }, fail);
+  
+  const request = (state) => {
+    const asked = generation;
+    thinking = true;
+    session.suggest(state).then((moves) => {
+      thinking = false;
+      if (asked === generation) {
+        turn = { placed: state.piecesPlaced, moves, move: null, steps: [], done: false };
+      }
+    }, fail);
+  };
+  
+  // The first of the bot's moves the engine can reach from where the piece is
+  const findSteps = (state) => {
+    for (const move of turn.moves) {
+      const steps = findMoveSteps(state, move);
+      if (steps) return { move, steps };
+    }
+    return null;
+  };
+  
+  const act = (state) => {
+    if (!ready || failed || thinking || !state.piece || state.gameOver) return;
+    
+    // The last piece locked. Tell the bot, unless it ended up somewhere else
+    if (turn && turn.placed !== state.piecesPlaced) {
+      if (turn.done) {
+        session.played(turn.move, state);
+      } else {
+        session.desync();
+      }
+      turn = null;
+    }
+    if (!turn) {
+      request(state);
+      return;
+    }
+    
+    const key = getPlacementKey(state.piece, state.position);
+    if (turn.steps.length === 0 || turn.steps[0].from !== key) {
+      const found = findSteps(state);
+      if (found) {
+        turn.move = found.move;
+        turn.steps = found.steps;
+      } else {
+        // Nothing the bot asked for is reachable: drop the piece and start it afresh
+        turn.move = null;
+        turn.steps = [{ action: { type: state.allowHardDrop ? 'hardDrop' : 'softDrop' }, from: key }];
+      }
+    }
+    
+    const next = turn.steps.shift();
+    turn.done = turn.move !== null && turn.steps.length === 0;
+    dispatch(next.action);
+  };
+  
+  const reset = () => {
+    generation++;
+    turn = null;
+    if (ready) session.stop();
+  };
+  
+  const close = () => {
+    generation++;
+    client.close();
+  };
+  
+  return { act, reset, close };
+};
@@ -0,0 +1,94 @@
+// The built-in AI as a TBP bot. It keeps its own copy of the board, queue and
+// hold from the frontend's messages and answers suggest with planMove's pick.
+// worker.js and tools/tbp-bot.js host it in a Web Worker and over stdio.
+import { BOARD_HEIGHT, clearLines, createPiece, getSpawnPosition } from '../engine/index.js';
+import { planMove } from '../ai/bot.js';
+import { DEFAULT_WEIGHTS } from '../ai/evaluate.js';
+import { fromTbpBoard, getLocationCells, toTbpLocation } from './protocol.js';
+
+export const TBP_BOT_INFO = {
+  type: 'info',
+  name: 'TetroMaster AI',
+  version: '1.0.0',
+  author: 'TetroMaster',
+  features: []
+};
+
+// An engine state the planner can search: the first queued piece at spawn
+const toEngineState = ({ board, queue, hold }) => {
+  const piece = createPiece(queue[0], 'modern');
+  return {
+    mode: 'modern',
+    board,
+    piece,
+    position: getSpawnPosition(piece, 'modern'),
+    queue: queue.slice(1),
+    hold: hold ? createPiece(hold, 'modern') : null,
+    holdUsed: false,
+    allowHold: true,
+    allow180: true,
+    allowHardDrop: true,
+    lastRotationKicked: false,
+    gameOver: false
+  };
+};
+
+// Apply a played move. A move for a piece other than the first queued one
+// came out of hold.
+const playMove = (game, { location }) => {
+  let { queue, hold } = game;
+  if (location.type === queue[0]) {
+    queue = queue.slice(1);
+  } else if (hold === null) {
+    hold = queue[0];
+    queue = queue.slice(2);
+  } else {
+    hold = queue[0];
+    queue = queue.slice(1);
+  }
+  
+  const board = game.board.map(row => [...row]);
+  getLocationCells(location).forEach(({ x, y }) => {
+    const row = BOARD_HEIGHT - 1 - y;
+    if (row >= 0 && row < BOARD_HEIGHT) board[row][x] = location.type;
+  });
+  return { board: clearLines(board).board, queue, hold };
+};
+
+// handle(message) returns the bot's replies (often none)
+export const createTbpBot = ({ weights = DEFAULT_WEIGHTS } = {}) => {
+  let game = null;
+  
+  const suggest = () => {
+    const plan = game && game.queue.length > 0 ? planMove(toEngineState(game), { weights }) : null;
+    return {
+      type: 'suggestion',
+      moves: plan ? [{ location: toTbpLocation(plan.piece, plan.position), spin: plan.tSpin ? 'full' : 'none' }] : []
+    };
+  };
+  
+  const handle = (message) => {
+    switch (message.type) {
+      case 'rules':
+        return [{ type: 'ready' }];
+      case 'start':
+        game = { board: fromTbpBoard(message.board), queue: [...message.queue], hold: message.hold || null };
+        return [];
+      case 'suggest':
+        return [suggest()];
+      case 'play':
+        if (game) game = playMove(game, message.move);
+        return [];
+      case 'new_piece':
+        if (game) game = { ...game, queue: [...game.queue, message.piece] };
+        return [];
+      case 'stop':
+        game = null;
+        return [];
+      default:
+        return [];
+    }
+  };
+  
+  return { handle };
+};
@@ -0,0 +1,150 @@
+// Frontend side of TBP. A transport carries message objects to and from a bot:
+// { send(message), onMessage(handler), onClose(handler), close() }. In the
+// browser that's a Web Worker; the Node runner wraps a child process's stdio.
+import {
+  DEFAULT_TBP_PREVIEWS,
+  createStartMessage,
+  getSpawnCount,
+  isTbpMessage
+} from './protocol.js';
+
+// Web Worker bots exchange message objects with postMessage
+export const createWorkerTransport = (worker) => ({
+  send: (message) => worker.postMessage(message),
+  onMessage: (handler) => worker.addEventListener('message', (event) => handler(event.data)),
+  onClose: (handler) => worker.addEventListener('error', (event) => {
+    event.preventDefault();
+    handler();
+  }),
+  close: () => worker.terminate()
+});
+
+// receive() resolves to the bot's next message, in order. It rejects if the
+// bot goes away, or takes longer than timeoutMs (0 waits forever).
+export const createTbpClient = (transport, { timeoutMs = 0 } = {}) => {
+  const inbox = [];
+  const waiting = [];
+  let closed = false;
+  
+  transport.onMessage((message) => {
+    if (!isTbpMessage(message)) return;
+    const next = waiting.shift();
+    if (next) {
+      next.resolve(message);
+    } else {
+      inbox.push(message);
+    }
+  });
+  transport.onClose(() => {
+    closed = true;
+    waiting.splice(0).forEach(next => next.reject(new Error('The bot disconnected')));
+  });
+  
+  const receive = () => {
+    if (inbox.length > 0) return Promise.resolve(inbox.shift());
+    if (closed) return Promise.reject(new Error('The bot disconnected'));
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const next = {
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+      waiting.push(next);
+      if (timeoutMs > 0) {
+        timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(next), 1);
+          reject(new Error(`The bot did not answer within ${timeoutMs}ms`));
+        }, timeoutMs);
+      }
+    });
+  };
+  
+  // Waits for the bot's info, then checks it will play by our rules.
+  // Resolves to the info message.
+  const handshake = async () => {
+    const info = await receive();
+    if (info.type !== 'info') throw new Error(`Expected info from the bot, got ${info.type}`);
+    
+    transport.send({ type: 'rules' });
+    const reply = await receive();
+    if (reply.type !== 'ready') {
+      throw new Error(`The bot rejected the rules${reply.reason ? `: ${reply.reason}` : ''}`);
+    }
+    return info;
+  };
+  
+  const close = () => {
+    if (!closed) transport.send({ type: 'quit' });
+    closed = true;
+    transport.close();
+  };
+  
+  return { send: transport.send, receive, handshake, close };
+};
+
+// Keeps a bot's picture of one game in step with the engine. The bot gets a
+// fresh start whenever its picture went stale: a new game, garbage rising, or
+// a piece that locked somewhere the bot didn't choose.
+export const createTbpSession = (client, { previews = DEFAULT_TBP_PREVIEWS } = {}) => {
+  let started = false;
+  let synced = false;
+  let revealed = 0; // pieces the bot has been shown, counting from the first spawn
+  let garbageSeen = 0;
+  
+  const start = (state) => {
+    if (started) client.send({ type: 'stop' });
+    client.send(createStartMessage(state, previews));
+    started = true;
+    synced = true;
+    revealed = getSpawnCount(state) + previews;
+    garbageSeen = state.garbageSpawned;
+  };
+  
+  // Resolves to the bot's moves for the piece in play, best first
+  const suggest = async (state) => {
+    if (!synced) start(state);
+    client.send({ type: 'suggest' });
+    const reply = await client.receive();
+    if (reply.type !== 'suggestion') {
+      throw new Error(reply.type === 'error'
+        ? `The bot failed: ${reply.reason}`
+        : `Expected a suggestion from the bot, got ${reply.type}`);
+    }
+    return Array.isArray(reply.moves) ? reply.moves : [];
+  };
+  
+  // Tell the bot its move was played, then show it the pieces that came into
+  // view. `state` is the game after the piece locked.
+  const played = (move, state) => {
+    if (!synced) return;
+    if (state.gameOver || state.garbageSpawned !== garbageSeen) {
+      synced = false;
+      return;
+    }
+    
+    client.send({ type: 'play', move });
+    const spawned = getSpawnCount(state);
+    for (; revealed < spawned + previews; revealed++) {
+      client.send({ type: 'new_piece', piece: state.queue[revealed - spawned] });
+    }
+  };
+  
+  const desync = () => {
+    synced = false;
+  };
+  
+  const stop = () => {
+    if (started) client.send({ type: 'stop' });
+    started = false;
+    synced = false;
+  };
+  
+  return { suggest, played, desync, stop };
+};
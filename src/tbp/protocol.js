@@ -0,0 +1,127 @@
+// Tetris Bot Protocol (TBP) messages and the conversions between TBP's view of
+// a game and the engine's. TBP boards are 40 rows counted up from the bottom;
+// pieces are placed by { type, orientation, x, y } where x/y is the piece's
+// centre cell. Only the modern (SRS) ruleset maps onto TBP.
+import { BOARD_WIDTH, BOARD_HEIGHT, createPiece, getSpawnPosition } from '../engine/index.js';
+import { findPlacements, getPlacementKey } from '../ai/placements.js';
+import { getPlacementSteps } from '../ai/bot.js';
+
+export const TBP_BOARD_HEIGHT = 40;
+export const TBP_ORIENTATIONS = ['north', 'east', 'south', 'west']; // engine rotation 0-3
+export const DEFAULT_TBP_PREVIEWS = 5;
+
+// Cells of each piece facing north, relative to its centre (y up)
+const NORTH_CELLS = {
+  I: [[-1, 0], [0, 0], [1, 0], [2, 0]],
+  O: [[0, 0], [1, 0], [0, 1], [1, 1]],
+  T: [[-1, 0], [0, 0], [1, 0], [0, 1]],
+  L: [[-1, 0], [0, 0], [1, 0], [1, 1]],
+  J: [[-1, 0], [0, 0], [1, 0], [-1, 1]],
+  S: [[-1, 0], [0, 0], [0, 1], [1, 1]],
+  Z: [[-1, 1], [0, 1], [0, 0], [1, 0]]
+};
+
+// Each turn clockwise maps (x, y) to (y, -x)
+const getOffsets = (type, rotation) =>
+  NORTH_CELLS[type].map(([x, y]) => {
+    let cell = { x, y };
+    for (let i = 0; i < rotation; i++) {
+      cell = { x: cell.y, y: -cell.x };
+    }
+    return cell;
+  });
+
+const getCellsKey = (cells) =>
+  cells.map(({ x, y }) => `${x},${y}`).sort().join(' ');
+
+// Cells a TBP location covers, in TBP coordinates
+export const getLocationCells = ({ type, orientation, x, y }) => {
+  const rotation = TBP_ORIENTATIONS.indexOf(orientation);
+  if (!NORTH_CELLS[type] || rotation === -1) return null;
+  return getOffsets(type, rotation).map(cell => ({ x: x + cell.x, y: y + cell.y }));
+};
+
+// Cells an engine piece covers, in TBP coordinates
+export const getPieceCells = (piece, position) => {
+  const cells = [];
+  piece.shape.forEach((row, y) => row.forEach((cell, x) => {
+    if (cell !== 0) cells.push({ x: position.x + x, y: BOARD_HEIGHT - 1 - (position.y + y) });
+  }));
+  return cells;
+};
+
+export const toTbpLocation = (piece, position) => {
+  const cells = getPieceCells(piece, position);
+  const offsets = getOffsets(piece.type, piece.rotation);
+  return {
+    type: piece.type,
+    orientation: TBP_ORIENTATIONS[piece.rotation],
+    x: Math.min(...cells.map(cell => cell.x)) - Math.min(...offsets.map(cell => cell.x)),
+    y: Math.min(...cells.map(cell => cell.y)) - Math.min(...offsets.map(cell => cell.y))
+  };
+};
+
+// Engine boards use 0 for empty, TBP uses null; both use piece letters and G
+export const toTbpBoard = (board) => {
+  const rows = [...board].reverse().map(row => row.map(cell => (cell === 0 ? null : cell)));
+  while (rows.length < TBP_BOARD_HEIGHT) {
+    rows.push(Array(BOARD_WIDTH).fill(null));
+  }
+  return rows;
+};
+
+// Rows above the engine's board are dropped
+export const fromTbpBoard = (rows) =>
+  rows.slice(0, BOARD_HEIGHT).reverse().map(row => row.map(cell => cell || 0));
+
+// Pieces taken off the queue so far; holding into an empty slot takes one extra
+export const getSpawnCount = (state) => state.piecesPlaced + 1 + (state.hold ? 1 : 0);
+
+// The bot sees the piece in play plus `previews` upcoming pieces
+export const createStartMessage = (state, previews = DEFAULT_TBP_PREVIEWS) => ({
+  type: 'start',
+  hold: state.hold ? state.hold.type : null,
+  queue: [state.piece.type, ...state.queue.slice(0, previews)],
+  combo: state.combo,
+  back_to_back: state.backToBack,
+  board: toTbpBoard(state.board)
+});
+
+export const isTbpMessage = (message) =>
+  Boolean(message) && typeof message === 'object' && typeof message.type === 'string';
+
+// The engine actions that play a TBP move from the current state, in the
+// { action, from } form the autoplayer uses, or null if the move can't be
+// reached. A move for a piece other than the one in play means hold first.
+export const findMoveSteps = (state, move) => {
+  const location = move && move.location;
+  const cells = location && getLocationCells(location);
+  if (!cells || !state.piece || state.mode === 'classic') return null;
+  
+  let { piece, position, lastRotationKicked } = state;
+  const steps = [];
+  if (location.type !== piece.type) {
+    if (!state.allowHold || state.holdUsed) return null;
+    const type = state.hold ? state.hold.type : state.queue[0];
+    if (type !== location.type) return null;
+    
+    steps.push({ action: { type: 'hold' }, from: getPlacementKey(piece, position) });
+    piece = createPiece(type, state.mode);
+    position = getSpawnPosition(piece, state.mode);
+    lastRotationKicked = false;
+  }
+  
+  const target = getCellsKey(cells);
+  const matches = findPlacements(state.board, piece, position, {
+    mode: state.mode,
+    allow180: state.allow180,
+    lastRotationKicked
+  }).filter(placement => getCellsKey(getPieceCells(placement.piece, placement.position)) === target);
+  if (matches.length === 0) return null;
+  
+  // Prefer the path that ends in a spin when the bot asked for one, and a plain
+  // one otherwise, so the engine scores the move the bot expects
+  const spin = Boolean(move.spin) && move.spin !== 'none';
+  const placement = matches.find(match => match.tSpinReady === spin) || matches[0];
+  return [...steps, ...getPlacementSteps(placement, state)];
+};
@@ -0,0 +1,13 @@
+// The built-in bot in a Web Worker, speaking TBP through postMessage
+import { createTbpBot, TBP_BOT_INFO } from './bot.js';
+
+const bot = createTbpBot();
+
+self.postMessage(TBP_BOT_INFO);
+self.addEventListener('message', (event) => {
+  if (event.data.type === 'quit') {
+    self.close();
+    return;
+  }
+  bot.handle(event.data).forEach(reply => self.postMessage(reply));
+});
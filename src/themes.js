@@ -0,0 +1,158 @@
+// Board themes: piece colours, background, grid, ghost style and block skin.
+// The built-in themes can rotate with the level or one theme can stay fixed.
+// Custom themes are kept in localStorage and shared as JSON files.
+import { TETROMINO_TYPES } from './engine/index.js';
+import { readStore, writeStore } from './storage.js';
+
+const THEMES_KEY = 'tetromaster.themes';
+
+export const THEME_FORMAT = 'tetromaster-theme';
+export const THEME_VERSION = 1;
+export const THEME_NAME_MAX_LENGTH = 20;
+
+// 'level' rotates through the built-in themes, 'fixed' keeps the chosen one
+export const THEME_MODES = ['level', 'fixed'];
+export const SKINS = ['flat', 'beveled', 'outlined', 'pixel'];
+export const GHOST_STYLES = ['dashed', 'solid', 'filled'];
+
+const BASE_THEME = {
+  background: '#1a1a1a',
+  grid: '#374151',
+  garbage: '#6b7280', // one colour on every theme
+  ghost: 'dashed',
+  skin: 'beveled'
+};
+
+export const BUILTIN_THEMES = [
+  {
+    ...BASE_THEME,
+    id: 'classic',
+    name: 'Classic NES',
+    colors: {
+      I: '#00f0f0', O: '#f0f000', T: '#a000f0', S: '#00f000',
+      Z: '#f00000', J: '#ff6600', L: '#f0a000'
+    }
+  },
+  {
+    ...BASE_THEME,
+    id: 'sunset',
+    name: 'Sunset',
+    colors: {
+      I: '#ff6b6b', O: '#ffd93d', T: '#a29bfe', S: '#55a3ff',
+      Z: '#fd79a8', J: '#ff7675', L: '#fdcb6e'
+    }
+  },
+  {
+    ...BASE_THEME,
+    id: 'ocean',
+    name: 'Ocean',
+    colors: {
+      I: '#0984e3', O: '#74b9ff', T: '#6c5ce7', S: '#00b894',
+      Z: '#00cec9', J: '#0984e3', L: '#fdcb6e'
+    }
+  },
+  {
+    ...BASE_THEME,
+    id: 'forest',
+    name: 'Forest',
+    colors: {
+      I: '#00b894', O: '#55a3ff', T: '#a29bfe', S: '#00cec9',
+      Z: '#ff7675', J: '#00b894', L: '#fdcb6e'
+    }
+  },
+  {
+    ...BASE_THEME,
+    id: 'neon',
+    name: 'Neon',
+    colors: {
+      I: '#ff0080', O: '#00ff80', T: '#8000ff', S: '#ff8000',
+      Z: '#0080ff', J: '#80ff00', L: '#ff0040'
+    }
+  }
+];
+
+export const DEFAULT_THEME = { mode: 'level', id: BUILTIN_THEMES[0].id };
+
+export const isBuiltinTheme = (id) => BUILTIN_THEMES.some(theme => theme.id === id);
+
+// Built-in themes rotate with the level; classic levels start at 0
+export const getLevelTheme = (level) =>
+  BUILTIN_THEMES[((level - 1) % BUILTIN_THEMES.length + BUILTIN_THEMES.length) % BUILTIN_THEMES.length];
+
+// Unknown ids (a deleted custom theme) fall back to the first built-in
+export const findTheme = (id, customThemes) =>
+  [...BUILTIN_THEMES, ...customThemes].find(theme => theme.id === id) || BUILTIN_THEMES[0];
+
+// The theme to draw with for a { mode, id } choice at this level
+export const getTheme = (choice, customThemes, level) =>
+  (choice.mode === 'fixed' ? findTheme(choice.id, customThemes) : getLevelTheme(level));
+
+const isColor = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+
+const isValidTheme = (theme) =>
+  !!theme &&
+  typeof theme.name === 'string' &&
+  theme.name.trim().length > 0 &&
+  theme.name.length <= THEME_NAME_MAX_LENGTH &&
+  !!theme.colors &&
+  TETROMINO_TYPES.every(type => isColor(theme.colors[type])) &&
+  ['background', 'grid', 'garbage'].every(field => isColor(theme[field])) &&
+  GHOST_STYLES.includes(theme.ghost) &&
+  SKINS.includes(theme.skin);
+
+const createThemeId = () => `custom-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+// Only the fields a theme is made of, so stray ones in a file aren't kept
+const cleanTheme = (theme, id) => ({
+  id,
+  name: theme.name.trim(),
+  colors: Object.fromEntries(TETROMINO_TYPES.map(type => [type, theme.colors[type]])),
+  background: theme.background,
+  grid: theme.grid,
+  garbage: theme.garbage,
+  ghost: theme.ghost,
+  skin: theme.skin
+});
+
+export const loadCustomThemes = () => {
+  const { themes } = readStore(THEMES_KEY);
+  return Array.isArray(themes) ? themes.filter(theme => isValidTheme(theme) && typeof theme.id === 'string') : [];
+};
+
+export const saveCustomThemes = (themes) => writeStore(THEMES_KEY, { themes });
+
+// An editable copy of any theme, named so it can be told apart
+export const copyTheme = (theme) => ({
+  ...cleanTheme(theme, createThemeId()),
+  name: `${theme.name.slice(0, THEME_NAME_MAX_LENGTH - 5)} copy`
+});
+
+export const serializeTheme = (theme) => {
+  const { id, ...fields } = cleanTheme(theme, theme.id);
+  return JSON.stringify({ format: THEME_FORMAT, version: THEME_VERSION, theme: fields }, null, 2);
+};
+
+// Reads an exported theme file into a new custom theme with its own id
+export const parseTheme = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Theme file is not valid JSON');
+  }
+  
+  if (!data || data.format !== THEME_FORMAT) {
+    throw new Error('Not a TetroMaster theme file');
+  }
+  if (data.version !== THEME_VERSION) {
+    throw new Error(`Unsupported theme version ${data.version}`);
+  }
+  if (!isValidTheme(data.theme)) {
+    throw new Error('Theme file has missing or invalid fields');
+  }
+  return cleanTheme(data.theme, createThemeId());
+};
+
+// Safe file name for an exported theme
+export const getThemeFilename = (theme) =>
+  `tetromaster-theme-${theme.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom'}.json`;
@@ -0,0 +1,124 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOARD_WIDTH,
+  BOARD_HEIGHT,
+  TETROMINO_TYPES,
+  createGame,
+  step
+} from '../src/engine/index.js';
+import { play, withPiece, countCells } from './helpers.js';
+
+test('the same seed gives the same pieces and the first seven are one whole bag', () => {
+  const first = createGame({ seed: 'bag-test' });
+  const again = createGame({ seed: 'bag-test' });
+  const other = createGame({ seed: 'another-seed' });
+  
+  const order = (game) => [game.piece.type, ...game.queue];
+  assert.deepEqual(order(again), order(first));
+  assert.notDeepEqual(order(other), order(first));
+  assert.deepEqual([...order(first).slice(0, 7)].sort(), [...TETROMINO_TYPES].sort());
+});
+
+test('step does not change the state it is given', () => {
+  const game = createGame({ seed: 'pure' });
+  const before = JSON.stringify(game);
+  play(game, [{ type: 'move', dir: -1 }, { type: 'rotate', direction: 1 }, { type: 'hardDrop' }]);
+  assert.equal(JSON.stringify(game), before);
+});
+
+test('moves shift the piece until a wall stops them', () => {
+  const game = withPiece(createGame({ seed: 'move' }), 'O');
+  const { state, events } = play(game, [{ type: 'move', dir: -1 }]);
+  assert.equal(state.position.x, game.position.x - 1);
+  assert.deepEqual(events, [{ type: 'move', dir: -1 }]);
+  
+  const atWall = play(game, Array(BOARD_WIDTH).fill({ type: 'move', dir: -1 })).state;
+  assert.equal(atWall.position.x, 0);
+  const blocked = step(atWall, { type: 'move', dir: -1 });
+  assert.equal(blocked.state.position.x, 0);
+  assert.deepEqual(blocked.events, []);
+});
+
+test('rotations turn the piece and report whether they kicked', () => {
+  const game = withPiece(createGame({ seed: 'rotate' }), 'T');
+  const { state, events } = step(game, { type: 'rotate', direction: 1 });
+  assert.equal(state.piece.rotation, 1);
+  assert.deepEqual(events, [{ type: 'rotate', direction: 1, kicked: false }]);
+  
+  const back = step(state, { type: 'rotate', direction: -1 }).state;
+  assert.deepEqual(back.piece.shape, game.piece.shape);
+});
+
+test('a hard drop locks the piece on the floor and spawns the next one', () => {
+  const game = withPiece(createGame({ seed: 'lock' }), 'O');
+  const { state, events } = step(game, { type: 'hardDrop' });
+  assert.equal(countCells(state.board), 4);
+  assert.equal(state.board[BOARD_HEIGHT - 1][game.position.x], 'O');
+  assert.equal(state.piece.type, game.queue[0]);
+  assert.ok(events.some(event => event.type === 'pieceLocked' && event.piece === 'O'));
+});
+
+test('a full row clears and scores', () => {
+  const game = withPiece(createGame({ seed: 'clear' }), 'I');
+  const board = game.board.map((row, y) => (y === BOARD_HEIGHT - 1 ? row.map((cell, x) => (x < 4 ? 0 : 'J')) : row));
+  const moves = Array(game.position.x).fill({ type: 'move', dir: -1 });
+  const { state, events } = play({ ...game, board }, [...moves, { type: 'hardDrop' }]);
+  
+  const clear = events.find(event => event.type === 'linesCleared');
+  assert.equal(clear.count, 1);
+  assert.deepEqual(clear.rows, [BOARD_HEIGHT - 1]);
+  assert.equal(state.lines, 1);
+  assert.ok(state.score > 0);
+  assert.equal(countCells(state.board), 0);
+});
+
+test('hold swaps the piece once until the next one locks', () => {
+  const game = withPiece(createGame({ seed: 'hold' }), 'T');
+  const held = step(game, { type: 'hold' });
+  assert.equal(held.state.hold.type, 'T');
+  assert.equal(held.state.piece.type, game.queue[0]);
+  assert.deepEqual(held.events, [{ type: 'hold', piece: 'T' }]);
+  const again = step(held.state, { type: 'hold' });
+  assert.deepEqual(again.events, []);
+  assert.equal(again.state.piece, held.state.piece);
+  
+  const swapped = play(held.state, [{ type: 'hardDrop' }, { type: 'hold' }]).state;
+  assert.equal(swapped.piece.type, 'T');
+  assert.equal(swapped.hold.type, held.state.queue[0]);
+  
+  const noHold = withPiece(createGame({ seed: 'hold', allowHold: false }), 'T');
+  const refused = step(noHold, { type: 'hold' });
+  assert.deepEqual(refused.events, []);
+  assert.equal(refused.state.hold, null);
+});
+
+const TICK_MS = 20;
+const isLock = (event) => event.type === 'pieceLocked';
+
+test('the lock delay locks a landed piece after 500ms of ticks', () => {
+  const landed = play(withPiece(createGame({ seed: 'delay' }), 'O'), Array(BOARD_HEIGHT).fill({ type: 'softDrop' }));
+  assert.ok(!landed.events.some(isLock));
+  
+  const ticks = Math.ceil(500 / TICK_MS);
+  const waiting = play(landed.state, Array(ticks - 1).fill({ type: 'tick', ms: TICK_MS }));
+  assert.ok(!waiting.events.some(isLock));
+  assert.ok(step(waiting.state, { type: 'tick', ms: TICK_MS }).events.some(isLock));
+});
+
+test('a piece kicked up and pulled back down still locks once its resets are used up', () => {
+  // A 180° spin of an S on the floor kicks it up a row and gravity pulls it
+  // straight back; that fall must not restart the lock delay
+  let state = play(withPiece(createGame({ seed: 'reset-cap' }), 'S'), Array(BOARD_HEIGHT).fill({ type: 'softDrop' })).state;
+  
+  let spins = 0;
+  let locked = false;
+  while (!locked && spins < 200) {
+    const result = play(state, [{ type: 'rotate', direction: 2 }, { type: 'gravity' }, { type: 'tick', ms: TICK_MS }]);
+    state = result.state;
+    locked = result.events.some(isLock);
+    spins++;
+  }
+  assert.ok(locked);
+  assert.ok(spins <= 15 + Math.ceil(500 / TICK_MS));
+});
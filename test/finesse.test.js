@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createDrill,
+  createPiece,
+  getSpawnPosition,
+  rotatePiece,
+  findFinessePath,
+  getFinesseTargets,
+  getFinessePercent
+} from '../src/engine/index.js';
+import { play } from './helpers.js';
+
+const spawn = (type) => {
+  const piece = createPiece(type);
+  return { piece, position: getSpawnPosition(piece) };
+};
+
+// The spot `type` reaches after turning `direction` and moving `dx` columns
+const spot = (type, dx, direction = 0) => {
+  const { piece, position } = spawn(type);
+  return { piece: direction ? rotatePiece(piece, direction) : piece, position: { x: position.x + dx, y: position.y } };
+};
+
+const tap = (dir) => ({ type: 'move', dir });
+const das = (dir) => [tap(dir), ...Array(9).fill({ type: 'move', dir, repeat: true })];
+
+test('known placements take the fewest presses, a DAS slide counting as one', () => {
+  const cases = [
+    { name: 'O where it spawns', target: spot('O', 0), path: [] },
+    { name: 'O one column left', target: spot('O', -1), path: ['left'] },
+    { name: 'O against the left wall', target: spot('O', -4), path: ['dasLeft'] },
+    { name: 'O against the right wall', target: spot('O', 4), path: ['dasRight'] },
+    { name: 'O one off the left wall', target: spot('O', -3), path: ['dasLeft', 'right'] },
+    { name: 'T turned clockwise', target: spot('T', 0, 1), path: ['cw'] },
+    { name: 'T turned counter-clockwise', target: spot('T', 0, -1), path: ['ccw'] },
+    { name: 'I upright against the left wall', target: spot('I', -5, 1), path: ['cw', 'dasLeft'] }
+  ];
+  cases.forEach(({ name, target, path }) => {
+    assert.deepEqual(findFinessePath(spawn(target.piece.type), target), path, name);
+  });
+});
+
+test('a 180 is one press only where 180 rotation is allowed', () => {
+  const flipped = spot('T', 0, 2);
+  assert.deepEqual(findFinessePath(spawn('T'), flipped, { allow180: true }), ['rotate180']);
+  assert.deepEqual(findFinessePath(spawn('T'), flipped, { allow180: false }), ['cw', 'cw']);
+});
+
+test('every spot an O can drop into is found once, none more than two presses away', () => {
+  const targets = getFinesseTargets(spawn('O'));
+  assert.equal(targets.length, 9);
+  assert.deepEqual(targets.map(target => target.position.x).sort((a, b) => a - b), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+  const counts = [0, 1, 2].map(length => targets.filter(target => target.path.length === length).length);
+  assert.deepEqual(counts, [1, 4, 4]);
+});
+
+test('a drop placed in the fewest presses is not a fault', () => {
+  const { state, events } = play(createDrill('O'), [...das(-1), { type: 'hardDrop' }]);
+  assert.ok(!events.some(event => event.type === 'finesseFault'));
+  assert.equal(state.finessePieces, 1);
+  assert.equal(state.finesseFaults, 0);
+  assert.equal(getFinessePercent(state), 100);
+});
+
+test('tapping where a DAS would do, or an extra tap before the drop, is a fault', () => {
+  const tapped = play(createDrill('O'), [tap(-1), tap(-1), tap(-1), tap(-1), { type: 'hardDrop' }]);
+  const fault = tapped.events.find(event => event.type === 'finesseFault');
+  assert.equal(fault.inputs, 4);
+  assert.equal(fault.optimal, 1);
+  assert.deepEqual(fault.path, ['dasLeft']);
+  
+  // A tap into the wall doesn't move the piece but is still a press
+  const extra = play(createDrill('O'), [...das(-1), tap(-1), { type: 'hardDrop' }]);
+  assert.equal(extra.state.finesseFaults, 1);
+  assert.equal(getFinessePercent(extra.state), 0);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, createPiece, getSpawnPosition, step } from '../src/engine/index.js';
+import { createInputHandler } from '../src/input/handling.js';
+import { countCells } from './helpers.js';
+
+const FRAME_MS = 1000 / 60;
+
+// A handler driving a real game, counting what it dispatches
+const setup = (handling, type = 'O') => {
+  const game = createGame({ seed: 'handling' });
+  const piece = createPiece(type, game.mode);
+  const run = { state: { ...game, piece, position: getSpawnPosition(piece, game.mode) }, actions: [] };
+  run.input = createInputHandler({
+    dispatch: (action) => {
+      run.actions.push(action);
+      const { state, events } = step(run.state, action);
+      run.state = state;
+      return events;
+    },
+    getFallTime: () => run.state.fallTime,
+    getPiece: () => run.state,
+    handling
+  });
+  return run;
+};
+
+// Leftmost and rightmost board columns the active piece covers
+const getColumns = ({ piece, position }) => {
+  const columns = piece.shape.flatMap(row => row.map((cell, x) => (cell ? position.x + x : null)))
+    .filter(x => x !== null);
+  return [Math.min(...columns), Math.max(...columns)];
+};
+
+const frames = (run, from, count) => {
+  for (let i = 1; i <= count; i++) run.input.update(from + i * FRAME_MS);
+  return from + count * FRAME_MS;
+};
+
+test('with ARR 0 a held key slides to the wall and then stops dispatching', () => {
+  const run = setup({ das: 100, arr: 0 }, 'T');
+  run.input.press('left', 0);
+  let now = frames(run, 0, 10);
+  assert.equal(getColumns(run.state)[0], 0);
+  
+  const sent = run.actions.length;
+  now = frames(run, now, 60);
+  assert.equal(run.actions.length, sent);
+  
+  // Turned upright the T stands off the wall, and the held key takes it back
+  run.state = step(run.state, { type: 'rotate', direction: 1 }).state;
+  assert.equal(getColumns(run.state)[0], 1);
+  frames(run, now, 1);
+  assert.ok(run.actions.length > sent);
+  assert.equal(getColumns(run.state)[0], 0);
+});
+
+test('a blocked shift waits for the next piece and then moves it', () => {
+  const run = setup({ das: 100, arr: 0 });
+  run.input.press('right', 0);
+  const now = frames(run, 0, 10);
+  const sent = run.actions.length;
+  
+  run.state = step(run.state, { type: 'hardDrop' }).state;
+  frames(run, now, 1);
+  assert.ok(run.actions.length > sent);
+  assert.equal(countCells(run.state.board), 4);
+  assert.equal(getColumns(run.state)[1], 9);
+});
+
+test('instant soft drop stops dispatching once the piece lands', () => {
+  const run = setup({ sdf: Infinity });
+  run.input.press('softDrop', 0);
+  const now = frames(run, 0, 1);
+  assert.equal(countCells(run.state.board), 0);
+  
+  const sent = run.actions.length;
+  frames(run, now, 20);
+  assert.equal(run.actions.length, sent);
+  assert.ok(run.actions.filter(action => action.type === 'softDrop').length < 25);
+});
@@ -0,0 +1,17 @@
+// Shared by the engine checks. Games come from fixed seeds, so a failure
+// always reproduces.
+import { createPiece, getSpawnPosition, step } from '../src/engine/index.js';
+
+// Apply actions in order and collect every event
+export const play = (state, actions) => actions.reduce(({ state: current, events }, action) => {
+  const result = step(current, action);
+  return { state: result.state, events: [...events, ...result.events] };
+}, { state, events: [] });
+
+// A game whose active piece is `type` at its spawn position
+export const withPiece = (game, type) => {
+  const piece = createPiece(type, game.mode);
+  return { ...game, piece, position: getSpawnPosition(piece, game.mode), lowestY: 0 };
+};
+
+export const countCells = (board) => board.flat().filter(cell => cell !== 0).length;
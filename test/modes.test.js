@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOARD_WIDTH,
+  BOARD_HEIGHT,
+  FRAME_MS,
+  GARBAGE_CELL,
+  createGame,
+  createGarbageRows,
+  countGarbageRows,
+  hashSeed,
+  createPiece,
+  rotatePiece,
+  step
+} from '../src/engine/index.js';
+import { play } from './helpers.js';
+
+const ticks = (state, count) => play(state, Array(count).fill({ type: 'tick', ms: FRAME_MS }));
+
+// Swap in four full rows but for the left column, with an upright I over the gap
+const setUpTetris = (state) => ({
+  ...state,
+  board: state.board.map((row, y) => (y >= BOARD_HEIGHT - 4 ? row.map((cell, x) => (x === 0 ? 0 : 'L')) : row.map(() => 0))),
+  piece: rotatePiece(createPiece('I'), 1),
+  position: { x: -2, y: 0 }
+});
+
+test('sprint takes a split every 10 lines and finishes on the target, timed in game ticks', () => {
+  let state = createGame({ gameType: 'sprint', targetLines: 20, seed: 'sprint' });
+  const splits = [];
+  let finished = null;
+  for (let round = 1; round <= 5; round++) {
+    state = ticks(state, 60).state;
+    const result = step(setUpTetris(state), { type: 'hardDrop' });
+    state = result.state;
+    splits.push(...result.events.filter(event => event.type === 'split'));
+    finished = result.events.find(event => event.type === 'finished') || finished;
+    assert.equal(state.lines, round * 4);
+  }
+  
+  // 8 -> 12 lines crosses the 10 line mark on the third drop, after 180 ticks
+  assert.deepEqual(splits, [
+    { type: 'split', lines: 10, time: 180 * FRAME_MS },
+    { type: 'split', lines: 20, time: 300 * FRAME_MS }
+  ]);
+  assert.deepEqual(state.splits, splits.map(({ lines, time }) => ({ lines, time })));
+  assert.equal(finished.time, 300 * FRAME_MS);
+  assert.equal(state.finished, true);
+  assert.equal(state.gameOver, true);
+  assert.equal(state.piece, null);
+});
+
+test('sprint stops short of the target without finishing', () => {
+  let state = createGame({ gameType: 'sprint', targetLines: 40, seed: 'sprint-short' });
+  for (let round = 0; round < 5; round++) {
+    state = step(setUpTetris(state), { type: 'hardDrop' }).state;
+  }
+  assert.equal(state.lines, 20);
+  assert.equal(state.finished, false);
+  assert.ok(state.piece);
+});
+
+test('ultra ends exactly at its time limit and ignores ticks after that', () => {
+  const timeLimit = 12000;
+  const limitTicks = Math.round(timeLimit / FRAME_MS);
+  let { state, events } = ticks(createGame({ gameType: 'ultra', timeLimit, seed: 'ultra' }), limitTicks - 1);
+  assert.equal(state.gameOver, false);
+  assert.deepEqual(events.filter(event => event.type === 'timeWarning').map(event => event.secondsLeft),
+    [10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+  
+  const last = step(state, { type: 'tick', ms: FRAME_MS });
+  assert.deepEqual(last.events, [{ type: 'finished', time: timeLimit }]);
+  assert.equal(last.state.finished, true);
+  assert.equal(last.state.gameOver, true);
+  assert.equal(last.state.piece, null);
+  
+  const after = step(last.state, { type: 'tick', ms: FRAME_MS });
+  assert.equal(after.state, last.state);
+  assert.deepEqual(after.events, []);
+});
+
+test('garbage rows have exactly one hole and come out the same for the same seed', () => {
+  const first = createGarbageRows(12, null, 0.5, hashSeed('garbage'));
+  const again = createGarbageRows(12, null, 0.5, hashSeed('garbage'));
+  assert.deepEqual(again, first);
+  assert.equal(first.rows.length, 12);
+  first.rows.forEach(row => {
+    assert.equal(row.length, BOARD_WIDTH);
+    assert.equal(row.filter(cell => cell === 0).length, 1);
+    assert.equal(row.filter(cell => cell === GARBAGE_CELL).length, BOARD_WIDTH - 1);
+  });
+  assert.equal(first.hole, first.rows[first.rows.length - 1].indexOf(0));
+  assert.notDeepEqual(createGarbageRows(12, null, 0.5, hashSeed('other')).rows, first.rows);
+});
+
+test('messiness decides how often the hole moves', () => {
+  const holes = (messiness) => createGarbageRows(10, 3, messiness, hashSeed('messy')).rows.map(row => row.indexOf(0));
+  assert.deepEqual(holes(0), Array(10).fill(3));
+  const moving = holes(1);
+  moving.forEach((hole, i) => assert.notEqual(hole, i === 0 ? 3 : moving[i - 1]));
+});
+
+test('dig starts on its garbage and adds a row under the stack as pieces lock', () => {
+  const game = createGame({ gameType: 'dig', targetLines: 18, garbageEvery: 1, seed: 'dig' });
+  assert.equal(countGarbageRows(game.board), 10);
+  
+  const { state, events } = step(game, { type: 'hardDrop' });
+  assert.ok(events.some(event => event.type === 'garbageAdded' && event.count === 1));
+  assert.equal(state.gameOver, false);
+  assert.equal(countGarbageRows(state.board), 11);
+});
+
+test('a garbage row after a clearing lock lifts the stack, not the piece that locked', () => {
+  // An upright I dropped down the left column clears the bottom row; the row
+  // above it keeps a second gap
+  const game = createGame({ gameType: 'dig', targetLines: 18, garbageEvery: 1, initialGarbage: 0, seed: 'dig-clear' });
+  const board = game.board.map((row, y) => {
+    if (y === BOARD_HEIGHT - 1) return row.map((cell, x) => (x === 0 ? 0 : GARBAGE_CELL));
+    if (y === BOARD_HEIGHT - 2) return row.map((cell, x) => (x === 0 || x === 5 ? 0 : GARBAGE_CELL));
+    return row;
+  });
+  const dropped = { ...game, board, piece: rotatePiece(createPiece('I'), 1), position: { x: -2, y: 0 } };
+  
+  const { state, events } = step(dropped, { type: 'hardDrop' });
+  assert.equal(events.find(event => event.type === 'linesCleared').count, 1);
+  assert.ok(events.some(event => event.type === 'garbageAdded'));
+  assert.ok(!events.some(event => event.type === 'topOut'));
+  assert.equal(state.gameOver, false);
+  assert.ok(state.piece);
+  assert.equal(countGarbageRows(state.board), 2);
+});
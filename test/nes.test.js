@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOARD_WIDTH,
+  BOARD_HEIGHT,
+  FRAME_MS,
+  createGame,
+  step,
+  getFallTime,
+  getNesLevel,
+  calculateNesScore,
+  getOtherRuleset,
+  getFirstLevel
+} from '../src/engine/index.js';
+import { play, withPiece } from './helpers.js';
+
+test('the mode key flips between the rulesets and each starts at its first level', () => {
+  // Two presses, applied the way the game screen applies them
+  let mode = 'modern';
+  const levels = [];
+  for (let press = 0; press < 2; press++) {
+    mode = getOtherRuleset(mode);
+    levels.push(getFirstLevel(mode));
+  }
+  assert.equal(mode, 'modern');
+  assert.deepEqual(levels, [0, 1]);
+  assert.equal(createGame({ mode: 'classic', seed: 'nes-level' }).level, 0);
+  assert.equal(createGame({ seed: 'nes-level' }).level, 1);
+});
+
+test('classic games have no hold', () => {
+  const classic = createGame({ mode: 'classic', seed: 'nes-hold' });
+  assert.equal(classic.allowHold, false);
+  const { state, events } = step(classic, { type: 'hold' });
+  assert.equal(state.hold, null);
+  assert.deepEqual(events, []);
+  assert.equal(createGame({ seed: 'nes-hold' }).allowHold, true);
+});
+
+test('classic scores and levels follow the NES tables', () => {
+  assert.equal(calculateNesScore(1, 0), 40);
+  assert.equal(calculateNesScore(4, 0), 1200);
+  assert.equal(calculateNesScore(4, 9), 12000);
+  
+  // First level-up after 10 lines from 0, 100 from 9 and 140 from 19; then every 10
+  assert.equal(getNesLevel(0, 9), 0);
+  assert.equal(getNesLevel(0, 10), 1);
+  assert.equal(getNesLevel(9, 99), 9);
+  assert.equal(getNesLevel(9, 100), 10);
+  assert.equal(getNesLevel(19, 139), 19);
+  assert.equal(getNesLevel(19, 150), 21);
+  
+  // Frames per row: 48 at level 0, 6 at 9, 2 from 19 and 1 from 29
+  assert.equal(getFallTime(0, 'classic'), 48 * FRAME_MS);
+  assert.equal(getFallTime(9, 'classic'), 6 * FRAME_MS);
+  assert.equal(getFallTime(19, 'classic'), 2 * FRAME_MS);
+  assert.equal(getFallTime(29, 'classic'), FRAME_MS);
+});
+
+test('a classic Tetris scores 1200 x (level + 1) and a piece locks as it lands', () => {
+  const game = withPiece(createGame({ mode: 'classic', startLevel: 5, seed: 'nes-tetris' }), 'I');
+  const board = game.board.map((row, y) => (y >= BOARD_HEIGHT - 4 ? row.map((cell, x) => (x === 0 ? 0 : 'L')) : row));
+  // Stand the I up, take it to the left wall and let gravity bring it down
+  let state = play({ ...game, board }, [{ type: 'rotate', direction: 1 }]).state;
+  state = play(state, Array(BOARD_WIDTH).fill({ type: 'move', dir: -1 })).state;
+  
+  const events = [];
+  while (state.piecesPlaced === 0) {
+    const result = step(state, { type: 'gravity' });
+    state = result.state;
+    events.push(...result.events);
+  }
+  const clear = events.find(event => event.type === 'linesCleared');
+  assert.equal(clear.count, 4);
+  assert.equal(state.score, 1200 * 6);
+  assert.equal(state.lines, 4);
+});
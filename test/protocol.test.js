@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, GARBAGE_CELL } from '../src/engine/index.js';
+import {
+  MAX_ATTACK_LINES,
+  createSnapshot,
+  decodeMessage,
+  encodeMessage,
+  parseAttack,
+  parseSnapshot
+} from '../src/net/protocol.js';
+
+// A snapshot as it arrives from the other player
+const receive = (snapshot) => decodeMessage(encodeMessage('state', snapshot));
+
+const snapshot = () => {
+  const game = createGame({ seed: 'protocol' });
+  const board = game.board.map((row, y) => (y === game.board.length - 1 ? row.map(() => GARBAGE_CELL) : row));
+  return createSnapshot({ ...game, board, score: 1500, lines: 12 }, { incoming: 3, sent: 7 });
+};
+
+test('a snapshot survives the trip and decodes to the board that was sent', () => {
+  const game = createGame({ seed: 'protocol' });
+  const parsed = parseSnapshot(receive(createSnapshot(game, { incoming: 0, sent: 0 })));
+  assert.deepEqual(parsed.board, game.board);
+  assert.deepEqual(parsed.piece, { type: game.piece.type, shape: game.piece.shape });
+  assert.deepEqual(parsed.position, game.position);
+  
+  const withGarbage = parseSnapshot(receive(snapshot()));
+  assert.equal(withGarbage.score, 1500);
+  assert.ok(withGarbage.board[withGarbage.board.length - 1].every(cell => cell === GARBAGE_CELL));
+  assert.notEqual(parseSnapshot(receive({ ...snapshot(), piece: null })), null);
+});
+
+test('malformed snapshots are dropped', () => {
+  const good = snapshot();
+  const bad = [
+    { board: undefined },
+    { board: good.board.slice(1) },
+    { board: [...good.board.slice(1), '..........X'] },
+    { board: [...good.board.slice(1), '....'] },
+    { board: [...good.board.slice(1), 42] },
+    { score: undefined },
+    { score: '1500' },
+    { lines: -1 },
+    { incoming: Infinity },
+    { sent: null },
+    { piece: { type: 'Q', shape: [[1]] } },
+    { piece: { type: 'T', shape: 'T' } },
+    { piece: { type: 'T', shape: [[2]] } },
+    { position: null },
+    { position: { x: '3', y: 0 } }
+  ];
+  bad.forEach(fields => {
+    assert.equal(parseSnapshot(receive({ ...good, ...fields })), null, JSON.stringify(fields));
+  });
+});
+
+test('an attack has to be a whole number of lines a clear could send', () => {
+  assert.equal(parseAttack({ lines: 4 }), 4);
+  assert.equal(parseAttack({ lines: MAX_ATTACK_LINES }), MAX_ATTACK_LINES);
+  [0, -2, 1.5, '4', null, undefined, NaN, MAX_ATTACK_LINES + 1, 1e9].forEach(lines => {
+    assert.equal(parseAttack({ lines }), null, String(lines));
+  });
+});
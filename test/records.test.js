@@ -0,0 +1,73 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LEADERBOARD_FORMAT,
+  LEADERBOARD_VERSION,
+  getLeaderboardId,
+  importLeaderboards,
+  loadLeaderboard,
+  serializeLeaderboards
+} from '../src/records.js';
+
+// An in-memory stand-in for the browser's localStorage
+const items = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => items.set(key, String(value))
+};
+
+beforeEach(() => items.clear());
+
+const entry = (name, score, time) => ({
+  name, score, lines: 40, level: 5, time, date: `2024-01-0${score % 9 + 1}T00:00:00.000Z`, seed: 'abc'
+});
+
+const file = (leaderboards) =>
+  JSON.stringify({ format: LEADERBOARD_FORMAT, version: LEADERBOARD_VERSION, leaderboards });
+
+test('leaderboard ids name the game type, goal and ruleset', () => {
+  assert.equal(getLeaderboardId({ gameType: 'marathon', mode: 'modern' }), 'marathon-modern');
+  assert.equal(getLeaderboardId({ gameType: 'sprint', mode: 'classic', targetLines: 40 }), 'sprint-40-classic');
+  assert.equal(getLeaderboardId({ gameType: 'ultra', mode: 'modern', timeLimit: 120000 }), 'ultra-120-modern');
+  assert.equal(getLeaderboardId({ gameType: 'dig', mode: 'modern', targetLines: 18 }), 'dig-18-modern');
+});
+
+test('an import merges into the stored tables and survives an export', () => {
+  assert.equal(importLeaderboards(file({ 'marathon-modern': [entry('ALICE', 5000, 90000)] })), 1);
+  assert.equal(importLeaderboards(file({
+    'marathon-modern': [entry('ALICE', 5000, 90000), entry('BOB', 8000, 80000)],
+    'sprint-40-classic': [entry('CAROL', 100, 60000)]
+  })), 2);
+
+  assert.deepEqual(loadLeaderboard('marathon-modern').map(({ name }) => name), ['BOB', 'ALICE']);
+  assert.equal(loadLeaderboard('sprint-40-classic').length, 1);
+
+  const exported = serializeLeaderboards();
+  items.clear();
+  assert.equal(importLeaderboards(exported), 3);
+});
+
+test('tables with ids that aren\'t leaderboards are rejected', () => {
+  const unknown = ['sprint-41-modern', 'marathon-hard', 'ultra-120000-modern', '__proto__', 'zen-modern'];
+  unknown.forEach(id => {
+    assert.throws(
+      () => importLeaderboards(file({ 'marathon-modern': [entry('ALICE', 5000, 90000)], [id]: [] })),
+      /unknown tables/,
+      id
+    );
+  });
+  assert.deepEqual(loadLeaderboard('marathon-modern'), []);
+});
+
+test('files that aren\'t leaderboard exports are rejected', () => {
+  assert.throws(() => importLeaderboards('{'), /not valid JSON/);
+  assert.throws(() => importLeaderboards(JSON.stringify({ format: 'tetromaster-theme' })), /Not a TetroMaster leaderboard file/);
+  assert.throws(() => importLeaderboards(file({ 'marathon-modern': [{ name: 'ALICE' }] })), /invalid entries/);
+});
+
+test('imported names follow the same length rule as name entry', () => {
+  ['', 'AB', '   AB   ', 'ABCDEFGHIJK'].forEach(name => {
+    assert.throws(() => importLeaderboards(file({ 'marathon-modern': [entry(name, 5000, 90000)] })), /invalid entries/, name);
+  });
+  assert.equal(importLeaderboards(file({ 'marathon-modern': [entry('ABC', 5000, 90000), entry('ABCDEFGHIJ', 10, 1)] })), 2);
+});
@@ -0,0 +1,119 @@
+// Relay checks over a raw TCP socket, so malformed frames can be sent too
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { once } from 'node:events';
+import { createRelayServer } from '../server/relay.js';
+
+let server;
+let port;
+const sockets = []; // closed at the end even when a check fails midway
+
+before(async () => {
+  server = createRelayServer();
+  server.listen(0);
+  await once(server, 'listening');
+  port = server.address().port;
+});
+
+after(() => {
+  sockets.forEach(socket => socket.destroy());
+  server.close();
+});
+
+// A client frame; masked unless told otherwise, as browsers always do
+const encodeFrame = (opcode, payload, { fin = true, masked = true } = {}) => {
+  const header = payload.length < 126 ? Buffer.from([0, payload.length]) : Buffer.alloc(4);
+  if (payload.length >= 126) {
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  if (!masked) return Buffer.concat([header, payload]);
+  
+  header[1] |= 0x80;
+  const mask = Buffer.from([1, 2, 3, 4]);
+  return Buffer.concat([header, mask, Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]))]);
+};
+
+// Completes the handshake, then hands back the socket and a function that
+// waits for the server's next frame as { opcode, payload }. Like a browser, it
+// sends nothing more until the server has switched protocols.
+const openSocket = async () => {
+  const socket = connect(port);
+  sockets.push(socket);
+  await once(socket, 'connect');
+  socket.write([
+    'GET / HTTP/1.1',
+    'Host: localhost',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+    'Sec-WebSocket-Version: 13',
+    '',
+    ''
+  ].join('\r\n'));
+  
+  let buffered = Buffer.alloc(0);
+  let handshaken = false;
+  let onHandshake;
+  const handshake = new Promise(resolve => {
+    onHandshake = resolve;
+  });
+  const waiting = [];
+  const frames = [];
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    if (!handshaken) {
+      const end = buffered.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      handshaken = true;
+      buffered = buffered.subarray(end + 4);
+      onHandshake();
+    }
+    // Server frames here are all short and unmasked
+    while (buffered.length >= 2 && buffered.length >= 2 + buffered[1]) {
+      frames.push({ opcode: buffered[0] & 0x0f, payload: buffered.subarray(2, 2 + buffered[1]) });
+      buffered = buffered.subarray(2 + buffered[1]);
+    }
+    while (waiting.length > 0 && frames.length > 0) waiting.shift()(frames.shift());
+  });
+  
+  const nextFrame = () => new Promise(resolve => {
+    if (frames.length > 0) resolve(frames.shift());
+    else waiting.push(resolve);
+  });
+  await handshake;
+  return { socket, nextFrame };
+};
+
+const CLOSE = 0x8;
+const getCloseCode = (frame) => frame.payload.readUInt16BE(0);
+
+test('a masked message gets an answer', { timeout: 5000 }, async () => {
+  const { socket, nextFrame } = await openSocket();
+  socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'create', version: 1 }))));
+  const frame = await nextFrame();
+  assert.equal(JSON.parse(frame.payload.toString()).type, 'created');
+  socket.destroy();
+});
+
+test('an unmasked client frame closes the connection with 1002', { timeout: 5000 }, async () => {
+  const { socket, nextFrame } = await openSocket();
+  socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'create', version: 1 })), { masked: false }));
+  const frame = await nextFrame();
+  assert.equal(frame.opcode, CLOSE);
+  assert.equal(getCloseCode(frame), 1002);
+  socket.destroy();
+});
+
+test('fragments adding up to more than 64 KB close the connection with 1009', { timeout: 5000 }, async () => {
+  const { socket, nextFrame } = await openSocket();
+  const chunk = Buffer.alloc(1000, 0x20);
+  socket.write(encodeFrame(0x1, chunk, { fin: false }));
+  for (let i = 0; i < 70; i++) socket.write(encodeFrame(0x0, chunk, { fin: false }));
+  const frame = await nextFrame();
+  assert.equal(frame.opcode, CLOSE);
+  assert.equal(getCloseCode(frame), 1009);
+  socket.destroy();
+});
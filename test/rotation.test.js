@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOARD_WIDTH,
+  BOARD_HEIGHT,
+  createEmptyBoard,
+  createGame,
+  createPiece,
+  rotatePiece,
+  tryRotateWithKicks,
+  step
+} from '../src/engine/index.js';
+import { play } from './helpers.js';
+
+// A piece turned clockwise from spawn to the given rotation state
+const turned = (type, rotation) => {
+  let piece = createPiece(type);
+  for (let i = 0; i < rotation; i++) piece = rotatePiece(piece, 1);
+  return piece;
+};
+
+test('rotating clockwise, counter-clockwise and 180 lands on the matching state', () => {
+  const t = createPiece('T');
+  assert.equal(rotatePiece(t, 1).rotation, 1);
+  assert.equal(rotatePiece(t, -1).rotation, 3);
+  assert.equal(rotatePiece(t, 2).rotation, 2);
+  assert.deepEqual(rotatePiece(t, -1).shape, turned('T', 3).shape);
+  assert.deepEqual(rotatePiece(t, 2).shape, turned('T', 2).shape);
+  assert.deepEqual(rotatePiece(rotatePiece(t, 2), 2).shape, t.shape);
+});
+
+// Pieces standing against a wall on an empty board, mid-height. x is where
+// the rotation would leave the piece without a kick, so each one has to kick.
+const WALL_KICKS = [
+  { name: 'T clockwise off the left wall', type: 'T', from: 1, direction: 1, x: -1, kickedX: 0 },
+  { name: 'T clockwise off the right wall', type: 'T', from: 3, direction: 1, x: 8, kickedX: 7 },
+  { name: 'T counter-clockwise off the left wall', type: 'T', from: 1, direction: -1, x: -1, kickedX: 0 },
+  { name: 'T counter-clockwise off the right wall', type: 'T', from: 3, direction: -1, x: 8, kickedX: 7 },
+  { name: 'T 180 off the left wall', type: 'T', from: 1, direction: 2, x: -1, kickedX: 0 },
+  { name: 'T 180 off the right wall', type: 'T', from: 3, direction: 2, x: 8, kickedX: 7 },
+  { name: 'I clockwise off the left wall', type: 'I', from: 3, direction: 1, x: -1, kickedX: 0 },
+  { name: 'I clockwise off the right wall', type: 'I', from: 1, direction: 1, x: 7, kickedX: 6 },
+  { name: 'I counter-clockwise off the left wall', type: 'I', from: 3, direction: -1, x: -1, kickedX: 0 },
+  { name: 'I counter-clockwise off the right wall', type: 'I', from: 1, direction: -1, x: 7, kickedX: 6 },
+  { name: 'I 180 off the left wall', type: 'I', from: 1, direction: 2, x: -2, kickedX: -1 }
+];
+
+WALL_KICKS.forEach(({ name, type, from, direction, x, kickedX }) => {
+  test(`wall kick: ${name}`, () => {
+    const board = createEmptyBoard();
+    const piece = turned(type, from);
+    const result = tryRotateWithKicks(board, piece, { x, y: 8 }, 'modern', direction);
+    assert.equal(result.wasKicked, true);
+    assert.deepEqual(result.position, { x: kickedX, y: 8 });
+    assert.equal(result.piece.rotation, (from + direction + 4) % 4);
+  });
+});
+
+test('an I flipped 180 on the floor kicks up a row', () => {
+  const board = createEmptyBoard();
+  const result = tryRotateWithKicks(board, createPiece('I'), { x: 3, y: BOARD_HEIGHT - 2 }, 'modern', 2);
+  assert.equal(result.wasKicked, true);
+  assert.deepEqual(result.position, { x: 3, y: BOARD_HEIGHT - 3 });
+});
+
+test('a rotation with nowhere to go fails', () => {
+  // An I lying in a one-row gap can't stand up
+  const board = createEmptyBoard().map((row, y) => (y === BOARD_HEIGHT - 1 ? row : row.map(() => 'Z')));
+  assert.equal(tryRotateWithKicks(board, createPiece('I'), { x: 3, y: BOARD_HEIGHT - 2 }, 'modern', 1), null);
+});
+
+test('a T kicked two rows down into its slot scores a T-spin triple', () => {
+  // Rows 15-19 are full apart from the T above (rows 15-16) and the upright
+  // slot under it (rows 17-19). Only the last 0->1 kick, one left and two
+  // down, fits.
+  const above = [[5, 15], [4, 16], [5, 16], [6, 16]];
+  const slot = [[4, 17], [4, 18], [5, 18], [4, 19]];
+  const open = new Set([...above, ...slot].map(([x, y]) => `${x},${y}`));
+  const board = createEmptyBoard().map((row, y) =>
+    row.map((cell, x) => (y >= 15 && !open.has(`${x},${y}`) ? 'L' : cell)));
+  
+  const kicked = tryRotateWithKicks(board, createPiece('T'), { x: 4, y: 15 }, 'modern', 1);
+  assert.deepEqual(kicked.position, { x: 3, y: 17 });
+  
+  const game = { ...createGame({ seed: 'tst' }), board, piece: createPiece('T'), position: { x: 4, y: 15 } };
+  const { state, events } = play(game, [{ type: 'rotate', direction: 1 }, { type: 'hardDrop' }]);
+  const clear = events.find(event => event.type === 'linesCleared');
+  assert.equal(clear.count, 3);
+  assert.equal(clear.tSpinType, 'triple');
+  // Rows 15-16 come down with the four cells the T passed through still open
+  assert.equal(state.board.flat().filter(cell => cell !== 0).length, 2 * BOARD_WIDTH - 4);
+});
+
+test('180 rotation only works where it is allowed', () => {
+  const game = { ...createGame({ seed: 'no-180', allow180: false }), piece: createPiece('T'), position: { x: 3, y: 5 } };
+  assert.deepEqual(step(game, { type: 'rotate', direction: 2 }).events, []);
+  const allowed = { ...game, allow180: true };
+  assert.equal(step(allowed, { type: 'rotate', direction: 2 }).state.piece.rotation, 2);
+});
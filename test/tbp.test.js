@@ -0,0 +1,87 @@
+// TBP coordinate checks: TBP counts rows up from the bottom and places pieces
+// by their centre cell, the engine counts down from the top by bounding box
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOARD_HEIGHT,
+  TETROMINO_TYPES,
+  createGame,
+  createPiece,
+  getSpawnPosition,
+  rotatePiece,
+  step
+} from '../src/engine/index.js';
+import {
+  TBP_BOARD_HEIGHT,
+  getLocationCells,
+  getPieceCells,
+  toTbpLocation,
+  toTbpBoard,
+  fromTbpBoard,
+  findMoveSteps
+} from '../src/tbp/protocol.js';
+
+const sortCells = (cells) => [...cells].sort((a, b) => a.x - b.x || a.y - b.y);
+
+test('spawned pieces map to the TBP centre cell', () => {
+  const at = (type) => {
+    const piece = createPiece(type);
+    return toTbpLocation(piece, getSpawnPosition(piece));
+  };
+  // Spawn rows are the second and third from the top: TBP rows 18 and 19
+  assert.deepEqual(at('T'), { type: 'T', orientation: 'north', x: 5, y: 18 });
+  assert.deepEqual(at('I'), { type: 'I', orientation: 'north', x: 4, y: 18 });
+  assert.deepEqual(at('O'), { type: 'O', orientation: 'north', x: 4, y: 18 });
+});
+
+test('every piece and orientation covers the same cells in both systems', () => {
+  TETROMINO_TYPES.forEach(type => {
+    let piece = createPiece(type);
+    for (let rotation = 0; rotation < 4; rotation++) {
+      const position = { x: 3, y: 10 };
+      const location = toTbpLocation(piece, position);
+      assert.deepEqual(sortCells(getLocationCells(location)), sortCells(getPieceCells(piece, position)), `${type} ${location.orientation}`);
+      piece = rotatePiece(piece, 1);
+    }
+  });
+});
+
+test('boards flip to 40 rows counted from the bottom and back', () => {
+  const board = createGame({ seed: 'tbp-board' }).board.map((row, y) => (y === BOARD_HEIGHT - 1 ? row.map(() => 'G') : row));
+  board[BOARD_HEIGHT - 2][0] = 'T';
+  
+  const rows = toTbpBoard(board);
+  assert.equal(rows.length, TBP_BOARD_HEIGHT);
+  assert.ok(rows[0].every(cell => cell === 'G'));
+  assert.equal(rows[1][0], 'T');
+  assert.equal(rows[1][1], null);
+  assert.deepEqual(fromTbpBoard(rows), board);
+});
+
+test('a TBP move plays out to the cells it names, holding first when needed', () => {
+  const game = createGame({ seed: 'tbp-move' });
+  // Standing on the left wall the piece's centre is one row up, or two for an I
+  const moves = [
+    { type: game.piece.type, orientation: 'east', x: 0, y: game.piece.type === 'I' ? 2 : 1 },
+    { type: game.queue[0], orientation: 'north', x: 7, y: 0 }
+  ];
+  
+  moves.forEach(location => {
+    const steps = findMoveSteps(game, { location, spin: 'none' });
+    assert.ok(steps, `${location.type} ${location.orientation}`);
+    let state = game;
+    const locked = [];
+    steps.forEach(({ action }) => {
+      const result = step(state, action);
+      state = result.state;
+      locked.push(...result.events.filter(event => event.type === 'pieceLocked'));
+    });
+    
+    assert.equal(locked.length, 1);
+    const filled = [];
+    state.board.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell !== 0) filled.push({ x, y: BOARD_HEIGHT - 1 - y });
+    }));
+    assert.deepEqual(sortCells(filled), sortCells(getLocationCells(location)));
+  });
+});
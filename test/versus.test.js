@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  BOARD_HEIGHT,
+  createPiece,
+  getSpawnPosition,
+  getAttack,
+  queueGarbage,
+  cancelGarbage,
+  spendAttack,
+  getIncomingGarbage,
+  createMatch,
+  stepMatch
+} from '../src/engine/index.js';
+
+const clear = (fields) => ({ count: 1, tSpin: false, tSpinType: '', backToBack: false, combo: 0, perfectClear: false, ...fields });
+
+// Two bottom rows full except the two middle columns, with an O above the
+// gap and one cell on top so dropping it is a plain double, not a perfect clear
+const withDouble = (game) => {
+  const piece = createPiece('O');
+  const position = getSpawnPosition(piece);
+  const board = game.board.map((row, y) => {
+    if (y === BOARD_HEIGHT - 3) return row.map((cell, x) => (x === 0 ? 'J' : cell));
+    if (y < BOARD_HEIGHT - 2) return row;
+    return row.map((cell, x) => (x === position.x || x === position.x + 1 ? 0 : 'J'));
+  });
+  return { ...game, board, piece, position };
+};
+
+test('attacks follow the table, with back-to-back, combo and perfect clear bonuses', () => {
+  assert.deepEqual([1, 2, 3, 4].map(count => getAttack(clear({ count }))), [0, 1, 2, 4]);
+  assert.equal(getAttack(clear({ count: 0 })), 0);
+  
+  assert.equal(getAttack(clear({ count: 1, tSpin: true, tSpinType: 'single' })), 2);
+  assert.equal(getAttack(clear({ count: 2, tSpin: true, tSpinType: 'double' })), 4);
+  assert.equal(getAttack(clear({ count: 3, tSpin: true, tSpinType: 'triple' })), 6);
+  
+  assert.equal(getAttack(clear({ count: 4, backToBack: true })), 5);
+  assert.equal(getAttack(clear({ count: 2, combo: 1 })), 2);
+  assert.equal(getAttack(clear({ count: 2, combo: 4 })), 3);
+  // Combos past the end of the table keep its last value
+  assert.equal(getAttack(clear({ count: 1, combo: 10 })), 5);
+  assert.equal(getAttack(clear({ count: 1, combo: 50 })), 5);
+  
+  assert.equal(getAttack(clear({ count: 4, perfectClear: true })), 14);
+  assert.equal(getAttack(clear({ count: 3, tSpin: true, tSpinType: 'triple', backToBack: true, combo: 12, perfectClear: true })), 22);
+});
+
+test('an attack cancels incoming garbage oldest first, partly using up an entry', () => {
+  const game = [3, 2, 4].reduce(queueGarbage, createMatch({ seed: 'cancel' }).games[0]);
+  assert.equal(getIncomingGarbage(game), 9);
+  
+  const first = cancelGarbage(game, 4);
+  assert.deepEqual(first.state.incomingGarbage, [1, 4]);
+  assert.equal(first.remaining, 0);
+  
+  const second = cancelGarbage(first.state, 2);
+  assert.deepEqual(second.state.incomingGarbage, [3]);
+  assert.equal(second.remaining, 0);
+  
+  const over = cancelGarbage(second.state, 5);
+  assert.deepEqual(over.state.incomingGarbage, []);
+  assert.equal(over.remaining, 2);
+  
+  // A tetris (4) against 1 incoming: 1 cancelled, 3 sent on
+  const spent = spendAttack(queueGarbage(createMatch({ seed: 'spend' }).games[0], 1), clear({ count: 4 }));
+  assert.deepEqual(spent.state.incomingGarbage, []);
+  assert.equal(spent.sent, 3);
+  assert.equal(spent.cancelled, 1);
+});
+
+test('a clear is sent to the next player still standing', () => {
+  const match = createMatch({ players: 3, seed: 'target' });
+  const games = [withDouble(match.games[0]), { ...match.games[1], gameOver: true }, match.games[2]];
+  const { match: next, events } = stepMatch({ ...match, games }, 0, { type: 'hardDrop' });
+  
+  const attack = events.find(event => event.type === 'attack');
+  assert.deepEqual(attack, { type: 'attack', player: 0, target: 2, lines: 1 });
+  assert.deepEqual(next.games[2].incomingGarbage, [1]);
+  assert.deepEqual(next.games[1].incomingGarbage, []);
+  assert.deepEqual(next.attackSent, [1, 0, 0]);
+  assert.equal(next.winner, null);
+});
+
+test('the match is over when only one player is left', () => {
+  const match = createMatch({ seed: 'last-one' });
+  // Player 1's stack reaches row 2, so the piece they drop tops them out
+  const piece = createPiece('O');
+  const board = match.games[1].board.map((row, y) => (y >= 2 ? row.map((cell, x) => (x === 0 ? 0 : 'S')) : row));
+  const games = [match.games[0], { ...match.games[1], board, piece, position: getSpawnPosition(piece) }];
+  
+  const { match: next, events } = stepMatch({ ...match, games }, 1, { type: 'hardDrop' });
+  assert.ok(events.some(event => event.type === 'topOut' && event.player === 1));
+  assert.deepEqual(events.find(event => event.type === 'matchOver'), { type: 'matchOver', winner: 0 });
+  assert.equal(next.winner, 0);
+  
+  // Nothing happens once it is over
+  const after = stepMatch(next, 0, { type: 'hardDrop' });
+  assert.equal(after.match, next);
+  assert.deepEqual(after.events, []);
+});
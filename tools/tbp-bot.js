@@ -0,0 +1,22 @@
+// The built-in bot as a stdio TBP bot: one JSON message per line in and out.
+// The runner starts it for `--bot builtin`; any other TBP frontend can too.
+//
+//   node tools/tbp-bot.js
+import { createInterface } from 'node:readline';
+import { createTbpBot, TBP_BOT_INFO } from '../src/tbp/bot.js';
+
+const bot = createTbpBot();
+const send = (message) => process.stdout.write(`${JSON.stringify(message)}\n`);
+
+send(TBP_BOT_INFO);
+createInterface({ input: process.stdin }).on('line', (line) => {
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    return;
+  }
+  
+  if (message.type === 'quit') process.exit(0);
+  bot.handle(message).forEach(send);
+});
@@ -0,0 +1,252 @@
+// Headless TBP runner. Plays bots that speak TBP over stdio (one JSON message
+// per line) under the engine's exact rules and reports how they did.
+//
+//   npm run tbp -- --bot ./my-bot --games 10 --seed test
+//   npm run tbp -- --bot builtin --versus "./other-bot --fast" --games 5
+//
+//   --bot CMD      command that starts the bot; `builtin` runs tools/tbp-bot.js
+//   --versus CMD   a second bot: play matches between the two instead
+//   --games N      games (or matches) to play, default 1
+//   --seed S       game i is dealt from seed `S-i`, so a run can be repeated
+//   --pieces N     end a game after N pieces per player, default 1000
+//   --previews N   upcoming pieces the bots can see (0-6), default 5
+//   --timeout MS   longest a bot may think about one piece, default 10000
+import { spawn } from 'node:child_process';
+import { createInterface } from 'node:readline';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { MAX_PREVIEWS, createGame, createMatch, createSeed, step, stepMatch } from '../src/engine/index.js';
+import { createTbpClient, createTbpSession } from '../src/tbp/client.js';
+import { DEFAULT_TBP_PREVIEWS, findMoveSteps } from '../src/tbp/protocol.js';
+
+const BUILTIN_BOT = fileURLToPath(new URL('./tbp-bot.js', import.meta.url));
+
+const spawnTransport = (command) => {
+  const child = spawn(command === 'builtin' ? `"${process.execPath}" "${BUILTIN_BOT}"` : command, {
+    shell: true,
+    stdio: ['pipe', 'pipe', 'inherit']
+  });
+  child.stdin.on('error', () => {}); // the bot exited; onClose reports it
+  const lines = createInterface({ input: child.stdout });
+  
+  return {
+    send: (message) => {
+      if (child.stdin.writable) child.stdin.write(`${JSON.stringify(message)}\n`);
+    },
+    onMessage: (handler) => lines.on('line', (line) => {
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (error) {
+        return;
+      }
+      handler(message);
+    }),
+    onClose: (handler) => child.on('exit', handler),
+    close: () => {
+      child.stdin.end();
+      // Give the bot a moment to act on quit
+      setTimeout(() => child.kill(), 1000).unref();
+    }
+  };
+};
+
+const startBot = async (command, options) => {
+  const client = createTbpClient(spawnTransport(command), { timeoutMs: options.timeout });
+  try {
+    const info = await client.handshake();
+    return {
+      name: info.name || command,
+      client,
+      session: createTbpSession(client, { previews: options.previews })
+    };
+  } catch (error) {
+    client.close();
+    throw new Error(`${command}: ${error.message}`);
+  }
+};
+
+// The first of the bot's moves the engine can reach, as { move, steps, ms };
+// move is null when none of them can be played
+const askBot = async (bot, state) => {
+  const started = performance.now();
+  const moves = await bot.session.suggest(state);
+  const ms = performance.now() - started;
+  
+  for (const move of moves) {
+    const steps = findMoveSteps(state, move);
+    if (steps) return { move, steps, ms };
+  }
+  return { move: null, steps: null, ms };
+};
+
+const getPps = (pieces, ms) => (ms > 0 ? (pieces * 1000) / ms : 0);
+
+const playGame = async (bot, seed, options) => {
+  let state = createGame({ seed });
+  let thinkMs = 0;
+  let result = 'piece limit';
+  
+  while (state.piecesPlaced < options.pieces) {
+    const { move, steps, ms } = await askBot(bot, state);
+    thinkMs += ms;
+    if (!move) {
+      result = 'invalid move';
+      break;
+    }
+    
+    steps.forEach(({ action }) => {
+      state = step(state, action).state;
+    });
+    bot.session.played(move, state);
+    if (state.gameOver) {
+      result = 'top out';
+      break;
+    }
+  }
+  
+  bot.session.stop();
+  return {
+    result,
+    score: state.score,
+    lines: state.lines,
+    pieces: state.piecesPlaced,
+    tSpins: state.tSpinCount,
+    pps: getPps(state.piecesPlaced, thinkMs)
+  };
+};
+
+// Players take turns placing one piece each. A bot whose moves can't be
+// played forfeits the match.
+const playMatch = async (bots, seed, options) => {
+  let match = createMatch({ seed });
+  const thinkMs = bots.map(() => 0);
+  let forfeit = null;
+  
+  for (let round = 0; round < options.pieces && match.winner === null && forfeit === null; round++) {
+    for (let player = 0; player < bots.length && match.winner === null; player++) {
+      const { move, steps, ms } = await askBot(bots[player], match.games[player]);
+      thinkMs[player] += ms;
+      if (!move) {
+        forfeit = player;
+        break;
+      }
+      
+      steps.forEach(({ action }) => {
+        match = stepMatch(match, player, action).match;
+      });
+      bots[player].session.played(move, match.games[player]);
+    }
+  }
+  
+  bots.forEach(bot => bot.session.stop());
+  return {
+    winner: forfeit !== null ? 1 - forfeit : match.winner,
+    forfeit,
+    players: match.games.map((game, player) => ({
+      pieces: game.piecesPlaced,
+      lines: game.lines,
+      sent: match.attackSent[player],
+      pps: getPps(game.piecesPlaced, thinkMs[player])
+    }))
+  };
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const runGames = async (bot, seed, options) => {
+  const results = [];
+  for (let i = 1; i <= options.games; i++) {
+    const result = await playGame(bot, `${seed}-${i}`, options);
+    results.push(result);
+    console.log(
+      `Game ${i} (seed ${seed}-${i}): ${result.score} points, ${result.lines} lines, ` +
+      `${result.pieces} pieces, ${result.tSpins} T-spins, ${result.pps.toFixed(1)} PPS (${result.result})`
+    );
+  }
+  
+  console.log(`\n${bot.name} over ${results.length} games:`);
+  console.log(`  score  avg ${Math.round(average(results.map(r => r.score)))}, best ${Math.max(...results.map(r => r.score))}`);
+  console.log(`  lines  avg ${average(results.map(r => r.lines)).toFixed(1)}`);
+  console.log(`  pieces avg ${average(results.map(r => r.pieces)).toFixed(1)}`);
+  console.log(`  PPS    avg ${average(results.map(r => r.pps)).toFixed(1)}`);
+  console.log(`  top outs ${results.filter(r => r.result === 'top out').length}`);
+};
+
+const runMatches = async (bots, seed, options) => {
+  const names = bots[0].name === bots[1].name
+    ? bots.map((bot, player) => `${bot.name} (P${player + 1})`)
+    : bots.map(bot => bot.name);
+  const wins = bots.map(() => 0);
+  const results = [];
+  
+  for (let i = 1; i <= options.games; i++) {
+    const result = await playMatch(bots, `${seed}-${i}`, options);
+    results.push(result);
+    if (result.winner !== null) wins[result.winner]++;
+    
+    const outcome = result.winner === null
+      ? 'draw'
+      : `${names[result.winner]} wins${result.forfeit !== null ? ' (invalid move)' : ''}`;
+    const players = result.players.map((player, index) =>
+      `${names[index]} ${player.pieces} pieces, ${player.lines} lines, ${player.sent} sent, ${player.pps.toFixed(1)} PPS`
+    );
+    console.log(`Match ${i} (seed ${seed}-${i}): ${outcome}. ${players.join('; ')}`);
+  }
+  
+  console.log(`\nOver ${results.length} matches:`);
+  names.forEach((name, player) => {
+    const stats = results.map(result => result.players[player]);
+    const pieces = stats.reduce((sum, s) => sum + s.pieces, 0);
+    const sent = stats.reduce((sum, s) => sum + s.sent, 0);
+    console.log(
+      `  ${name}: ${wins[player]} wins, ${(pieces > 0 ? sent / pieces : 0).toFixed(2)} attack per piece, ` +
+      `${average(stats.map(s => s.pps)).toFixed(1)} PPS`
+    );
+  });
+  const draws = results.filter(result => result.winner === null).length;
+  if (draws > 0) console.log(`  ${draws} draws`);
+};
+
+const main = async () => {
+  const { values } = parseArgs({
+    options: {
+      bot: { type: 'string' },
+      versus: { type: 'string' },
+      games: { type: 'string', default: '1' },
+      seed: { type: 'string' },
+      pieces: { type: 'string', default: '1000' },
+      previews: { type: 'string', default: String(DEFAULT_TBP_PREVIEWS) },
+      timeout: { type: 'string', default: '10000' }
+    }
+  });
+  if (!values.bot) {
+    throw new Error('Usage: npm run tbp -- --bot <command> [--versus <command>] [--games N] [--seed S]');
+  }
+  
+  const options = {
+    games: Math.max(1, Number(values.games) || 1),
+    pieces: Math.max(1, Number(values.pieces) || 1000),
+    previews: Math.max(0, Math.min(Number(values.previews) || 0, MAX_PREVIEWS)),
+    timeout: Math.max(0, Number(values.timeout) || 0)
+  };
+  const seed = values.seed || createSeed();
+  
+  const bots = [];
+  try {
+    bots.push(await startBot(values.bot, options));
+    if (values.versus) {
+      bots.push(await startBot(values.versus, options));
+      await runMatches(bots, seed, options);
+    } else {
+      await runGames(bots[0], seed, options);
+    }
+  } finally {
+    bots.forEach(bot => bot.client.close());
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});